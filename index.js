@@ -1,195 +1,318 @@
-/** 
+#!/usr/bin/env node
+/**
  * This script validates whether the newest 100 articles listed on Hacker News are indeed sorted by newest.
+ * Run "node index.js --help" for the options (see src/cli.js).
  * Test written in October 2024.
  * @author Monty
 */
 
-/*
- * Note: I was concerned that there could be a race condition in the following scenario: 
- *  An article gets posted right as we move from the first page to the second page. Thus we end up verifying the same article twice.
- *  (Thus we end up only validating 99 of the newest articles, instead of 100).
- * However, I conducted a test:
- *  I had two tabs open pointing to "https://news.ycombinator.com/newest".
- *  I clicked "More" on one tab.
- *  I waited 10 min (plenty of time for multiple articles to be posted).
- *  I clicked "More" on the other tab.
- *  If the article list was the same on both tabs, 
- *   then navigation with the "More" button will not cause a race condition because the list will be consistent across time.
- * After conducting the procedure twice, I conclude that the list is time-invariant and will not cause a race condition.
- */
+const path = require("path");
 
 // Playwright dependencies
-const { chromium } = require("playwright");
-const { test, expect } = require("playwright/test");
+const playwright = require("playwright");
+
+// Project modules
+const { resolveBaseUrl } = require("./src/config");
+const { recordPages, replayRecording } = require("./src/recorder");
+const { ArticleListPage } = require("./src/article-list-page");
+const { createArtifacts, createCapture } = require("./src/artifacts");
+const { openSession } = require("./src/session");
+const { RequestThrottle } = require("./src/throttle");
+const { createApiClient } = require("./src/api");
+const { DEFAULT_ARTICLE_COUNT, validateListing, validateListingSharded } = require("./src/validator");
+const { writeResults } = require("./src/writers");
+const { toHistoryEntry, appendHistory } = require("./src/history");
+const { writeTrendReport } = require("./src/report");
+const { createWatch } = require("./src/watch");
+const { createNotifiers } = require("./src/notifiers");
+const { EXIT_CODES, USAGE, UsageError, parseArguments, exitCodeFor } = require("./src/cli");
 
 /**
  * Test: The first 100 articles listed on Hacker News (https://news.ycombinator.com/newest) are sorted by newest.
+ * @param {object} [options]
+ * @param {int} [options.count] how many articles to validate
+ * @param {int} [options.start_offset] how many articles to skip before validating
+ * @param {boolean} [options.headless] run the browser without a window
+ * @param {string} [options.browser] "chromium", "firefox" or "webkit"
+ * @param {string} [options.listing] listing to walk, e.g. "newest" or "jobs" (see src/listings.js)
+ * @param {string[]} [options.rules] sort-order rules to check, defaults to the listing's rules (see src/rules.js)
+ * @param {boolean} [options.api_check] cross-check the articles with the Firebase API (see src/api.js)
+ * @param {string} [options.api_url] API to cross-check with, defaults to HN_API_URL or the real API
+ * @param {object} [options.comparison] how equal and near-equal timestamps compare: { mode, tolerance_s } (see src/comparison.js)
+ * @param {string} [options.consistency] "fail", "warn" or "off" for pages that do not line up (see src/consistency.js)
+ * @param {string} [options.schema] "fail", "warn" or "off" for rows that do not match the row schema (see src/schema.js)
+ * @param {string} [options.base_url] Hacker News to test against, defaults to HN_BASE_URL or the live site (see src/config.js)
+ * @param {string} [options.record_dir] save every visited page into this directory (see src/recorder.js)
+ * @param {string} [options.replay_dir] serve pages from this recording instead of the network
+ * @param {int} [options.shards] load pages concurrently in this many browser contexts (see src/shards.js), 1 walks them one by one
+ * @param {int} [options.min_interval_ms] least time between two requests, shared by all contexts
+ * @param {int} [options.retries] retry budget for pages the site refuses (see src/throttle.js)
+ * @param {int} [options.backoff_ms] wait before the first retry of a refused page
+ * @param {string} [options.artifacts_dir] save a HAR, a trace and screenshots of the offending pages here when the run does not pass
+ *  (see src/artifacts.js), null to save nothing
+ * @param {string} [options.credentials_file] log in with the username and password in this file (see src/session.js)
+ * @param {string} [options.storage_state] reuse the session saved in this file, and save a new one there after logging in
+ * @returns {Promise<object>} the run results (see src/results.js)
  */
-async function sortHackerNewsArticles() {
-  // Open the webpage in the chromium browser
-  const browser = await chromium.launch({ headless: false });
-  let context = await browser.newContext();
-  let page = await context.newPage();
-
-  // Validate this many articles as part of the test. Article list may be spread across several pages
-  let num_of_articles_to_validate = 100;
-
-  // The index of the first article on a page
-  let article_index = 1;
-
-  // This is the timestamp of the most recently compared article
-  let newest_timestamp = new Date();
-
-  // Open the Hacker News article listing, sorted by newest, starting at article index 1
-  await page.goto("https://news.ycombinator.com/newest", { waitUntil: 'domcontentloaded' });
-  // Get a reference to the button that shows more articles
-  // It is generally better to refer to a button by it's user-facing attributes, i.e. text instead of class name when possible
-  const more_button = await page.locator('.morelink');
-  // There should only be exactly one "More" button
-  await expect(more_button).toHaveCount(1);
-
-  // Continue to validate timestamps on pages until we have checked the desired number of articles
-  while (article_index <= num_of_articles_to_validate) {
-
-    // The site began to refuse my connection, so I added randomized delay so that I am less likely to trigger refusal by mimicking more natural browsing
-    // After additional testing, the refusal seems to happen regardless of the added delay
-    // I will still keep the function in case it is needed in the future
-    //await page.waitForTimeout(random_delay(3000,1200));
-
-    // Navigate to next page
-    await more_button.click({ waitUntil: 'domcontentloaded' });
-
-    // Additional delay
-    //await page.waitForTimeout(random_delay(3000,1200));
-
-    // If the "More" button is not present, chances are the page did not load and the site refused to load the article list
-    // Since I do not control how the site tests for abuse, the best I can do is let the tester know how this test failed
-    if (await more_button.count() !== 1) {
-      console.log("========================================================================================");
-      console.log("Test failed! Next page did not load properly, did the site refuse to load the articles?");
-      console.log("========================================================================================");
+async function sortHackerNewsArticles(options = {}) {
+  let base_url = resolveBaseUrl(options.base_url);
+
+  // Open the webpage in the requested browser
+  const browser = await playwright[options.browser || "chromium"].launch({ headless: !!options.headless });
+  const shards = options.shards || 1;
+  const contexts = [];
+  let recording = null;
+  let artifacts = null;
+  let result = null;
+
+  try {
+    // Log in once (or reuse the saved session), every context then starts with the same cookies
+    let session = null;
+    if (options.credentials_file || options.storage_state) {
+      session = await openSession(browser, { base_url, listing: options.listing, credentials_file: options.credentials_file, storage_state: options.storage_state });
+      console.log("Logged in as " + session.user + (session.reused ? " with the session saved in " + session.storage_state : ""));
+    }
+
+    // Every context records a HAR and a trace, kept only if the run does not pass
+    if (options.artifacts_dir) artifacts = createArtifacts(options.artifacts_dir);
+    for (let i = 0; i < shards; i++) {
+      const context_options = { ...(artifacts ? artifacts.contextOptions(i) : {}), ...(session ? { storageState: session.state } : {}) };
+      const shard_context = await browser.newContext(context_options);
+      if (artifacts) await artifacts.startTracing(shard_context);
+      contexts.push(shard_context);
+    }
+    const context = contexts[0];
+
+    // Replay a recorded run, the recording knows which site it was taken from
+    if (options.replay_dir) {
+      let replayed;
+      for (const shard_context of contexts) replayed = await replayRecording(shard_context, options.replay_dir);
+      base_url = resolveBaseUrl(options.base_url || replayed.base_url);
+      console.log("Replaying " + replayed.pages.length + " recorded pages from " + options.replay_dir);
+    }
+
+    // Record every page we visit so the run can be replayed later
+    if (options.record_dir) {
+      recording = recordPages(context, options.record_dir, { base_url });
+      console.log("Recording visited pages to " + options.record_dir);
+    }
+
+    // Refused pages are retried with backoff until the run's retry budget is spent, one throttle for all contexts
+    const throttle = new RequestThrottle({ retries: options.retries, backoff_ms: options.backoff_ms, min_interval_ms: options.min_interval_ms });
+    const list_pages = [];
+    for (const shard_context of contexts) {
+      list_pages.push(new ArticleListPage(await shard_context.newPage(), { base_url, listing: options.listing || "newest", throttle }));
+    }
+
+    const validate_options = {
+      count: options.count || DEFAULT_ARTICLE_COUNT,
+      start_offset: options.start_offset || 0,
+      rules: options.rules,
+      comparison: options.comparison,
+      consistency: options.consistency,
+      schema: options.schema,
+      api: options.api_check ? createApiClient({ api_url: options.api_url }) : null,
+      // A sharded run of /newest takes the IDs its pages start at from the API story list
+      api_url: options.api_url,
+      // Offending pages are saved while they are loaded, see src/artifacts.js
+      capture: artifacts ? createCapture(artifacts) : null,
+    };
+
+    if (shards > 1) {
+      // Load the pages concurrently and merge them in rank order (see src/shards.js)
+      console.log("Loading pages in " + shards + " browser contexts");
+      result = await validateListingSharded(list_pages, validate_options);
+    } else {
+      // Walk the listing and validate the articles (see src/validator.js)
+      result = await validateListing(list_pages[0], validate_options);
+    }
+    if (session) result.session = { user: session.user, reused: session.reused };
+    return result;
+  } finally {
+    // Recorded pages must be on disk before we report anything
+    if (recording) {
+      await recording.flush();
+      console.log("Recorded " + recording.manifest.pages.length + " pages to " + recording.dir);
+    }
+    // Closing the contexts writes their HARs, a run that threw is kept as well
+    if (artifacts) {
+      const keep = !result || !result.passed;
+      await artifacts.close(contexts, keep);
+      if (result && keep) result.artifacts = { dir: artifacts.dir, files: artifacts.files };
+      if (!result) console.log("Saved a HAR and a trace of the run to " + artifacts.dir);
+    }
+    await browser.close();
+  }
+}
+
+/**
+ * Prints the outcome of a run the same way the script always has.
+ * @param {object} result run results
+ */
+function printSummary(result) {
+  if (!result.passed) {
+    console.log("========================================================================================");
+    console.log("Test failed! " + result.message);
+    console.log("========================================================================================");
+    console.log("");
+    for (const violation of result.violations) {
+      console.log("#" + violation.index + " | ID:" + violation.id + " | " + violation.rule + ": " + violation.message);
+    }
+    if (result.violations.length > 0) console.log("");
+    for (const issue of result.consistency_issues) {
+      console.log("#" + issue.position + " | ID:" + issue.id + " | " + issue.check + ": " + issue.message);
+    }
+    if (result.consistency_issues.length > 0) console.log("");
+    for (const issue of result.schema_issues) {
+      console.log("#" + issue.index + " | ID:" + issue.id + " | row schema (" + issue.field + "): " + issue.message);
+    }
+    if (result.schema_issues.length > 0) console.log("");
+    for (const event of result.throttle_events) {
+      console.log("Refused: " + event.url + " (" + event.reason + ", attempt " + event.attempt + ")");
+    }
+    if (result.throttle_events.length > 0) console.log("");
+    if (result.artifacts) {
+      console.log("Artifacts saved to " + result.artifacts.dir + ":");
+      for (const file of result.artifacts.files) {
+        const marked = file.ids && file.ids.length > 0 ? " (marked " + file.marked + " of " + file.ids.length + " offending rows)" : "";
+        console.log("  " + file.kind + ": " + file.path + marked);
+      }
       console.log("");
+    } else if (result.html) {
+      // Without artifacts the page content is the only clue to what went wrong
       console.log("[Page HTML]");
-      console.log(await page.content());
+      console.log(result.html);
       console.log("");
-      process.exit(-1);
     }
-    
-    // Check that the needed elements for the test are loaded in and visible
-    await page.waitForSelector('.age');
-    await page.waitForSelector('.athing');
-    await page.waitForSelector('.score');
-
-    // Get a reference to the article table
-    let article_table = await page.locator('table').locator('table').nth(1);
-
-    // Call page-level function 
-    [article_index, newest_timestamp] = await validateArticlesOnPage(article_table, article_index, num_of_articles_to_validate, newest_timestamp);
-    
+    return;
   }
-  
-  // Test has concluded successfully, we can terminate without error
-  page.close();
+
+  // Test has concluded successfully
   console.log("========================================================================================");
-  console.log("Test successful! Verified " + num_of_articles_to_validate + " articles are in newest order!");
+  console.log("Test successful! " + result.message);
   console.log("========================================================================================");
 
-  //return true;
-  process.exit(0);
+  // With "--consistency warn" pages that did not line up are reported without failing the run
+  for (const issue of result.consistency_issues) {
+    console.log("Warning: #" + issue.position + " | ID:" + issue.id + " | " + issue.check + ": " + issue.message);
+  }
+  // The same for rows with "--schema warn"
+  for (const issue of result.schema_issues) {
+    console.log("Warning: #" + issue.index + " | ID:" + issue.id + " | row schema (" + issue.field + "): " + issue.message);
+  }
 }
 
 /**
- * Page-level function called for each new url in this test
- * @param {Locator} article_table locator pointing to table containing the articles
- * @param {int} article_index keeps track of how many articles have been validated
- * @param {int} num_of_articles_to_validate how many articles need to be validated for the entire test
- * @param {Date} newest_timestamp should be newer than any of the articles on this page
- * @returns an updated article_index and newest_timsetamp to be used for the next page
+ * Watch mode: runs the validator every interval and sends incidents to the notifiers (see src/watch.js).
+ * Every check is a run of its own, with its own results files, artifacts and history line.
+ * @param {object} options command line options with a "watch" part (see src/cli.js)
+ * @returns {Promise<int>} process exit code: the worst of all checks
  */
-async function validateArticlesOnPage(article_table, article_index, num_of_articles_to_validate, newest_timestamp) {
-
-  // Retrieve timestamps using "age" class 
-  let article_ages = await article_table.locator('.age');
-
-  // Retrieve article titles using class "athing"
-  let article_athings = await article_table.locator('.athing');
-  
-  // Retrieve article id using "score" class 
-  let article_scores = await article_table.locator('.score');
-
-  // There must be an equal number of links, scores, and timestamps
-  let count_ages = await article_ages.count();
-  let count_athings = await article_athings.count();
-  let count_scores = await article_scores.count();
-  if (count_ages !== count_athings || count_ages !== count_scores) {
-    console.log("========================================================================================");
-    console.log("Test failed! Could not get an equal number of articles and timestamps on this page!");
-    console.log("========================================================================================");
-    exit(-1);
+async function watchListing(options) {
+  const watch = createWatch({
+    notifiers: createNotifiers(options.watch.notify),
+    interval_ms: options.watch.interval_s * 1000,
+    iterations: options.watch.iterations,
+    check: async (number) => {
+      // Checks must not overwrite each other's files
+      const check_options = {
+        ...options,
+        out: options.out ? options.out + "-check-" + number : null,
+        artifacts_dir: options.artifacts_dir ? path.join(options.artifacts_dir, "check-" + number) : null,
+      };
+      const result = await sortHackerNewsArticles(check_options);
+      const file_formats = options.formats.filter((format) => format !== "text");
+      const files = file_formats.length > 0 ? writeResults(result, check_options.out, file_formats) : [];
+      if (options.history_file) {
+        appendHistory(options.history_file, toHistoryEntry(result, { results_file: files.find((file) => file.endsWith(".json")) || null, watch_check: number }));
+      }
+      return result;
+    },
+  });
+
+  // Ctrl-C lets the current check finish, a second one ends the process
+  const stop = () => {
+    console.log("Stopping after the current check, press Ctrl-C again to quit now");
+    watch.stop();
+    process.once("SIGINT", () => process.exit(EXIT_CODES.ENVIRONMENT));
+  };
+  process.once("SIGINT", stop);
+  console.log("Watching " + options.listing + " every " + options.watch.interval_s + " s, notifying " + options.watch.notify.join(", "));
+  try {
+    await watch.run();
+  } finally {
+    process.removeListener("SIGINT", stop);
   }
 
-  // New page and progress 
-  console.log("========================================================================================");
-  console.log("Most recent timestamp:       " + (newest_timestamp));
-  console.log("Article # start:             " + (article_index));
-  console.log("Num of articles:             " + (count_athings));
-  console.log("Num of timestamps:           " + (count_ages));
-  console.log("Num of article IDs (score):  " + (count_scores));
-  console.log("========================================================================================");
-  console.log("");
-
-  // The number of articles to check on this page is either the amount of articles loaded in or less
-  let num_of_articles_to_check_on_page = Math.min(count_athings, num_of_articles_to_validate - article_index + 1);
-
-  // Check that each article on this page is sorted by newest (using timestamp)
-  for (let i = 0; i < num_of_articles_to_check_on_page; i++) {
-    
-    // Extract article info
-    let title = await article_athings.locator('.titleline').nth(i).textContent();
-    let id = ( await article_scores.nth(i).getAttribute('id') ).substring(6);
-    let timestamp = new Date( await article_ages.nth(i).getAttribute('title') );
-    
-    // Article list page breakdown
-    console.log(article_index + '. [' + timestamp + '] | ID:' + id + '\n"' + title + '"\n');
-
-    // Compare timestamps
-    console.log('Most recent: ' + newest_timestamp.toTimeString());
-    console.log('Current:     ' + timestamp.toTimeString() + '\n');
-
-    // Test fails if the current timestamp is newer than (greater than) the most recently compared article
-    if (timestamp > newest_timestamp) {
-      console.log("========================================================================================");
-      console.log("Test failed! Articles are not in newest order!");
-      console.log("========================================================================================");
-      console.log("");
-      process.exit(-1);
-    }
+  console.log("Watched " + watch.checks.length + " checks, " + watch.incidents.length + " incidents");
+  return Math.max(EXIT_CODES.PASSED, ...watch.checks.map(exitCodeFor));
+}
 
-    // Update timestamp
-    newest_timestamp = timestamp;
+/**
+ * Runs the script from the command line and works out the exit code.
+ * @param {string[]} argv command line arguments after the script name
+ * @returns {Promise<int>} process exit code (see EXIT_CODES in src/cli.js)
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArguments(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(error.message + "\n\n" + USAGE);
+    return EXIT_CODES.ENVIRONMENT;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.PASSED;
+  }
 
-    // Increment validates article count
-    article_index += 1;
+  // "node index.js report" only reads the run history (see src/report.js)
+  if (options.command === "report") {
+    const report = writeTrendReport(options.history_file, options.out);
+    console.log("Trend report of " + report.runs + " runs saved to " + report.file + (report.skipped ? " (" + report.skipped + " unreadable history lines left out)" : ""));
+    return EXIT_CODES.PASSED;
   }
 
-  // Test passes for the current page
-  console.log("========================================================================================");
-  console.log("Successfully checked page for newest order!");
-  console.log("========================================================================================");
-  console.log("");
+  // "node index.js watch" keeps checking until stopped
+  if (options.command === "watch") return watchListing(options);
+
+  let result;
+  try {
+    result = await sortHackerNewsArticles(options);
+  } catch (error) {
+    // Anything thrown here is about the environment (browser, network, files), not the article order
+    console.log("========================================================================================");
+    console.log("Test could not run! " + error.message);
+    console.log("========================================================================================");
+    return EXIT_CODES.ENVIRONMENT;
+  }
 
-  return [article_index, newest_timestamp];
+  // Machine-readable results go next to the console log (see src/writers.js)
+  const file_formats = options.formats.filter((format) => format !== "text");
+  let files = [];
+  if (file_formats.length > 0) {
+    files = writeResults(result, options.out, file_formats);
+    console.log("Results saved to " + files.join(", "));
+  }
+
+  // One line per run in the history, for the trend report (see src/history.js)
+  if (options.history_file) {
+    const results_file = files.find((file) => file.endsWith(".json")) || null;
+    appendHistory(options.history_file, toHistoryEntry(result, { results_file }));
+  }
+
+  printSummary(result);
+  // How long the whole run took, to compare the sequential and the sharded mode
+  console.log("Run took " + (result.duration_ms / 1000).toFixed(1) + " s (" + (result.mode === "sharded" ? "sharded across " + result.shards + " browser contexts" : "sequential") + ")");
+  return exitCodeFor(result);
 }
 
-/**
- * Generates a value representing a delay in milliseconds.
- * @param {int} ms_min_time minimum delay time in milliseconds
- * @param {int} ms_range difference between the minimum delay time and maximum delay time in milliseconds
- * @returns a randomized number representing a delay in milliseconds 
- */
-function random_delay(ms_min_time,ms_range) { return ms_min_time + Math.floor(Math.random() * ms_range); }
+module.exports = { sortHackerNewsArticles, watchListing, main };
 
-// Run sorting function on articles
-(async () => {
-  await sortHackerNewsArticles();
-})();
+// Run sorting function on articles when invoked with "node index.js"
+if (require.main === module) {
+  (async () => {
+    process.exit(await main(process.argv.slice(2)));
+  })();
+}
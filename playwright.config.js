@@ -7,50 +7,71 @@ const { defineConfig, devices } = require('@playwright/test');
  */
 // require('dotenv').config();
 
+/**
+ * Set HN_STANDIN=1 to run against the bundled Hacker News stand-in instead of the live site.
+ * The stand-in is started by the "webServer" option below and its URL is handed to the tests through HN_BASE_URL and HN_API_URL.
+ */
+const standin_port = process.env.STANDIN_PORT || '3000';
+if (process.env.HN_STANDIN) {
+  process.env.HN_BASE_URL = `http://127.0.0.1:${standin_port}`;
+  // The stand-in serves the Firebase API as well (see src/api.js)
+  process.env.HN_API_URL = `http://127.0.0.1:${standin_port}`;
+}
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
 module.exports = defineConfig({
   testDir: './tests',
-  /* Time to wait for test to complete */
-  timeout: 4000,
-  /* Run tests in files in parallel */
+  /* Time a test may take: a browser test loads a page or two, tests marked test.slow() (the @full walk) get three times as long */
+  timeout: 30000,
+  expect: { timeout: 5000 },
+  /* Run tests in files in parallel, every test has its own page and page object (see tests/fixtures.js) */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
-  /* Retry on CI only */
-  retries: process.env.CI ? 12 : 10,
-  /* Opt out of parallel tests on CI. */
-  workers: process.env.CI ? 1 : undefined,
+  /* Retry on CI only. Refused pages are already retried with backoff inside a test (see src/throttle.js) */
+  retries: process.env.CI ? 1 : 0,
+  /* Opt out of parallel tests on CI. The live site refuses clients that load many pages at once, so it gets two workers at most */
+  workers: process.env.CI ? 1 : (process.env.HN_BASE_URL ? undefined : 2),
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
   reporter: 'html',
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
     /* Base URL to use in actions like `await page.goto('/')`. */
-    // baseURL: 'http://127.0.0.1:3000',
+    baseURL: process.env.HN_BASE_URL || 'https://news.ycombinator.com',
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
+    /* A Hacker News page loads in well under a second, a slow one still has to arrive in time */
+    navigationTimeout: 15000,
   },
 
   /* Configure projects for major browsers */
   projects: [
+    /* Tests of the project modules need no browser, so they run once rather than in every browser project */
+    {
+      name: 'unit',
+      testIgnore: /hackernews\.test\.js/,
+    },
+
     {
       name: 'chromium',
+      testMatch: /hackernews\.test\.js/,
       use: { ...devices['Desktop Chrome'] },
     },
-    
-    /*
+
     {
       name: 'firefox',
+      testMatch: /hackernews\.test\.js/,
       use: { ...devices['Desktop Firefox'] },
     },
 
     {
       name: 'webkit',
+      testMatch: /hackernews\.test\.js/,
       use: { ...devices['Desktop Safari'] },
     },
-    */
 
     /* Test against mobile viewports. */
     // {
@@ -73,11 +94,12 @@ module.exports = defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Run the Hacker News stand-in before starting the tests */
+  webServer: process.env.HN_STANDIN ? {
+    command: 'node src/standin/server.js',
+    url: `http://127.0.0.1:${standin_port}/newest`,
+    env: { STANDIN_PORT: standin_port },
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 });
 
@@ -9,8 +9,13 @@ mkdir -p "logs"
 # Create log file name 
 log_file="logs/playwright_test_suite_$timestamp.log"
 
-# Run playwright test suite, generate html report, and record console output to log file
-npx playwright test --reporter=html > "$log_file" 2>&1
+# Run playwright test suite (any extra options are passed through), generate html report, add the run to logs/history.jsonl
+# (see src/history-reporter.js), and record console output to log file
+npx playwright test --reporter=html,./src/history-reporter.js "$@" > "$log_file" 2>&1
+exit_code=$?
 
 # Let user know where log has been saved
 echo "Test suite output saved to $log_file"
+
+# Keep the test runner's exit code
+exit $exit_code
@@ -9,8 +9,16 @@ mkdir -p "logs"
 # Create log file name 
 log_file="logs/test_verified_articles_$timestamp.log"
 
-# Run NodeJS script and record console output to log file
-node index.js > "$log_file" 2>&1
+# Structured results are saved next to the log as .json and .junit.xml
+results_file="logs/test_verified_articles_$timestamp"
+
+# Run the validator (any extra options are passed through, see "node index.js --help") and record console output to log file
+node index.js --format text,json,junit --out "$results_file" "$@" > "$log_file" 2>&1
+exit_code=$?
 
 # Let user know where log has been saved
 echo "Console output saved to $log_file"
+echo "Results saved to $results_file.json and $results_file.junit.xml"
+
+# Keep the validator's exit code: 0 pass, 1 order violation, 2 environment or rate-limit failure
+exit $exit_code
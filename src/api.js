@@ -0,0 +1,138 @@
+/**
+ * Cross-check against the Hacker News Firebase API (https://github.com/HackerNews/API).
+ * The listing pages only say when an article was posted through the ".age" title attribute, so this fetches each checked item
+ * from a second source ("/v0/item/<id>.json") and compares its "time", and compares the page order with the API's story list
+ * (e.g. "/v0/newstories.json"). Any Firebase-compatible endpoint works, the stand-in serves one for tests (see src/standin/server.js).
+ *
+ *   const cross_check = createApiCrossCheck(createApiClient({ api_url }), "newest");
+ *   const checks = await cross_check.checkPage([{ index, article }, ...]);   // [{ index, article, rule, check }]
+ *
+ * @author Monty
+ */
+
+// Project modules
+const { resolveApiUrl } = require("./config");
+const { getListing } = require("./listings");
+
+// The checks made against the API, keyed by the rule name they are recorded under
+const API_CHECKS = {
+  "api-time": "the time shown on the page matches the item's time in the API, unless the page only showed a relative age",
+  "api-order": "articles are in the same order as the API's story list",
+};
+
+// Give up on an API request that has not been answered after this long
+const DEFAULT_API_TIMEOUT_MS = 10000;
+
+/**
+ * Thrown when the API cannot be reached, is too slow, or answers with an error or with something that is not JSON,
+ * which says nothing about the articles.
+ */
+class ApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApiError";
+  }
+}
+
+/**
+ * Creates a client for a Firebase-compatible Hacker News API.
+ * @param {object} [options]
+ * @param {string} [options.api_url] API to use, defaults to HN_API_URL or the real API (see src/config.js)
+ * @param {function} [options.fetch] fetch implementation, defaults to the global one
+ * @param {int} [options.timeout_ms] give up on a request, body included, that has not been answered after this long
+ * @returns {object} { api_url, item(id), storyList(name) }, both resolve to the parsed JSON
+ */
+function createApiClient(options = {}) {
+  const api_url = resolveApiUrl(options.api_url);
+  const fetchUrl = options.fetch || fetch;
+  const timeout_ms = options.timeout_ms || DEFAULT_API_TIMEOUT_MS;
+
+  const get = async (path) => {
+    const url = api_url + path;
+    const timedOut = (error) => error.name === "TimeoutError" || error.name === "AbortError";
+    let response;
+    try {
+      response = await fetchUrl(url, { signal: AbortSignal.timeout(timeout_ms) });
+    } catch (error) {
+      if (timedOut(error)) throw new ApiError("The API did not answer within " + timeout_ms + " ms for " + url);
+      throw new ApiError("Could not reach the API at " + url + ": " + error.message);
+    }
+    if (!response.ok) throw new ApiError("The API answered " + response.status + " for " + url);
+    try {
+      return await response.json();
+    } catch (error) {
+      if (timedOut(error)) throw new ApiError("The API did not finish answering within " + timeout_ms + " ms for " + url);
+      throw new ApiError("The API answered " + url + " with something that is not JSON: " + error.message);
+    }
+  };
+
+  return {
+    api_url,
+    // Firebase answers "null" for IDs it does not know
+    item: (id) => get("/v0/item/" + id + ".json"),
+    storyList: (name) => get("/v0/" + name + ".json"),
+  };
+}
+
+/**
+ * Starts cross-checking a listing walk against the API. Like the rules in src/rules.js, it keeps state across pages.
+ * @param {object} client API client from createApiClient()
+ * @param {string|object} listing listing name or descriptor, its "api_list" is the story list to compare the order with
+ * @param {object} [options]
+ * @param {int} [options.tolerance_s] how many seconds the page and the API may disagree on an article's time (default 0)
+ * @returns {object} { checkPage(entries) }
+ */
+function createApiCrossCheck(client, listing, options = {}) {
+  const descriptor = getListing(listing);
+  const tolerance_s = options.tolerance_s || 0;
+  // Position in the story list of the last article found there, and its ID
+  let previous = null;
+
+  return {
+    /**
+     * Cross-checks the articles of one page. The story list is fetched once per page, so it is as fresh as the page.
+     * @param {object[]} entries { index, article } for every checked article on the page, in page order
+     * @returns {Promise<object[]>} { index, article, rule, check } for every check made, check is { passed, message, ...details }
+     */
+    async checkPage(entries) {
+      const [items, story_list] = await Promise.all([
+        Promise.all(entries.map(({ article }) => client.item(article.id))),
+        descriptor.api_list ? client.storyList(descriptor.api_list) : null,
+      ]);
+
+      const checks = [];
+      entries.forEach(({ index, article }, i) => {
+        const item = items[i];
+        // A time read from "2 hours ago" is only good to the hour, the API would disagree with nearly every one of them
+        if (article.timestamp_source !== "relative") {
+          const html_time = Math.floor(article.timestamp.getTime() / 1000);
+          const time_passed = !!item && Math.abs(item.time - html_time) <= tolerance_s;
+          checks.push({ index, article, rule: "api-time", check: {
+            passed: time_passed,
+            message: time_passed ? null : (item
+              ? "was posted at " + new Date(item.time * 1000).toISOString() + " according to the API, the page shows " + article.timestamp.toISOString()
+              : "is not known to the API"),
+            html_time,
+            api_time: item ? item.time : null,
+          } });
+        }
+
+        if (!story_list) return;
+        const position = story_list.indexOf(article.id);
+        const order_passed = position !== -1 && (previous === null || position > previous.position);
+        checks.push({ index, article, rule: "api-order", check: {
+          passed: order_passed,
+          message: order_passed ? null : (position === -1
+            ? "is not in /v0/" + descriptor.api_list + ".json"
+            : "comes after ID " + previous.id + " on the page but before it in /v0/" + descriptor.api_list + ".json"),
+          api_position: position === -1 ? null : position + 1,
+          previous_api_position: previous ? previous.position + 1 : null,
+        } });
+        if (position !== -1) previous = { id: article.id, position };
+      });
+      return checks;
+    },
+  };
+}
+
+module.exports = { DEFAULT_API_TIMEOUT_MS, API_CHECKS, ApiError, createApiClient, createApiCrossCheck };
@@ -0,0 +1,250 @@
+/**
+ * Page object for a Hacker News article listing (e.g. /newest, /news or /jobs, see src/listings.js).
+ * Shared by index.js and the Playwright test suite, so both find and read articles the same way.
+ * @author Monty
+ */
+
+// Project modules
+const { resolveBaseUrl } = require("./config");
+const { getListing } = require("./listings");
+const { RequestThrottle, refusalReason } = require("./throttle");
+const { readTimestamp } = require("./timestamps");
+const { checkRow } = require("./schema");
+
+/**
+ * Reads every article row of the article table. Runs inside the browser.
+ * Each article is an ".athing" row followed by a row holding the ".subtext" (score, author, age and links).
+ * Job posts have neither a score nor an author, everything else is a story.
+ * Logged in, rows carry more: "flag" and "unvote" links, a hidden vote arrow for articles the user voted for, and
+ * "[dead]" before the title of articles only listed with showdead.
+ * @param {Element} table the article table
+ * @returns {object[]} raw article fields as found in the markup
+ */
+function readArticleRows(table) {
+  const text = (element) => (element ? element.textContent.trim() : null);
+  // The header shows the user's name ("#me") instead of "login" when the page is logged in
+  const me = table.ownerDocument.querySelector("#me");
+  const logged_in = me !== null;
+  const logged_in_user = text(me);
+
+  return Array.from(table.querySelectorAll("tr.athing")).map((row) => {
+    const subtext = row.nextElementSibling ? row.nextElementSibling.querySelector(".subtext") : null;
+    const find = (selector) => (subtext ? subtext.querySelector(selector) : null);
+    const link = row.querySelector(".titleline > a");
+    const age = find(".age");
+    const links = subtext ? Array.from(subtext.querySelectorAll("a")) : [];
+    const comments_link = [...links].reverse().find((a) => /comment|discuss/.test(a.textContent));
+    const author = find(".hnuser");
+    const vote = row.querySelector(".votelinks a[id^='up_']");
+    const titleline = row.querySelector(".titleline");
+
+    return {
+      type: find(".score") || find(".hnuser") ? "story" : "job",
+      rank: text(row.querySelector(".rank")),
+      id: row.getAttribute("id"),
+      title: text(link),
+      url: link ? link.href : null,
+      site: text(row.querySelector(".sitestr")),
+      author: text(author),
+      author_href: author ? author.getAttribute("href") : null,
+      points: text(find(".score")),
+      comments: text(comments_link),
+      age_title: age ? age.getAttribute("title") : null,
+      age_text: text(age),
+      // Text of every subtext link, e.g. "hide", "past" and "12 comments"
+      links: links.map((a) => a.textContent.trim()),
+      vote_href: vote ? vote.getAttribute("href") : null,
+      // The arrow stays in the markup after voting, hidden with "nosee"
+      voted: vote ? vote.classList.contains("nosee") : false,
+      dead: titleline ? titleline.textContent.trim().startsWith("[dead]") : false,
+      logged_in,
+      // Users cannot vote on their own submissions
+      logged_in_user,
+    };
+  });
+}
+
+/**
+ * Marks article rows so they stand out in a screenshot: a red outline around the title row and its subtext row.
+ * Runs in the browser, like readArticleRows().
+ * @param {Element} table the article table
+ * @param {string[]} ids item IDs of the rows to mark
+ * @returns {int} how many rows were found and marked
+ */
+function markRows(table, ids) {
+  let marked = 0;
+  for (const row of table.querySelectorAll("tr.athing")) {
+    if (!ids.includes(row.getAttribute("id"))) continue;
+    for (const tr of [row, row.nextElementSibling].filter(Boolean)) {
+      tr.style.outline = "3px solid #d00";
+      tr.style.background = "#fdd";
+    }
+    marked += 1;
+  }
+  return marked;
+}
+
+/**
+ * Turns the raw text of a row into a structured article record.
+ * @param {object} raw fields returned by readArticleRows()
+ * @param {Date} [now] when the row was read, used when only the relative age ("5 minutes ago") can be read
+ * @returns {object} { type, rank, id, title, url, site, author, points, comments, dead, voted, flagged, timestamp, timestamp_source,
+ *  timestamp_error, row_issues } fields the row does not show are null, e.g. the points of a job post. See src/timestamps.js for
+ *  the timestamp fields and src/schema.js for row_issues
+ */
+function toArticle(raw, now = new Date()) {
+  // Numbers are only present for some rows, e.g. a "discuss" link means no comments yet
+  const number = (value) => {
+    if (value === null) return null;
+    const match = value.match(/\d+/);
+    return match ? parseInt(match[0], 10) : 0;
+  };
+  const age = readTimestamp({ title: raw.age_title, text: raw.age_text }, now);
+
+  return {
+    type: raw.type || "story",
+    rank: raw.rank === null || raw.rank === "" ? null : parseInt(raw.rank, 10),
+    id: raw.id === null ? null : parseInt(raw.id, 10),
+    title: raw.title,
+    url: raw.url,
+    site: raw.site,
+    author: raw.author,
+    points: number(raw.points),
+    comments: number(raw.comments),
+    // Only listed for users with showdead
+    dead: !!raw.dead,
+    // What the logged-in user did to the article, always false logged out
+    voted: !!raw.voted,
+    flagged: (raw.links || []).includes("unflag"),
+    timestamp: age.timestamp,
+    // "title" or "relative", whichever the timestamp was read from
+    timestamp_source: age.source,
+    // Why the timestamp could not be read, null when it could (or the row shows no age)
+    timestamp_error: age.error,
+    // Where the row does not look like an article row should: [{ field, message }]
+    row_issues: checkRow(raw),
+  };
+}
+
+/**
+ * Page object for a Hacker News article listing.
+ */
+class ArticleListPage {
+  /**
+   * @param {Page} page Playwright page to drive
+   * @param {object} [options]
+   * @param {string} [options.base_url] Hacker News to use, defaults to HN_BASE_URL or the live site (see src/config.js)
+   * @param {string|object} [options.listing] listing name or descriptor (see src/listings.js), defaults to "newest"
+   * @param {string} [options.query] query string the listing is opened with, e.g. "?day=2024-10-18" for /front
+   * @param {RequestThrottle} [options.throttle] throttle every navigation goes through (see src/throttle.js), share one per run
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.base_url = resolveBaseUrl(options.base_url);
+    this.descriptor = getListing(options.listing || "newest");
+    this.listing = this.descriptor.name;
+    this.query = options.query || "";
+    this.throttle = options.throttle || new RequestThrottle();
+
+    // The button that shows more articles
+    // It is generally better to refer to a button by it's user-facing attributes, i.e. text instead of class name when possible
+    this.more_link = page.locator('.morelink');
+
+    // The article table is the second table nested in the page layout (the first is the header bar)
+    this.article_table = page.locator('table').locator('table').nth(1);
+  }
+
+  /**
+   * Opens the first page of the listing.
+   * @param {string} [query] query string to open the listing at, e.g. "?n=31", defaults to the one given to the constructor
+   */
+  async open(query = this.query) {
+    await this.goto(this.base_url + this.descriptor.path + query);
+  }
+
+  /**
+   * Navigates to the next page of the listing with the "More" link.
+   * The link's URL is loaded rather than clicked, so a refused page is retried at exactly the same offset.
+   * @returns {Promise<boolean>} whether there was a "More" link to follow
+   */
+  async next() {
+    const more_href = await this.moreHref();
+    if (!more_href) return false;
+    await this.goto(more_href);
+    return true;
+  }
+
+  /**
+   * @returns {Promise<string|null>} absolute URL the "More" link points to, or null when there is none
+   */
+  async moreHref() {
+    if (!(await this.hasMoreLink())) return null;
+    return new URL(await this.more_link.getAttribute('href'), this.page.url()).href;
+  }
+
+  /**
+   * Loads a URL through the throttle, which retries while the site refuses.
+   * @param {string} url absolute URL
+   */
+  async goto(url) {
+    await this.throttle.navigate(url, async (target) => {
+      const response = await this.page.goto(target, { waitUntil: 'domcontentloaded' });
+      return { status: response ? response.status() : null, body: await this.page.content() };
+    });
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether exactly one "More" link is on the page
+   */
+  async hasMoreLink() {
+    return (await this.more_link.count()) === 1;
+  }
+
+  /**
+   * @returns {Promise<string|null>} name of the user the page is logged in as, null when it shows "login"
+   */
+  async loggedInUser() {
+    const me = this.page.locator('#me');
+    if ((await me.count()) === 0) return null;
+    return (await me.textContent()).trim();
+  }
+
+  /**
+   * Reads the articles shown on the current page, in the order they are listed.
+   * @returns {Promise<object[]>} { type, rank, id, title, url, site, author, points, comments, timestamp } records
+   */
+  async articles() {
+    if ((await this.article_table.count()) === 0) return [];
+    const rows = await this.article_table.evaluate(readArticleRows);
+    const now = new Date();
+    return rows.map((raw) => toArticle(raw, now));
+  }
+
+  /**
+   * Marks articles on the current page so they stand out in a screenshot (see src/artifacts.js).
+   * @param {string[]} ids item IDs of the articles to mark
+   * @returns {Promise<int>} how many of them are on the page
+   */
+  async highlightRows(ids) {
+    if ((await this.article_table.count()) === 0) return 0;
+    return this.article_table.evaluate(markRows, ids.map(String));
+  }
+
+  /**
+   * @returns {Promise<string>} the HTML of the article table, or of the whole page when it has no article table
+   */
+  async tableHtml() {
+    if ((await this.article_table.count()) === 0) return this.page.content();
+    return this.article_table.evaluate((table) => table.outerHTML);
+  }
+
+  /**
+   * Hacker News answers with a bare "Sorry." page (or an empty body) when it refuses to serve a listing.
+   * @returns {Promise<boolean>} whether the current page is such a refusal instead of a listing
+   */
+  async isRateLimited() {
+    return refusalReason(null, await this.page.content()) !== null;
+  }
+}
+
+module.exports = { ArticleListPage, readArticleRows, markRows, toArticle };
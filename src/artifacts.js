@@ -0,0 +1,158 @@
+/**
+ * Failure artifacts: everything needed to see why a run did not pass, saved into one folder per run.
+ * While a run is going, each browser context records a HAR of its network traffic and a Playwright trace.
+ * While the validator checks a page and finds an offending article (a violation, pages that do not line up), the page it
+ * already has loaded is saved as a full-page screenshot, with the offending rows marked, and as the HTML of its article
+ * table. A page the run stops on (e.g. no "More" link) is saved the same way. Nothing is loaded again for this, so the
+ * files show the rows as they were checked. A run that passes throws the folder away again.
+ *
+ *   const artifacts = createArtifacts(dir);
+ *   const context = await browser.newContext(artifacts.contextOptions(0));
+ *   await artifacts.startTracing(context);
+ *   await validateListing(list_page, { capture: createCapture(artifacts) });
+ *   await artifacts.close(contexts, keep);
+ *
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Where artifact folders go unless told otherwise
+const DEFAULT_ARTIFACTS_DIR = "artifacts";
+
+/**
+ * @param {string} [root] directory holding the artifact folders of all runs
+ * @param {Date} [date] when the run started
+ * @returns {string} a new, timestamped folder for one run, e.g. "artifacts/run-2024-10-19T12-34-56Z"
+ */
+function newArtifactDir(root = DEFAULT_ARTIFACTS_DIR, date = new Date()) {
+  const stamp = date.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+  return path.join(root, "run-" + stamp);
+}
+
+/**
+ * Sets up the artifact folder of a run.
+ * @param {string} dir folder for this run's artifacts, see newArtifactDir()
+ * @returns {object} { dir, files, contextOptions(i), startTracing(context), add(kind, file, details), close(contexts, keep) }
+ */
+function createArtifacts(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const artifacts = {
+    dir,
+    // Every saved file: { kind, path, ...details } where kind is "screenshot", "table", "page", "har" or "trace"
+    files: [],
+
+    /**
+     * @param {int} i index of the browser context, each gets its own HAR
+     * @returns {object} options for browser.newContext() that record a HAR into the folder
+     */
+    contextOptions(i) {
+      return { recordHar: { path: contextFile(dir, "session", i, ".har") } };
+    },
+
+    /**
+     * @param {BrowserContext} context context to trace, with screenshots and DOM snapshots of every step
+     */
+    async startTracing(context) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    },
+
+    /**
+     * Remembers a saved file.
+     * @param {string} kind what the file is
+     * @param {string} file its path
+     * @param {object} [details] e.g. { url, ids } of a screenshot
+     * @returns {object} the remembered file: { kind, path, ...details }
+     */
+    add(kind, file, details = {}) {
+      const saved = { kind, path: file, ...details };
+      artifacts.files.push(saved);
+      return saved;
+    },
+
+    /**
+     * Stops tracing and closes the contexts, which writes their HARs.
+     * @param {BrowserContext[]} contexts the contexts set up with contextOptions()
+     * @param {boolean} keep whether to keep the folder; it is removed for a run that passed
+     */
+    async close(contexts, keep) {
+      for (const [i, context] of contexts.entries()) {
+        const trace = contextFile(dir, "trace", i, ".zip");
+        await context.tracing.stop(keep ? { path: trace } : undefined);
+        await context.close();
+        if (keep) {
+          artifacts.add("trace", trace);
+          artifacts.add("har", contextFile(dir, "session", i, ".har"));
+        }
+      }
+      if (!keep) fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+  return artifacts;
+}
+
+/**
+ * @param {string} dir artifact folder
+ * @param {string} name file name without extension
+ * @param {int} i index of the browser context, the first one gets the plain name and the others "-2", "-3", ...
+ * @param {string} extension e.g. ".har"
+ * @returns {string} path of a per-context file
+ */
+function contextFile(dir, name, i, extension) {
+  return path.join(dir, name + (i > 0 ? "-" + (i + 1) : "") + extension);
+}
+
+/**
+ * Reads what the page a page object is on looks like right now, before it moves on.
+ * Runs while the run goes, so the evidence shows the rows as they were checked, and no page is loaded again for it.
+ * @param {ArticleListPage} list_page page object on the page
+ * @param {string[]} [ids] item IDs of the rows to mark in the screenshot
+ * @returns {Promise<object>} { screenshot, table_html, html, marked }: screenshot is a PNG Buffer, marked how many rows were marked
+ */
+async function readEvidence(list_page, ids = []) {
+  const marked = ids.length > 0 ? await list_page.highlightRows(ids) : 0;
+  return {
+    screenshot: await list_page.page.screenshot({ fullPage: true }),
+    table_html: await list_page.tableHtml(),
+    html: await list_page.page.content(),
+    marked,
+  };
+}
+
+/**
+ * Saves evidence from readEvidence() into a run's artifact folder as the validator finds offending pages (see src/validator.js).
+ * @param {object} artifacts the run's artifacts from createArtifacts()
+ * @returns {object} { page(capture), stopped(capture) }, each returns the files it saved, also added to artifacts.files
+ */
+function createCapture(artifacts) {
+  return {
+    /**
+     * Saves a page with offending articles as a screenshot (page-<n>.png) and the HTML of its article table (page-<n>.table.html).
+     * @param {object} capture { page_number, url, ids, evidence } page_number is the 1-based position in results.pages
+     * @returns {object[]} the files saved
+     */
+    page({ page_number, url, ids, evidence }) {
+      const screenshot = path.join(artifacts.dir, "page-" + page_number + ".png");
+      fs.writeFileSync(screenshot, evidence.screenshot);
+      const table = path.join(artifacts.dir, "page-" + page_number + ".table.html");
+      fs.writeFileSync(table, evidence.table_html);
+      return [artifacts.add("screenshot", screenshot, { url, ids, marked: evidence.marked }), artifacts.add("table", table, { url, ids })];
+    },
+
+    /**
+     * Saves the page a run stopped on (stopped.png and stopped.html), e.g. "Sorry." instead of a listing.
+     * @param {object} capture { url, evidence }
+     * @returns {object[]} the files saved
+     */
+    stopped({ url, evidence }) {
+      const screenshot = path.join(artifacts.dir, "stopped.png");
+      fs.writeFileSync(screenshot, evidence.screenshot);
+      const html = path.join(artifacts.dir, "stopped.html");
+      fs.writeFileSync(html, evidence.html);
+      return [artifacts.add("screenshot", screenshot, { url, ids: [] }), artifacts.add("page", html, { url })];
+    },
+  };
+}
+
+module.exports = { DEFAULT_ARTIFACTS_DIR, newArtifactDir, createArtifacts, readEvidence, createCapture };
@@ -0,0 +1,300 @@
+/**
+ * Command line interface of the validator ("node index.js --help").
+ * @author Monty
+ */
+
+// Project modules
+const { DEFAULT_ARTICLE_COUNT } = require("./validator");
+const { STATUS } = require("./results");
+const { WRITERS } = require("./writers");
+const { newRecordingDir } = require("./recorder");
+const { DEFAULT_ARTIFACTS_DIR, newArtifactDir } = require("./artifacts");
+const { DEFAULT_HISTORY_FILE } = require("./history");
+const { DEFAULT_REPORT_FILE } = require("./report");
+const { RULES, defaultRulesFor } = require("./rules");
+const { LISTINGS } = require("./listings");
+const { DEFAULT_RETRIES, DEFAULT_BACKOFF_MS } = require("./throttle");
+const { SEVERITY } = require("./consistency");
+const { DEFAULT_API_URL } = require("./config");
+const { DEFAULT_SHARD_INTERVAL_MS, canShard } = require("./shards");
+const { COMPARISON_MODES, DEFAULT_COMPARISON } = require("./comparison");
+const { DEFAULT_WATCH_INTERVAL_S } = require("./watch");
+const { DEFAULT_STORAGE_STATE } = require("./session");
+
+/**
+ * Process exit codes.
+ *  PASSED       every check that fails a run passed
+ *  VIOLATION    the listing broke a check: a sort-order rule, the row schema, page consistency or the API cross-check
+ *  ENVIRONMENT  the run could not finish checking: bad options, browser problems, the site refused to serve the listing or the API failed,
+ *               a page without articles, a timestamp that could not be read, or a saved session the site no longer takes
+ */
+const EXIT_CODES = Object.freeze({ PASSED: 0, VIOLATION: 1, ENVIRONMENT: 2 });
+
+// Browsers Playwright can drive
+const BROWSERS = ["chromium", "firefox", "webkit"];
+
+// "text" is the console log, which is always written; the others come from src/writers.js
+const FORMATS = ["text", ...Object.keys(WRITERS)];
+
+const USAGE = `Usage: node index.js [options]
+       node index.js watch [--interval-s <n>] [--iterations <n>] [--notify <list>] [options]
+       node index.js report [--history <file>] [--out <file>]
+
+Validates that the first articles listed on Hacker News /newest are sorted from newest to oldest,
+or checks another listing against its sort-order rules. Every run is added to the run history,
+"report" turns the history into an HTML trend page (default ${DEFAULT_REPORT_FILE}).
+"watch" checks the listing again and again, and reports violations and articles that disappeared or moved.
+
+Options:
+  --count <n>            number of articles to validate (default ${DEFAULT_ARTICLE_COUNT})
+  --start-offset <n>     skip this many articles before validating (default 0)
+  --headless, --headed   run the browser without or with a window (default headed)
+  --browser <name>       ${BROWSERS.join(" | ")} (default chromium)
+  --listing <name>       ${Object.keys(LISTINGS).join(" | ")} (default newest)
+  --base-url <url>       Hacker News to test against (default HN_BASE_URL or https://news.ycombinator.com)
+  --rules <list>         comma separated sort-order rules to check (default for newest: ${defaultRulesFor("newest").join(",")})
+                         available: ${Object.keys(RULES).join(", ")}
+  --comparison <mode>    how equal timestamps compare: ${Object.values(COMPARISON_MODES).join(" | ")} (default ${DEFAULT_COMPARISON.mode})
+  --tolerance-s <n>      seconds an article may be newer than the one before it if the IDs are in order, implies --comparison tolerance
+  --api-check            cross-check every article's time and order with the Firebase API
+  --api-url <url>        Firebase-compatible API to cross-check with, implies --api-check (default HN_API_URL or ${DEFAULT_API_URL})
+  --consistency <mode>   pages that do not line up (duplicate IDs, rank gaps, "More" link offset): ${Object.values(SEVERITY).join(" | ")} (default fail)
+  --schema <mode>        rows that do not look like article rows (title, link, site, author, score, comments, links): ${Object.values(SEVERITY).join(" | ")} (default fail)
+  --format <list>        comma separated: ${FORMATS.join(", ")} (default text)
+  --out <path>           where to write non-text formats, the extension is added (default logs/hn_results_<timestamp>)
+  --record [dir]         save every visited page (default a new directory under fixtures/recordings)
+  --replay <dir>         serve a previous recording instead of using the network
+  --artifacts <dir>      where a run that does not pass saves screenshots, table HTML, a HAR and a trace (default ${DEFAULT_ARTIFACTS_DIR}/run-<timestamp>)
+  --no-artifacts         save nothing when the run does not pass, print the page HTML instead
+  --credentials <file>   log in with the JSON {"username", "password"} in this file, and save the session for the next runs
+  --session <file>       Playwright storageState to reuse while the site takes it, and to save a new session to (default ${DEFAULT_STORAGE_STATE} with --credentials)
+  --history <file>       run history to append this run to, or to report on (default ${DEFAULT_HISTORY_FILE})
+  --no-history           do not add this run to the history
+  --shards <n>           load pages concurrently in this many browser contexts (default 1, one page at a time)
+  --min-interval-ms <n>  least time between two requests of the run (default 0, or ${DEFAULT_SHARD_INTERVAL_MS} with --shards)
+  --retries <n>          how often a refused ("Sorry.") page may be retried in the whole run (default ${DEFAULT_RETRIES})
+  --backoff-ms <n>       wait before the first retry, doubled for every further one (default ${DEFAULT_BACKOFF_MS})
+  --help                 show this message
+
+Watch options:
+  --interval-s <n>       seconds between two checks (default ${DEFAULT_WATCH_INTERVAL_S})
+  --iterations <n>       stop after this many checks (default: until Ctrl-C)
+  --notify <list>        comma separated: stdout, or a webhook URL incidents are POSTed to as JSON (default stdout)
+
+Exit codes:
+  ${EXIT_CODES.PASSED}  every check passed
+  ${EXIT_CODES.VIOLATION}  a check failed: sort order, row schema, page consistency or API cross-check
+  ${EXIT_CODES.ENVIRONMENT}  the run could not finish checking: bad options, browser, rate-limit or API failure, a page without
+     articles, an unreadable timestamp or an expired session
+`;
+
+/**
+ * Thrown for options that cannot be understood, reported with the usage text.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Reads a whole number option.
+ * @param {string} name option name, for the error message
+ * @param {string} value option value
+ * @param {int} min smallest allowed value
+ * @returns {int} the number
+ */
+function parseWholeNumber(name, value, min) {
+  if (!/^\d+$/.test(value || "") || parseInt(value, 10) < min) {
+    throw new UsageError(name + " needs a whole number of at least " + min + ", got " + JSON.stringify(value));
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Reads the command line options. Values can be given as "--count 30" or "--count=30".
+ * @param {string[]} argv command line arguments after the script name
+ * @param {Date} [now] used to name default output files
+ * @returns {object} { command: "validate" or "watch", count, start_offset, headless, browser, listing, base_url, rules, comparison, consistency, schema, api_check, api_url, formats, out, record_dir, replay_dir, artifacts_dir, credentials_file, storage_state, history_file, shards, min_interval_ms, retries, backoff_ms, watch, help }
+ *  where watch is { interval_s, iterations, notify } for "node index.js watch", null otherwise
+ */
+function parseArguments(argv, now = new Date()) {
+  if (argv[0] === "report") return parseReportArguments(argv.slice(1));
+
+  // "node index.js watch" takes every validation option, plus its own
+  const watch = argv[0] === "watch";
+  if (watch) argv = argv.slice(1);
+
+  const options = {
+    command: watch ? "watch" : "validate",
+    count: DEFAULT_ARTICLE_COUNT,
+    start_offset: 0,
+    headless: false,
+    browser: "chromium",
+    listing: "newest",
+    base_url: undefined,
+    rules: null,
+    comparison: { mode: null, tolerance_s: 0 },
+    consistency: SEVERITY.FAIL,
+    schema: SEVERITY.FAIL,
+    api_check: false,
+    api_url: undefined,
+    formats: ["text"],
+    out: null,
+    record_dir: null,
+    replay_dir: null,
+    artifacts_dir: newArtifactDir(undefined, now),
+    credentials_file: null,
+    storage_state: null,
+    history_file: DEFAULT_HISTORY_FILE,
+    shards: 1,
+    min_interval_ms: null,
+    retries: DEFAULT_RETRIES,
+    backoff_ms: DEFAULT_BACKOFF_MS,
+    watch: watch ? { interval_s: DEFAULT_WATCH_INTERVAL_S, iterations: null, notify: ["stdout"] } : null,
+    help: false,
+  };
+
+  const args = argv.flatMap((arg) => (/^--[^=]+=/.test(arg) ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg]));
+  const value = (i) => {
+    if (args[i + 1] === undefined || args[i + 1].startsWith("--")) throw new UsageError(args[i] + " needs a value");
+    return args[i + 1];
+  };
+  const watchOptions = (i) => {
+    if (!watch) throw new UsageError(args[i] + " only applies to \"node index.js watch\"");
+    return options.watch;
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--count": options.count = parseWholeNumber("--count", value(i), 1); i++; break;
+      case "--start-offset": options.start_offset = parseWholeNumber("--start-offset", value(i), 0); i++; break;
+      case "--headless": options.headless = true; break;
+      case "--headed": options.headless = false; break;
+      case "--browser":
+        options.browser = value(i); i++;
+        if (!BROWSERS.includes(options.browser)) throw new UsageError("--browser must be one of " + BROWSERS.join(", "));
+        break;
+      case "--listing":
+        options.listing = value(i); i++;
+        if (!LISTINGS[options.listing]) throw new UsageError("--listing must be one of " + Object.keys(LISTINGS).join(", "));
+        break;
+      case "--base-url": options.base_url = value(i); i++; break;
+      case "--rules":
+        options.rules = value(i).split(",").map((rule) => rule.trim()).filter(Boolean); i++;
+        for (const rule of options.rules) {
+          if (!RULES[rule]) throw new UsageError("--rules must be a list of " + Object.keys(RULES).join(", ") + ", got " + JSON.stringify(rule));
+        }
+        break;
+      case "--comparison":
+        options.comparison.mode = value(i); i++;
+        if (!Object.values(COMPARISON_MODES).includes(options.comparison.mode)) throw new UsageError("--comparison must be one of " + Object.values(COMPARISON_MODES).join(", "));
+        break;
+      case "--tolerance-s": options.comparison.tolerance_s = parseWholeNumber("--tolerance-s", value(i), 0); i++; break;
+      case "--api-check": options.api_check = true; break;
+      case "--api-url": options.api_url = value(i); options.api_check = true; i++; break;
+      case "--consistency":
+        options.consistency = value(i); i++;
+        if (!Object.values(SEVERITY).includes(options.consistency)) throw new UsageError("--consistency must be one of " + Object.values(SEVERITY).join(", "));
+        break;
+      case "--schema":
+        options.schema = value(i); i++;
+        if (!Object.values(SEVERITY).includes(options.schema)) throw new UsageError("--schema must be one of " + Object.values(SEVERITY).join(", "));
+        break;
+      case "--format":
+        options.formats = value(i).split(",").map((format) => format.trim()).filter(Boolean); i++;
+        for (const format of options.formats) {
+          if (!FORMATS.includes(format)) throw new UsageError("--format must be a list of " + FORMATS.join(", ") + ", got " + JSON.stringify(format));
+        }
+        break;
+      case "--out": options.out = value(i); i++; break;
+      case "--record":
+        options.record_dir = (args[i + 1] && !args[i + 1].startsWith("--")) ? args[++i] : newRecordingDir(undefined, now);
+        break;
+      case "--replay": options.replay_dir = value(i); i++; break;
+      case "--artifacts": options.artifacts_dir = value(i); i++; break;
+      case "--no-artifacts": options.artifacts_dir = null; break;
+      case "--credentials": options.credentials_file = value(i); i++; break;
+      case "--session": options.storage_state = value(i); i++; break;
+      case "--history": options.history_file = value(i); i++; break;
+      case "--no-history": options.history_file = null; break;
+      case "--shards": options.shards = parseWholeNumber("--shards", value(i), 1); i++; break;
+      case "--min-interval-ms": options.min_interval_ms = parseWholeNumber("--min-interval-ms", value(i), 0); i++; break;
+      case "--retries": options.retries = parseWholeNumber("--retries", value(i), 0); i++; break;
+      case "--backoff-ms": options.backoff_ms = parseWholeNumber("--backoff-ms", value(i), 0); i++; break;
+      case "--interval-s": watchOptions(i).interval_s = parseWholeNumber("--interval-s", value(i), 1); i++; break;
+      case "--iterations": watchOptions(i).iterations = parseWholeNumber("--iterations", value(i), 1); i++; break;
+      case "--notify":
+        watchOptions(i).notify = value(i).split(",").map((notifier) => notifier.trim()).filter(Boolean); i++;
+        for (const notifier of options.watch.notify) {
+          if (notifier !== "stdout" && !/^https?:\/\/./.test(notifier)) throw new UsageError("--notify must be a list of stdout or webhook URLs, got " + JSON.stringify(notifier));
+        }
+        break;
+      case "--help": case "-h": options.help = true; break;
+      default: throw new UsageError("Unknown option: " + args[i]);
+    }
+  }
+
+  // A tolerance only means something in the tolerance mode
+  if (!options.comparison.mode) options.comparison.mode = options.comparison.tolerance_s > 0 ? COMPARISON_MODES.TOLERANCE : DEFAULT_COMPARISON.mode;
+  if (options.comparison.tolerance_s > 0 && options.comparison.mode !== COMPARISON_MODES.TOLERANCE) {
+    throw new UsageError("--tolerance-s only applies to --comparison " + COMPARISON_MODES.TOLERANCE);
+  }
+
+  // Sharded runs skip the "More" links, which only works for listings that can be opened at any offset
+  if (options.shards > 1 && !canShard(options.listing)) {
+    throw new UsageError("--shards needs a listing whose pages can be opened directly, " + options.listing + " can only be walked page by page");
+  }
+  if (options.shards > 1 && options.record_dir) throw new UsageError("--record cannot be combined with --shards");
+
+  // A run that logs in keeps its session for the next one, a replay has no site to log in to
+  if (options.credentials_file && !options.storage_state) options.storage_state = DEFAULT_STORAGE_STATE;
+  if (options.replay_dir && options.storage_state) throw new UsageError("--credentials and --session cannot be combined with --replay");
+  if (options.min_interval_ms === null) options.min_interval_ms = options.shards > 1 ? DEFAULT_SHARD_INTERVAL_MS : 0;
+
+  // An output path on its own asks for JSON, an output format on its own gets a timestamped file under logs/
+  const file_formats = options.formats.filter((format) => format !== "text");
+  if (options.out && file_formats.length === 0) options.formats.push("json");
+  if (!options.out && file_formats.length > 0) {
+    options.out = "logs/hn_results_" + now.toISOString().replace(/\.\d+Z$/, "").replace(/:/g, "-");
+  }
+
+  return options;
+}
+
+/**
+ * Reads the options of "node index.js report".
+ * @param {string[]} argv command line arguments after "report"
+ * @returns {object} { command: "report", history_file, out, help }
+ */
+function parseReportArguments(argv) {
+  const options = { command: "report", history_file: DEFAULT_HISTORY_FILE, out: DEFAULT_REPORT_FILE, help: false };
+  const args = argv.flatMap((arg) => (/^--[^=]+=/.test(arg) ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg]));
+  const value = (i) => {
+    if (args[i + 1] === undefined || args[i + 1].startsWith("--")) throw new UsageError(args[i] + " needs a value");
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--history": options.history_file = value(i); i++; break;
+      case "--out": options.out = value(i); i++; break;
+      case "--help": case "-h": options.help = true; break;
+      default: throw new UsageError("Unknown report option: " + args[i]);
+    }
+  }
+  return options;
+}
+
+/**
+ * @param {object} results run results (see src/results.js)
+ * @returns {int} the process exit code for the run
+ */
+function exitCodeFor(results) {
+  if (results.status === STATUS.PASSED) return EXIT_CODES.PASSED;
+  if (results.status === STATUS.FAILED) return EXIT_CODES.VIOLATION;
+  return EXIT_CODES.ENVIRONMENT;
+}
+
+module.exports = { EXIT_CODES, BROWSERS, FORMATS, USAGE, UsageError, parseArguments, exitCodeFor };
@@ -0,0 +1,61 @@
+/**
+ * How two article timestamps are compared by the time-based rules (see newest-first in src/rules.js).
+ * Hacker News timestamps only have whole seconds, so articles posted in the same second are common, and a little clock skew
+ * on the server can put an article a second or two "ahead" of the one listed before it. The policy says how much of that is accepted:
+ *
+ *  allow-equal  an article may have the same time as the one before it, but never a later one
+ *  strict       an article must be older than the one before it; in the same second the one with the larger ID must come first
+ *  tolerance    like strict, but an article may be up to tolerance_s seconds newer as long as the IDs are in order
+ *
+ * Ties (same second, or within the tolerance) are broken by item ID, since Hacker News hands out IDs in posting order.
+ * @author Monty
+ */
+
+// Comparison modes, see above
+const COMPARISON_MODES = Object.freeze({ ALLOW_EQUAL: "allow-equal", STRICT: "strict", TOLERANCE: "tolerance" });
+
+// Comparing the way the script always has: equal timestamps are fine, a later one is not
+const DEFAULT_COMPARISON = Object.freeze({ mode: COMPARISON_MODES.ALLOW_EQUAL, tolerance_s: 0 });
+
+/**
+ * Fills in a comparison policy.
+ * @param {object} [policy] { mode, tolerance_s }, a tolerance without a mode means the "tolerance" mode
+ * @returns {object} { mode, tolerance_s }
+ */
+function resolveComparison(policy = {}) {
+  const tolerance_s = policy.tolerance_s || 0;
+  const mode = policy.mode || (tolerance_s > 0 ? COMPARISON_MODES.TOLERANCE : DEFAULT_COMPARISON.mode);
+  if (!Object.values(COMPARISON_MODES).includes(mode)) {
+    throw new Error("Unknown comparison mode: " + mode + " (available: " + Object.values(COMPARISON_MODES).join(", ") + ")");
+  }
+  return { mode, tolerance_s: mode === COMPARISON_MODES.TOLERANCE ? tolerance_s : 0 };
+}
+
+/**
+ * @param {object} policy comparison policy
+ * @returns {string} the policy for people, e.g. "strict" or "tolerance of 2 s"
+ */
+function describeComparison(policy) {
+  return policy.mode === COMPARISON_MODES.TOLERANCE ? "tolerance of " + policy.tolerance_s + " s" : policy.mode;
+}
+
+/**
+ * Decides whether an article may be listed after another under the policy.
+ * @param {object} article the later-listed article, { id, timestamp }
+ * @param {object} before the article listed before it, { id, timestamp }
+ * @param {object} policy comparison policy from resolveComparison()
+ * @returns {object} { passed, diff_s, tie } where diff_s is how many seconds newer the article is (negative when older)
+ *  and tie says whether the item IDs decided
+ */
+function compareTimestamps(article, before, policy) {
+  const diff_s = (article.timestamp.getTime() - before.timestamp.getTime()) / 1000;
+  if (policy.mode === COMPARISON_MODES.ALLOW_EQUAL) return { passed: diff_s <= 0, diff_s, tie: false };
+
+  if (diff_s < 0) return { passed: true, diff_s, tie: false };
+  if (diff_s > policy.tolerance_s) return { passed: false, diff_s, tie: false };
+  // A clock reading has no ID to break the tie with
+  if (before.id === null || before.id === undefined) return { passed: true, diff_s, tie: false };
+  return { passed: article.id < before.id, diff_s, tie: true };
+}
+
+module.exports = { COMPARISON_MODES, DEFAULT_COMPARISON, resolveComparison, describeComparison, compareTimestamps };
@@ -0,0 +1,32 @@
+/**
+ * Shared settings for the validator script and the test suite.
+ * @author Monty
+ */
+
+// The real site, used unless a base URL is configured
+const DEFAULT_BASE_URL = "https://news.ycombinator.com";
+
+// The official Hacker News API (Firebase), used to cross-check what the site shows
+const DEFAULT_API_URL = "https://hacker-news.firebaseio.com";
+
+/**
+ * Works out which Hacker News to talk to.
+ * Set HN_BASE_URL (e.g. "http://127.0.0.1:3000" for the local stand-in) to avoid hitting the live site.
+ * @param {string} [base_url] explicitly requested base URL, takes precedence over the environment
+ * @returns {string} base URL without a trailing slash
+ */
+function resolveBaseUrl(base_url) {
+  return (base_url || process.env.HN_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
+/**
+ * Works out which Firebase-compatible Hacker News API to cross-check against.
+ * Set HN_API_URL (e.g. "http://127.0.0.1:3000", the stand-in serves the API too) to avoid hitting the real one.
+ * @param {string} [api_url] explicitly requested API URL, takes precedence over the environment
+ * @returns {string} API URL without a trailing slash, "/v0/..." paths are appended to it
+ */
+function resolveApiUrl(api_url) {
+  return (api_url || process.env.HN_API_URL || DEFAULT_API_URL).replace(/\/+$/, "");
+}
+
+module.exports = { DEFAULT_BASE_URL, DEFAULT_API_URL, resolveBaseUrl, resolveApiUrl };
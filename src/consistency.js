@@ -0,0 +1,108 @@
+/**
+ * Cross-page consistency of a listing walk.
+ * "Exactly the first 100 articles" only holds if the pages line up: no article may show up on two pages,
+ * the ranks on the next page must carry on from the last one, and the "More" link must point where we actually are.
+ * A tracker sees every page of the walk in order (all rows on it, including ones skipped by a start offset):
+ *
+ *   const tracker = createConsistencyTracker();
+ *   const issues = tracker.checkPage({ url, more_href, articles });   // [] when the page is consistent
+ *
+ * @author Monty
+ */
+
+// What to do about inconsistent pages
+const SEVERITY = Object.freeze({ FAIL: "fail", WARN: "warn", OFF: "off" });
+
+// The checks made, keyed by name
+const CONSISTENCY_CHECKS = {
+  "unique-ids": "no article appears more than once across pages",
+  "ranks-continue": "the ranks on a page continue from the last rank of the page before",
+  "more-link-offset": "the \"More\" link continues at the number of articles seen",
+};
+
+/**
+ * @param {string|null} more_href absolute URL of the "More" link
+ * @param {string} name query parameter
+ * @returns {int|null} the parameter as a number, null when the link or the parameter is missing
+ */
+function linkParameter(more_href, name) {
+  if (!more_href) return null;
+  const value = new URL(more_href).searchParams.get(name);
+  return value === null ? null : parseInt(value, 10);
+}
+
+/**
+ * Starts tracking a listing walk.
+ * @returns {object} { checkPage({ url, more_href, articles }), pages_seen, rows_seen }
+ */
+function createConsistencyTracker() {
+  // Where each ID was first seen: { page_url, position }
+  const first_seen = new Map();
+  let last_rank = null;
+  // Rank of the first row of the walk, ranks and "n=" count from there
+  let start_rank = null;
+  // Page number the walk started at, for listings paginated with "p="
+  let start_page = null;
+
+  const tracker = {
+    pages_seen: 0,
+    rows_seen: 0,
+
+    /**
+     * Checks one page against everything seen before it.
+     * @param {object} page
+     * @param {string} page.url URL of the page
+     * @param {string|null} [page.more_href] absolute URL of its "More" link, undefined when not known
+     * @param {object[]} page.articles every article on the page (see ArticleListPage.articles())
+     * @returns {object[]} issues: { check, page_url, position, id, rank, message }, position is 1-based in the walk
+     */
+    checkPage(page) {
+      const issues = [];
+      const issue = (check, article, position, message) => issues.push({
+        check, page_url: page.url, position, id: article ? article.id : null, rank: article ? article.rank : null, message,
+      });
+
+      page.articles.forEach((article, i) => {
+        const position = tracker.rows_seen + i + 1;
+        const seen = first_seen.get(article.id);
+        if (seen) {
+          issue("unique-ids", article, position, "ID " + article.id + " was already listed at position " + seen.position + " (" + seen.page_url + ")");
+        } else {
+          first_seen.set(article.id, { page_url: page.url, position });
+        }
+      });
+
+      // Job posts have no rank, so only ranked rows are compared
+      const ranked = page.articles.filter((article) => article.rank !== null && article.rank !== undefined);
+      if (ranked.length > 0) {
+        if (start_rank === null) start_rank = ranked[0].rank - page.articles.indexOf(ranked[0]);
+        if (last_rank !== null && ranked[0].rank !== last_rank + 1) {
+          issue("ranks-continue", ranked[0], tracker.rows_seen + page.articles.indexOf(ranked[0]) + 1,
+            "page starts at rank " + ranked[0].rank + ", expected " + (last_rank + 1) + " after the page before");
+        }
+        last_rank = ranked[ranked.length - 1].rank;
+      }
+
+      tracker.pages_seen += 1;
+      tracker.rows_seen += page.articles.length;
+
+      // "n=" is the rank the next page starts at, "p=" is its page number
+      const last = page.articles[page.articles.length - 1];
+      const n = linkParameter(page.more_href, "n");
+      if (n !== null && start_rank !== null && n !== start_rank + tracker.rows_seen) {
+        issue("more-link-offset", last, tracker.rows_seen,
+          "\"More\" link continues at n=" + n + " but " + tracker.rows_seen + " articles were seen from rank " + start_rank);
+      }
+      const p = linkParameter(page.more_href, "p");
+      if (p !== null && start_page === null) start_page = p - 1;
+      if (p !== null && p !== start_page + tracker.pages_seen) {
+        issue("more-link-offset", last, tracker.rows_seen, "\"More\" link goes to p=" + p + " after " + tracker.pages_seen + " pages from p=" + start_page);
+      }
+
+      return issues;
+    },
+  };
+  return tracker;
+}
+
+module.exports = { SEVERITY, CONSISTENCY_CHECKS, createConsistencyTracker };
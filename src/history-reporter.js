@@ -0,0 +1,58 @@
+/**
+ * Playwright reporter that appends each test suite run to the run history (see src/history.js).
+ * run-playwright-test-suite.sh adds it next to the HTML reporter: "npx playwright test --reporter=html,./src/history-reporter.js".
+ * The history file is HN_HISTORY_FILE, or logs/history.jsonl.
+ * @author Monty
+ */
+
+// Project modules
+const { DEFAULT_HISTORY_FILE, HISTORY_FORMAT_VERSION, RUN_KINDS, appendHistory } = require("./history");
+
+class HistoryReporter {
+  /**
+   * @param {object} [options] reporter options from playwright.config.js
+   * @param {string} [options.history_file] history file, overrides HN_HISTORY_FILE
+   */
+  constructor(options = {}) {
+    this.history_file = options.history_file || process.env.HN_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+    this.suite = null;
+  }
+
+  onBegin(config, suite) {
+    this.suite = suite;
+  }
+
+  /**
+   * Appends the run once every test has finished.
+   * @param {object} result { status, startTime, duration } of the whole run
+   */
+  onEnd(result) {
+    // Each test counts once however often it was retried, a test that passed on a retry is flaky
+    const tests = { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0 };
+    for (const test of this.suite ? this.suite.allTests() : []) {
+      const outcome = test.outcome();
+      tests.total += 1;
+      if (outcome === "expected") tests.passed += 1;
+      else if (outcome === "unexpected") tests.failed += 1;
+      else if (outcome === "flaky") tests.flaky += 1;
+      else tests.skipped += 1;
+    }
+
+    appendHistory(this.history_file, {
+      format_version: HISTORY_FORMAT_VERSION,
+      kind: RUN_KINDS.SUITE,
+      started_at: result.startTime.toISOString(),
+      duration_ms: Math.round(result.duration),
+      // "passed", "failed", "timedout" or "interrupted"
+      status: result.status,
+      base_url: process.env.HN_BASE_URL || null,
+      tests,
+    });
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = HistoryReporter;
@@ -0,0 +1,156 @@
+/**
+ * History of runs: one line of JSON per run, appended to logs/history.jsonl.
+ * The validator adds a line after every run (see index.js) and the test suite adds one through src/history-reporter.js,
+ * so the trend report (see src/report.js) can tell a site that is flaky (refused pages, the odd error) from a real regression
+ * (violations that keep coming back). A line only holds what the trend report needs; the full results stay in the JSON results file.
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Where runs are appended unless told otherwise
+const DEFAULT_HISTORY_FILE = "logs/history.jsonl";
+
+// Bumped whenever the meaning of an entry changes, so old lines are never misread
+const HISTORY_FORMAT_VERSION = 1;
+
+// What kind of run an entry is about
+const RUN_KINDS = Object.freeze({ VALIDATOR: "validator", SUITE: "suite" });
+
+/**
+ * @param {number[]} values
+ * @returns {number|null} the average, null without values
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Boils the results of a validator run down to a history entry.
+ * @param {object} results finished run results (see src/results.js)
+ * @param {object} [extra] more fields, e.g. { results_file } to find the full results again
+ * @returns {object} the entry
+ */
+function toHistoryEntry(results, extra = {}) {
+  const violations_per_rule = {};
+  for (const violation of results.violations) violations_per_rule[violation.rule] = (violations_per_rule[violation.rule] || 0) + 1;
+
+  return {
+    format_version: HISTORY_FORMAT_VERSION,
+    kind: RUN_KINDS.VALIDATOR,
+    started_at: results.started_at,
+    duration_ms: results.duration_ms,
+    status: results.status,
+    message: results.message,
+    listing: results.listing,
+    base_url: results.base_url,
+    mode: results.mode,
+    count: results.count,
+    checked: results.checked.length,
+    violations: results.violations.length,
+    violations_per_rule,
+    consistency_issues: (results.consistency_issues || []).length,
+    // Rows that did not match the row schema, per field (see src/schema.js)
+    schema_counts: results.schema_counts || {},
+    // Every time the site refused a page, retried or not (see src/throttle.js)
+    refusals: (results.throttle_events || []).length,
+    pages: results.pages.length,
+    avg_load_ms: average(results.pages.map((page) => page.load_ms).filter((ms) => typeof ms === "number")),
+    avg_read_ms: average(results.pages.map((page) => page.read_ms).filter((ms) => typeof ms === "number")),
+    ...extra,
+  };
+}
+
+/**
+ * Appends an entry to a history file, which is created along with its directory when missing.
+ * @param {string} file history file
+ * @param {object} entry from toHistoryEntry(), or a test suite entry (see src/history-reporter.js)
+ */
+function appendHistory(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Reads a history file. A line that is not JSON (e.g. from a run that was killed while writing) is skipped, as are
+ * entries of another format version.
+ * @param {string} file history file
+ * @returns {object} { entries, skipped } where skipped counts the lines that could not be used; no entries when the file is missing
+ */
+function readHistory(file) {
+  if (!fs.existsSync(file)) return { entries: [], skipped: 0 };
+
+  const entries = [];
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (line.trim() === "") continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      skipped += 1;
+      continue;
+    }
+    if (!entry || entry.format_version !== HISTORY_FORMAT_VERSION) {
+      skipped += 1;
+      continue;
+    }
+    entries.push(entry);
+  }
+  // Runs started concurrently may have been appended out of order
+  entries.sort((a, b) => Date.parse(a.started_at) - Date.parse(b.started_at));
+  return { entries, skipped };
+}
+
+/**
+ * Works out the trends the report shows.
+ * @param {object[]} entries history entries, oldest first
+ * @returns {object} { runs, days, listings, suite } where
+ *  days has { day, runs, passed, failed, errors, pass_rate, rate_limited, avg_load_ms } per UTC day with validator runs,
+ *  listings has { listing, runs, passed, failed, errors, violations, rate_limited, avg_load_ms } per listing,
+ *  suite has { day, runs, passed, pass_rate, flaky } per UTC day with test suite runs
+ */
+function summarizeHistory(entries) {
+  const validator_runs = entries.filter((entry) => entry.kind === RUN_KINDS.VALIDATOR);
+  const suite_runs = entries.filter((entry) => entry.kind === RUN_KINDS.SUITE);
+
+  const groupBy = (list, key) => {
+    const groups = new Map();
+    for (const entry of list) {
+      const name = key(entry);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(entry);
+    }
+    return [...groups.entries()];
+  };
+  const dayOf = (entry) => entry.started_at.slice(0, 10);
+  const outcomes = (runs) => ({
+    runs: runs.length,
+    passed: runs.filter((run) => run.status === "passed").length,
+    failed: runs.filter((run) => run.status === "failed").length,
+    errors: runs.filter((run) => run.status === "error").length,
+    // A run that was refused at least once, whether or not a retry got the page in the end
+    rate_limited: runs.filter((run) => run.refusals > 0).length,
+    avg_load_ms: average(runs.map((run) => run.avg_load_ms).filter((ms) => typeof ms === "number")),
+  });
+
+  return {
+    runs: entries.length,
+    days: groupBy(validator_runs, dayOf).map(([day, runs]) => {
+      const counts = outcomes(runs);
+      return { day, ...counts, pass_rate: counts.passed / counts.runs };
+    }),
+    listings: groupBy(validator_runs, (entry) => entry.listing).sort(([a], [b]) => a.localeCompare(b)).map(([listing, runs]) => ({
+      listing,
+      ...outcomes(runs),
+      violations: runs.reduce((sum, run) => sum + run.violations, 0),
+    })),
+    suite: groupBy(suite_runs, dayOf).map(([day, runs]) => {
+      const passed = runs.filter((run) => run.status === "passed").length;
+      return { day, runs: runs.length, passed, pass_rate: passed / runs.length, flaky: runs.reduce((sum, run) => sum + (run.tests ? run.tests.flaky : 0), 0) };
+    }),
+  };
+}
+
+module.exports = { DEFAULT_HISTORY_FILE, HISTORY_FORMAT_VERSION, RUN_KINDS, toHistoryEntry, appendHistory, readHistory, summarizeHistory };
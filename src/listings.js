@@ -0,0 +1,65 @@
+/**
+ * Descriptors for the Hacker News listings the crawler can walk.
+ * A descriptor says where a listing lives, how its "More" link paginates and which article fields
+ * may be missing for each kind of row, so one crawler can read any listing without tripping over
+ * e.g. job posts that have no score.
+ * @author Monty
+ */
+
+/**
+ * How a listing's "More" link moves to the next page.
+ *  next  "?next=<id of the next article>&n=<rank of the next article>", used by time-ordered listings
+ *  page  "?p=<page number>", used by ranked listings
+ */
+const PAGINATION = Object.freeze({ NEXT: "next", PAGE: "page" });
+
+// Number of articles Hacker News shows on a single listing page
+const PAGE_SIZE = 30;
+
+// Fields of an article record (see ArticleListPage.articles())
+const ARTICLE_FIELDS = ["rank", "id", "title", "url", "site", "author", "points", "comments", "timestamp"];
+
+/**
+ * Fields each kind of row may be missing.
+ *  story  self posts ("Ask HN") have no site, and dead stories can lack the comments link (see src/schema.js)
+ *  job    job posts only show a title and an age: no rank, score, author or comments
+ */
+const OPTIONAL_FIELDS = {
+  story: ["site", "comments"],
+  job: ["rank", "site", "author", "points", "comments"],
+};
+
+// Known listings, keyed by name. "api_list" is the matching story list of the Firebase API ("/v0/<api_list>.json"), if there is one
+const LISTINGS = {
+  newest: { name: "newest", path: "/newest", title: "New Links", pagination: PAGINATION.NEXT, ranked: true, api_list: "newstories" },
+  news: { name: "news", path: "/news", title: "Hacker News", pagination: PAGINATION.PAGE, ranked: true, api_list: "topstories" },
+  best: { name: "best", path: "/best", title: "Top Links", pagination: PAGINATION.PAGE, ranked: true, api_list: "beststories" },
+  ask: { name: "ask", path: "/ask", title: "Ask", pagination: PAGINATION.PAGE, ranked: true, api_list: "askstories" },
+  show: { name: "show", path: "/show", title: "Show", pagination: PAGINATION.PAGE, ranked: true, api_list: "showstories" },
+  jobs: { name: "jobs", path: "/jobs", title: "Jobs", pagination: PAGINATION.NEXT, ranked: false, api_list: "jobstories" },
+  front: { name: "front", path: "/front", title: "Front", pagination: PAGINATION.PAGE, ranked: true, api_list: null },
+};
+
+/**
+ * Looks up a listing descriptor.
+ * @param {string|object} listing listing name, or a descriptor which is returned as-is
+ * @returns {object} { name, path, title, pagination, ranked, api_list, optional_fields }
+ */
+function getListing(listing) {
+  if (typeof listing === "object" && listing !== null) return listing;
+  const descriptor = LISTINGS[listing];
+  if (!descriptor) throw new Error("Unknown listing: " + listing + " (available: " + Object.keys(LISTINGS).join(", ") + ")");
+  return { ...descriptor, optional_fields: OPTIONAL_FIELDS };
+}
+
+/**
+ * @param {object} listing listing descriptor
+ * @param {object} article article record, its "type" says which kind of row it came from
+ * @returns {string[]} required fields the article is missing, empty when it is complete
+ */
+function missingRequiredFields(listing, article) {
+  const optional_fields = (listing.optional_fields || OPTIONAL_FIELDS)[article.type] || OPTIONAL_FIELDS.story;
+  return ARTICLE_FIELDS.filter((field) => !optional_fields.includes(field) && (article[field] === null || article[field] === undefined));
+}
+
+module.exports = { PAGE_SIZE, PAGINATION, ARTICLE_FIELDS, OPTIONAL_FIELDS, LISTINGS, getListing, missingRequiredFields };
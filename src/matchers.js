@@ -0,0 +1,187 @@
+/**
+ * Custom Playwright expect matchers for article listings, registered in tests/fixtures.js with expect.extend():
+ *
+ *   await expect(hnListing).toBeSortedBy("timestamp", "desc", { count: 100 });
+ *   await expect(hnListing).toHaveUniqueIds({ count: 100 });
+ *   await expect(hnListing).toHaveContiguousRanks();
+ *
+ * The received value is an ArticleListPage, whose pages are walked with the "More" link until "count" articles are read
+ * (without "count" only the current page is read), or an array of article records (see toArticle() in src/article-list-page.js).
+ * A failure lists the offending rows next to the rows they are compared with, so the report points straight at them.
+ * @author Monty
+ */
+
+// How many offending rows a failure message shows before it only counts the rest
+const MAX_REPORTED_ROWS = 10;
+
+/**
+ * Reads the articles a matcher checks.
+ * @param {ArticleListPage|object[]} listing page object on a listing, or article records
+ * @param {int} [count] how many articles to read, all on the current page (or the whole array) without it
+ * @returns {Promise<object[]>} the articles, fewer than count when the listing ran out
+ */
+async function collectArticles(listing, count) {
+  if (Array.isArray(listing)) return count ? listing.slice(0, count) : listing;
+
+  const articles = await listing.articles();
+  while (count && articles.length < count) {
+    if (!(await listing.next())) break;
+    const more = await listing.articles();
+    if (more.length === 0) break;
+    articles.push(...more);
+  }
+  return count ? articles.slice(0, count) : articles;
+}
+
+/**
+ * @param {*} value a field value
+ * @returns {string} the value for a failure message, dates as ISO text
+ */
+function formatValue(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? "Invalid Date" : value.toISOString();
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {object} article article record
+ * @param {int} position 1-based position among the checked articles
+ * @param {string} [field] field to show
+ * @returns {string} one row of a failure message, e.g. '#35 rank 35 ID:41889640 timestamp=2024-10-19T12:34:56.000Z "Title"'
+ */
+function formatRow(article, position, field) {
+  return "#" + position + " rank " + article.rank + " ID:" + article.id + (field ? " " + field + "=" + formatValue(article[field]) : "") + ' "' + article.title + '"';
+}
+
+/**
+ * Builds a matcher result with a message listing offending rows.
+ * @param {object} context the matcher's "this" (isNot, utils)
+ * @param {string} name matcher name
+ * @param {string[]} expected_args how the matcher was called, for the hint
+ * @param {boolean} pass whether the listing matched
+ * @param {string} summary what was expected, e.g. "100 articles sorted by timestamp, descending"
+ * @param {object[][]} offences pairs (or single rows) of { article, position, marker } per offending row, marker "-" for the
+ *  row compared with and "+" for the offending one
+ * @param {string} [field] field to show in every row
+ * @returns {object} { pass, message, name, expected, actual }
+ */
+function matcherResult(context, name, expected_args, pass, summary, offences, field) {
+  const { utils, isNot } = context;
+  const message = () => {
+    const hint = utils.matcherHint(name, "listing", expected_args.join(", "), { isNot });
+    if (pass) return hint + "\n\nExpected not " + summary + ", but they are";
+
+    const rows = offences.slice(0, MAX_REPORTED_ROWS).map((rows_of_offence) => rows_of_offence.map(({ article, position, marker }) => {
+      const row = "  " + marker + " " + formatRow(article, position, field);
+      return marker === "+" ? utils.RECEIVED_COLOR(row) : utils.EXPECTED_COLOR(row);
+    }).join("\n"));
+    const more = offences.length > MAX_REPORTED_ROWS ? "\n\n  ... and " + (offences.length - MAX_REPORTED_ROWS) + " more" : "";
+    return hint + "\n\nExpected " + summary + "\n" + offences.length + " offending row" + (offences.length === 1 ? "" : "s") +
+      " (" + utils.EXPECTED_COLOR("- compared with") + ", " + utils.RECEIVED_COLOR("+ offending") + "):\n\n" + rows.join("\n\n") + more;
+  };
+  return { pass, message, name, expected: summary, actual: offences.length };
+}
+
+/**
+ * Checks that not fewer articles than asked for were read. Running short fails with and without .not, a listing that
+ * ran out is no evidence either way.
+ * @param {object} context the matcher's "this"
+ * @param {string} name matcher name
+ * @param {string[]} expected_args how the matcher was called
+ * @param {object[]} articles articles read
+ * @param {int} [count] how many were asked for
+ * @returns {object|null} a matcher result that fails whether negated or not, null when there are enough
+ */
+function tooFew(context, name, expected_args, articles, count) {
+  if (!count || articles.length >= count) return null;
+  const message = () => context.utils.matcherHint(name, "listing", expected_args.join(", "), { isNot: context.isNot }) +
+    "\n\nExpected " + count + " articles, the listing only had " + context.utils.printReceived(articles.length);
+  // With .not a passing result is the failure
+  return { pass: context.isNot, message, name, expected: count, actual: articles.length };
+}
+
+const matchers = {
+  /**
+   * Every article's field is in order compared with the article before it. Equal values are in order unless "strict".
+   * @param {ArticleListPage|object[]} listing
+   * @param {string} field article field, e.g. "timestamp", "rank" or "points"
+   * @param {string} [direction] "desc" (largest first, e.g. newest first) or "asc"
+   * @param {object} [options] { count, strict }
+   */
+  async toBeSortedBy(listing, field, direction = "desc", options = {}) {
+    const name = "toBeSortedBy";
+    const expected_args = [JSON.stringify(field), JSON.stringify(direction)].concat(options.count ? ["{ count: " + options.count + " }"] : []);
+    if (direction !== "desc" && direction !== "asc") throw new Error(name + ' needs "desc" or "asc", got ' + JSON.stringify(direction));
+
+    const articles = await collectArticles(listing, options.count);
+    const too_few = tooFew(this, name, expected_args, articles, options.count);
+    if (too_few) return too_few;
+
+    const value = (article) => (article[field] instanceof Date ? article[field].getTime() : article[field]);
+    const offences = [];
+    for (let i = 1; i < articles.length; i++) {
+      const diff = direction === "desc" ? value(articles[i - 1]) - value(articles[i]) : value(articles[i]) - value(articles[i - 1]);
+      // NaN (a missing or invalid value) is never in order
+      const in_order = options.strict ? diff > 0 : diff >= 0;
+      if (!in_order) {
+        offences.push([{ article: articles[i - 1], position: i, marker: "-" }, { article: articles[i], position: i + 1, marker: "+" }]);
+      }
+    }
+
+    const summary = articles.length + " articles sorted by " + field + ", " + (direction === "desc" ? "descending" : "ascending") + (options.strict ? " without ties" : "");
+    return matcherResult(this, name, expected_args, offences.length === 0, summary, offences, field);
+  },
+
+  /**
+   * No article is listed twice.
+   * @param {ArticleListPage|object[]} listing
+   * @param {object} [options] { count }
+   */
+  async toHaveUniqueIds(listing, options = {}) {
+    const name = "toHaveUniqueIds";
+    const expected_args = options.count ? ["{ count: " + options.count + " }"] : [];
+    const articles = await collectArticles(listing, options.count);
+    const too_few = tooFew(this, name, expected_args, articles, options.count);
+    if (too_few) return too_few;
+
+    const first_seen = new Map();
+    const offences = [];
+    articles.forEach((article, i) => {
+      if (first_seen.has(article.id)) {
+        offences.push([{ article: articles[first_seen.get(article.id)], position: first_seen.get(article.id) + 1, marker: "-" }, { article, position: i + 1, marker: "+" }]);
+      } else {
+        first_seen.set(article.id, i);
+      }
+    });
+
+    return matcherResult(this, name, expected_args, offences.length === 0, articles.length + " articles with unique IDs", offences);
+  },
+
+  /**
+   * Ranks go up by one from article to article, starting at "start" when given.
+   * @param {ArticleListPage|object[]} listing
+   * @param {object} [options] { count, start }
+   */
+  async toHaveContiguousRanks(listing, options = {}) {
+    const name = "toHaveContiguousRanks";
+    const expected_args = Object.keys(options).length > 0 ? ["{ " + Object.entries(options).map(([key, value]) => key + ": " + value).join(", ") + " }"] : [];
+    const articles = await collectArticles(listing, options.count);
+    const too_few = tooFew(this, name, expected_args, articles, options.count);
+    if (too_few) return too_few;
+
+    const offences = [];
+    articles.forEach((article, i) => {
+      if (i === 0) {
+        if (options.start !== undefined && article.rank !== options.start) offences.push([{ article, position: 1, marker: "+" }]);
+        return;
+      }
+      if (article.rank !== articles[i - 1].rank + 1) {
+        offences.push([{ article: articles[i - 1], position: i, marker: "-" }, { article, position: i + 1, marker: "+" }]);
+      }
+    });
+
+    const summary = articles.length + " articles with contiguous ranks" + (options.start !== undefined ? " from " + options.start : "");
+    return matcherResult(this, name, expected_args, offences.length === 0, summary, offences, "rank");
+  },
+};
+
+module.exports = { MAX_REPORTED_ROWS, collectArticles, matchers };
@@ -0,0 +1,92 @@
+/**
+ * Notifiers for watch mode (see src/watch.js): where incidents go.
+ * A notifier is any object with "name" and an async notify(incident). Two come with the repo:
+ *
+ *   stdout   prints one line per incident
+ *   webhook  POSTs each incident as JSON to a URL, e.g. a chat hook, or a local receiver in tests
+ *
+ * "--notify stdout,http://127.0.0.1:9000/hook" picks them on the command line, see createNotifiers().
+ * @author Monty
+ */
+
+// How long a webhook may take to answer, a receiver that never does must not hold up the watch
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Thrown when a notifier could not deliver an incident. Watch mode logs it and carries on.
+ */
+class NotifierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotifierError";
+  }
+}
+
+/**
+ * @param {object} incident incident from watch mode: { kind, severity, message, check, at, ... }
+ * @returns {string} the incident on one line, e.g. "[2024-10-19T12:00:00.000Z] FAIL violation: ..."
+ */
+function formatIncident(incident) {
+  return "[" + incident.at + "] " + incident.severity.toUpperCase() + " " + incident.kind + " (check " + incident.check + "): " + incident.message;
+}
+
+/**
+ * @param {object} [options]
+ * @param {function} [options.write] where lines go, defaults to console.log
+ * @returns {object} notifier that prints incidents
+ */
+function createStdoutNotifier(options = {}) {
+  const write = options.write || ((line) => console.log(line));
+  return {
+    name: "stdout",
+    notify: async (incident) => write(formatIncident(incident)),
+  };
+}
+
+/**
+ * @param {string} url where to POST incidents
+ * @param {object} [options]
+ * @param {function} [options.fetch] fetch implementation, defaults to the global one
+ * @param {int} [options.timeout_ms] give up on a webhook that has not answered after this long
+ * @returns {object} notifier that sends each incident as a JSON body: { text, ...incident }, "text" being the formatted line
+ */
+function createWebhookNotifier(url, options = {}) {
+  const fetchUrl = options.fetch || fetch;
+  const timeout_ms = options.timeout_ms || DEFAULT_WEBHOOK_TIMEOUT_MS;
+  return {
+    name: "webhook " + url,
+    notify: async (incident) => {
+      let response;
+      try {
+        response = await fetchUrl(url, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ text: formatIncident(incident), ...incident }),
+          signal: AbortSignal.timeout(timeout_ms),
+        });
+      } catch (error) {
+        if (error.name === "TimeoutError" || error.name === "AbortError") {
+          throw new NotifierError("The webhook at " + url + " did not answer within " + timeout_ms + " ms");
+        }
+        throw new NotifierError("Could not reach the webhook at " + url + ": " + error.message);
+      }
+      if (!response.ok) throw new NotifierError("The webhook at " + url + " answered " + response.status);
+    },
+  };
+}
+
+/**
+ * Creates notifiers from their names on the command line.
+ * @param {string[]} specs "stdout", or an http(s) URL for a webhook
+ * @param {object} [options] passed to the notifiers, e.g. { write, fetch }
+ * @returns {object[]} the notifiers
+ */
+function createNotifiers(specs, options = {}) {
+  return specs.map((spec) => {
+    if (spec === "stdout") return createStdoutNotifier(options);
+    if (/^https?:\/\//.test(spec)) return createWebhookNotifier(spec, options);
+    throw new NotifierError("Unknown notifier: " + spec + " (use stdout or a webhook URL)");
+  });
+}
+
+module.exports = { DEFAULT_WEBHOOK_TIMEOUT_MS, NotifierError, formatIncident, createStdoutNotifier, createWebhookNotifier, createNotifiers };
@@ -0,0 +1,149 @@
+/**
+ * Record-and-replay support for Hacker News listing pages.
+ * Recording saves every page the browser navigates to (HTML, URL and fetch time) into a fixture directory.
+ * Replaying serves those pages back through Playwright request routing, so a run that once failed
+ * (e.g. on an out-of-order timestamp) can be reproduced exactly and kept as a regression case.
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Bump when the layout of a recording directory changes, older recordings are then refused instead of misread
+const RECORDING_FORMAT_VERSION = 1;
+
+// Where recordings are stored unless a directory is given
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, "..", "fixtures", "recordings");
+
+// File inside a recording directory that lists the recorded pages
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Picks a fresh directory for a new recording, e.g. "fixtures/recordings/v1-2024-10-19T12-34-56Z".
+ * @param {string} [root] directory holding all recordings
+ * @param {Date} [date] when the recording starts
+ * @returns {string} recording directory
+ */
+function newRecordingDir(root = DEFAULT_RECORDINGS_DIR, date = new Date()) {
+  const stamp = date.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+  return path.join(root, "v" + RECORDING_FORMAT_VERSION + "-" + stamp);
+}
+
+/**
+ * Starts saving every page the browser context navigates to.
+ * Each page is written as soon as its response arrives, and the manifest is rewritten after every page,
+ * so a recording is usable even if the run is cut short.
+ * @param {BrowserContext} context Playwright browser context to record
+ * @param {string} dir directory to store the recording in, created if missing
+ * @param {object} [options]
+ * @param {string} [options.base_url] Hacker News the run is pointed at, stored so replays use the same URLs
+ * @returns {object} the recorder: { dir, manifest, flush() } where flush() waits for pending writes
+ */
+function recordPages(context, dir, options = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifest = {
+    format_version: RECORDING_FORMAT_VERSION,
+    base_url: options.base_url || null,
+    recorded_at: new Date().toISOString(),
+    pages: [],
+  };
+  const pending = new Set();
+
+  const savePage = async (response) => {
+    const html = await response.text();
+    const entry = {
+      url: response.url(),
+      status: response.status(),
+      fetched_at: new Date().toISOString(),
+      file: "page-" + String(manifest.pages.length + 1).padStart(3, "0") + ".html",
+    };
+    manifest.pages.push(entry);
+    fs.writeFileSync(path.join(dir, entry.file), html);
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + "\n");
+  };
+
+  context.on("response", (response) => {
+    // Only top-level documents are recorded, images and scripts are not needed to validate a listing
+    const request = response.request();
+    if (!request.isNavigationRequest() || request.resourceType() !== "document") return;
+
+    const saving = savePage(response).catch((error) => {
+      console.log("Could not record " + response.url() + ": " + error.message);
+    });
+    pending.add(saving);
+    saving.finally(() => pending.delete(saving));
+  });
+
+  // Write an empty manifest right away so the directory is recognisable as a recording
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + "\n");
+
+  return {
+    dir,
+    manifest,
+    flush: async () => { await Promise.all([...pending]); },
+  };
+}
+
+/**
+ * Reads a recording from disk, including the HTML of every page.
+ * @param {string} dir recording directory
+ * @returns {object} the manifest, with an "html" property added to every page
+ */
+function loadRecording(dir) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), "utf8"));
+  if (manifest.format_version !== RECORDING_FORMAT_VERSION) {
+    throw new Error("Recording " + dir + " has format version " + manifest.format_version + ", expected " + RECORDING_FORMAT_VERSION);
+  }
+  manifest.pages = manifest.pages.map((page) => ({ ...page, html: fs.readFileSync(path.join(dir, page.file), "utf8") }));
+  return manifest;
+}
+
+/**
+ * Finds the recorded page for a URL. Only the path and query are compared,
+ * so a recording of the live site can also be replayed under another host.
+ * When a URL was recorded more than once, the latest response wins.
+ * @param {object} recording recording returned by loadRecording()
+ * @param {string} url requested URL
+ * @returns {object|undefined} the recorded page
+ */
+function findRecordedPage(recording, url) {
+  const wanted = new URL(url);
+  const key = wanted.pathname + wanted.search;
+  return [...recording.pages].reverse().find((page) => {
+    const recorded = new URL(page.url);
+    return recorded.pathname + recorded.search === key;
+  });
+}
+
+/**
+ * Serves a recording through Playwright request routing, nothing reaches the network while it is active.
+ * Recorded documents are returned as they were captured, anything else gets the same 404 Hacker News sends.
+ * @param {BrowserContext} context Playwright browser context to replay into
+ * @param {string} dir recording directory
+ * @returns {Promise<object>} the loaded recording, its base_url is where the replayed run should start
+ */
+async function replayRecording(context, dir) {
+  const recording = loadRecording(dir);
+
+  await context.route("**/*", async (route) => {
+    const page = findRecordedPage(recording, route.request().url());
+    if (page) {
+      await route.fulfill({ status: page.status, contentType: "text/html; charset=utf-8", body: page.html });
+    } else {
+      await route.fulfill({ status: 404, contentType: "text/html; charset=utf-8", body: "Unknown." });
+    }
+  });
+
+  return recording;
+}
+
+module.exports = {
+  RECORDING_FORMAT_VERSION,
+  DEFAULT_RECORDINGS_DIR,
+  newRecordingDir,
+  recordPages,
+  loadRecording,
+  findRecordedPage,
+  replayRecording,
+};
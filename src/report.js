@@ -0,0 +1,116 @@
+/**
+ * Trend report: a self-contained HTML page drawn from the run history (see src/history.js), made by "node index.js report".
+ * It shows the pass rate per day, violations per listing, how often the site refused pages and the average page latency,
+ * with plain tables and inline SVG bars so it opens anywhere without a network connection.
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Project modules
+const { readHistory, summarizeHistory } = require("./history");
+const { escapeXml } = require("./writers");
+
+// Where the report goes unless told otherwise
+const DEFAULT_REPORT_FILE = "logs/report.html";
+
+/**
+ * @param {number|null} rate between 0 and 1
+ * @returns {string} e.g. "75%", or "-" without a rate
+ */
+function percent(rate) {
+  return rate === null || rate === undefined ? "-" : Math.round(rate * 100) + "%";
+}
+
+/**
+ * @param {number|null} ms
+ * @returns {string} e.g. "512 ms", or "-" without a value
+ */
+function milliseconds(ms) {
+  return ms === null || ms === undefined ? "-" : Math.round(ms) + " ms";
+}
+
+/**
+ * Draws a horizontal bar, as wide as the value is of the largest value in its column.
+ * @param {number} value
+ * @param {number} max largest value in the column
+ * @param {string} color fill color
+ * @returns {string} inline SVG
+ */
+function bar(value, max, color) {
+  const width = max > 0 ? Math.round((value / max) * 200) : 0;
+  return '<svg width="200" height="12" role="img"><rect width="' + width + '" height="12" fill="' + color + '"/></svg>';
+}
+
+/**
+ * Renders a table.
+ * @param {string[]} headings column headings
+ * @param {string[][]} rows cells, already escaped
+ * @returns {string} HTML table
+ */
+function table(headings, rows) {
+  if (rows.length === 0) return "<p>No runs yet.</p>";
+  return "<table>\n<tr>" + headings.map((heading) => "<th>" + escapeXml(heading) + "</th>").join("") + "</tr>\n" +
+    rows.map((row) => "<tr>" + row.map((cell) => "<td>" + cell + "</td>").join("") + "</tr>\n").join("") + "</table>";
+}
+
+/**
+ * Renders the trend report.
+ * @param {object} summary from summarizeHistory()
+ * @param {object} [details]
+ * @param {string} [details.history_file] where the history was read from, shown on the page
+ * @param {int} [details.skipped] history lines that could not be used
+ * @param {Date} [details.now] when the report was made
+ * @returns {string} HTML document
+ */
+function renderTrendReport(summary, details = {}) {
+  const max_runs = Math.max(0, ...summary.days.map((day) => day.runs));
+  const max_violations = Math.max(0, ...summary.listings.map((listing) => listing.violations));
+  const max_latency = Math.max(0, ...summary.days.map((day) => day.avg_load_ms || 0));
+
+  const days = table(["Day", "Runs", "Passed", "Failed", "Errors", "Pass rate", "", "Refused", "Avg page load", ""], summary.days.map((day) => [
+    escapeXml(day.day), day.runs, day.passed, day.failed, day.errors, percent(day.pass_rate), bar(day.pass_rate, 1, "#2a2"),
+    day.rate_limited + " of " + day.runs, milliseconds(day.avg_load_ms), bar(day.avg_load_ms || 0, max_latency, "#36c"),
+  ].map(String)));
+
+  const listings = table(["Listing", "Runs", "Failed", "Errors", "Violations", "", "Refused", "Avg page load"], summary.listings.map((listing) => [
+    escapeXml(listing.listing), listing.runs, listing.failed, listing.errors, listing.violations, bar(listing.violations, max_violations, "#c33"),
+    listing.rate_limited + " of " + listing.runs, milliseconds(listing.avg_load_ms),
+  ].map(String)));
+
+  const suite = table(["Day", "Runs", "Passed", "Pass rate", "", "Flaky tests"], summary.suite.map((day) => [
+    escapeXml(day.day), day.runs, day.passed, percent(day.pass_rate), bar(day.pass_rate, 1, "#2a2"), day.flaky,
+  ].map(String)));
+
+  const skipped = details.skipped ? "<p>" + details.skipped + " history lines could not be read and were left out.</p>\n" : "";
+  return (
+    "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"utf-8\">\n<title>Hacker News sort order: trends</title>\n" +
+    "<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse}th,td{padding:4px 10px;text-align:left;border-bottom:1px solid #ddd}</style>\n" +
+    "</head>\n<body>\n<h1>Hacker News sort order: trends</h1>\n" +
+    "<p>" + summary.runs + " runs" + (details.history_file ? " from " + escapeXml(details.history_file) : "") +
+    (details.now ? ", made " + escapeXml(details.now.toISOString()) : "") + ".</p>\n" + skipped +
+    "<p>Failed runs found articles out of order; errors are runs that could not finish, usually because the site refused pages. " +
+    "Refusals that come and go point to a flaky site, violations that keep coming back to a regression.</p>\n" +
+    "<h2>Validator runs per day</h2>\n" + days + "\n" +
+    "<h2>Per listing</h2>\n" + listings + "\n" +
+    "<h2>Test suite runs per day</h2>\n" + suite + "\n" +
+    "</body>\n</html>\n"
+  );
+}
+
+/**
+ * Reads a history file and writes its trend report.
+ * @param {string} history_file history to read (see src/history.js)
+ * @param {string} [out_file] where to write the report, its directory is created
+ * @param {Date} [now] when the report is made
+ * @returns {object} { file, runs, skipped }
+ */
+function writeTrendReport(history_file, out_file = DEFAULT_REPORT_FILE, now = new Date()) {
+  const { entries, skipped } = readHistory(history_file);
+  fs.mkdirSync(path.dirname(out_file), { recursive: true });
+  fs.writeFileSync(out_file, renderTrendReport(summarizeHistory(entries), { history_file, skipped, now }));
+  return { file: out_file, runs: entries.length, skipped };
+}
+
+module.exports = { DEFAULT_REPORT_FILE, renderTrendReport, writeTrendReport };
@@ -0,0 +1,124 @@
+/**
+ * Structured, machine-readable results of a validation run.
+ * The validator fills one of these in as it walks a listing; src/writers.js turns it into JSON or JUnit XML.
+ * @author Monty
+ */
+
+// Project modules
+const { DEFAULT_COMPARISON } = require("./comparison");
+const { countByField } = require("./schema");
+
+/**
+ * Run outcomes.
+ *  passed  every rule check passed
+ *  failed  at least one article broke a rule, e.g. was out of order
+ *  error   the run could not finish, e.g. a page did not load or could not be read
+ */
+const STATUS = Object.freeze({ RUNNING: "running", PASSED: "passed", FAILED: "failed", ERROR: "error" });
+
+/**
+ * Starts the results of a run.
+ * @param {object} run what is being validated
+ * @param {string} run.listing listing name, e.g. "newest"
+ * @param {string} run.base_url Hacker News the run is pointed at
+ * @param {int} run.count how many articles the run is meant to check
+ * @param {string[]} [run.rules] names of the rules checked
+ * @param {object} [run.comparison] how timestamps are compared: { mode, tolerance_s } (see src/comparison.js)
+ * @param {string} [run.consistency] what inconsistent pages do to the run: "fail", "warn" or "off" (see src/consistency.js)
+ * @param {string} [run.schema] what rows that do not match the row schema do to the run: "fail", "warn" or "off" (see src/schema.js)
+ * @returns {object} results, see the property comments below
+ */
+function createResults(run) {
+  return {
+    status: STATUS.RUNNING,
+    passed: false,
+    // Human-readable summary, the same line the console banner shows
+    message: null,
+    listing: run.listing,
+    base_url: run.base_url,
+    count: run.count,
+    // Names of the rules checked (see src/rules.js)
+    rules: run.rules || [],
+    // How equal and near-equal timestamps were compared: { mode, tolerance_s }
+    comparison_policy: { ...(run.comparison || DEFAULT_COMPARISON) },
+    consistency: run.consistency || "fail",
+    schema: run.schema || "fail",
+    // The API the articles were cross-checked with and the checks made (see src/api.js), null and empty without one
+    api_url: null,
+    cross_checks: [],
+    // "sequential" walks the "More" links one page at a time, "sharded" loads pages concurrently (see src/shards.js)
+    mode: "sequential",
+    // Browser contexts pages were loaded in
+    shards: 1,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    // Every page visited: { url, first_index, articles, load_ms, read_ms }
+    pages: [],
+    // Every article that was checked, in listing order
+    checked: [],
+    // Every rule check, e.g. each pairwise comparison: { rule, index, id, passed, message, ...details from the rule }
+    comparisons: [],
+    // The checks that did not pass, with the offending article's rank and title
+    violations: [],
+    // First violation, kept for callers that only report one
+    violation: null,
+    // Pages that did not line up: { check, page_url, position, id, rank, message } (see src/consistency.js)
+    consistency_issues: [],
+    // Checked rows that do not look like article rows: { index, id, field, message } (see src/schema.js)
+    schema_issues: [],
+    // How many of those each field of the row schema has, e.g. { title: 0, url: 1, ... }
+    schema_counts: countByField([]),
+    // Every time the site refused a page: { url, attempt, reason, delay_ms, at } (see src/throttle.js)
+    throttle_events: [],
+    // Page content when a page did not load properly
+    html: null,
+    // How many articles the listing has when it ran out before "count" articles were checked, null when it did not
+    listing_length: null,
+    // URL of the page the run stopped on when it could not finish, null otherwise
+    stopped_url: null,
+    // Screenshots and HTML of offending pages, saved while they were loaded: { kind, path, url, ... } (see src/artifacts.js)
+    evidence: [],
+    // Files saved because the run did not pass: { dir, files: [{ kind, path, ... }] } (see src/artifacts.js)
+    artifacts: null,
+    // Who the run was logged in as: { user, reused } (see src/session.js), null for a run without logging in
+    session: null,
+  };
+}
+
+/**
+ * Adds the outcome of a rule check, and a violation when it did not pass.
+ * @param {object} results results of the run
+ * @param {string} rule name of the rule that made the check (see src/rules.js)
+ * @param {int} index 1-based position of the article in the run
+ * @param {object} article the article being checked
+ * @param {object} check what the rule returned: { passed, message, ...details }
+ */
+function recordCheck(results, rule, index, article, check) {
+  const comparison = { rule, index, id: article.id, ...check };
+  results.comparisons.push(comparison);
+
+  if (!check.passed) {
+    const violation = { ...comparison, rank: article.rank, title: article.title };
+    results.violations.push(violation);
+    if (!results.violation) results.violation = violation;
+  }
+}
+
+/**
+ * Closes off the results of a run.
+ * @param {object} results results of the run
+ * @param {string} status one of STATUS
+ * @param {string} message human-readable summary
+ * @returns {object} the same results
+ */
+function finishResults(results, status, message) {
+  results.status = status;
+  results.passed = status === STATUS.PASSED;
+  results.message = message;
+  results.finished_at = new Date().toISOString();
+  results.duration_ms = Date.parse(results.finished_at) - Date.parse(results.started_at);
+  return results;
+}
+
+module.exports = { STATUS, createResults, recordCheck, finishResults };
@@ -0,0 +1,180 @@
+/**
+ * Sort-order rules for Hacker News listings.
+ *
+ * A rule is created per run from the registry below and receives the stream of parsed articles
+ * (see ArticleListPage.articles()) one at a time, in listing order:
+ *
+ *   const rule = createRule("newest-first", options);
+ *   const check = rule.check(article, index);   // { passed, message, ...details } or null when there is nothing to check
+ *
+ * Rules keep whatever state they need (e.g. the previous article) between calls.
+ * A rule may also have anchor(article), which is handed the article listed just before the first checked one
+ * (when a start offset skips articles), so the first check compares with the page rather than with nothing.
+ * The validator records every check and turns the ones that did not pass into violations.
+ * @author Monty
+ */
+
+// Project modules
+const { isValidTimestamp } = require("./timestamps");
+const { resolveComparison, describeComparison, compareTimestamps } = require("./comparison");
+
+/**
+ * @param {Date} date a timestamp
+ * @returns {string} the UTC day it falls on, e.g. "2024-10-19"
+ */
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Articles must be sorted from newest to oldest, i.e. no article is newer than the one before it.
+ * How equal and near-equal timestamps are treated is up to options.comparison (see src/comparison.js).
+ * The first article is anchored to the page: it is compared with the article listed before it when a start offset
+ * skipped that one, and otherwise starts the run. The local clock is only used when options.now is given,
+ * since a runner whose clock is behind Hacker News would fail the newest article.
+ */
+function newestFirst(options) {
+  const policy = resolveComparison(options.comparison);
+  let previous = options.now ? { id: null, timestamp: options.now } : null;
+  const previousId = () => (previous ? previous.id : null);
+
+  return {
+    anchor(article) {
+      if (isValidTimestamp(article.timestamp)) previous = article;
+    },
+    check(article) {
+      // An Invalid Date is never newer than anything, so it would pass silently
+      if (!isValidTimestamp(article.timestamp)) {
+        return { passed: false, message: "has no valid timestamp", previous_id: previousId(), previous_timestamp: previous ? previous.timestamp : null, timestamp: null };
+      }
+      if (!previous) {
+        previous = article;
+        return { passed: true, message: null, previous_id: null, previous_timestamp: null, timestamp: article.timestamp, anchored: true };
+      }
+
+      const { passed, diff_s, tie } = compareTimestamps(article, previous, policy);
+      let message = null;
+      if (!passed) {
+        const before = (previous.id === null ? "run start" : "ID " + previous.id) + ", " + previous.timestamp.toISOString();
+        message = tie
+          ? "was posted " + (diff_s === 0 ? "in the same second as" : diff_s + " s after") + " the article before it (" + before + ") but has a larger ID"
+          : "is newer than the article before it (" + before + ")" + (diff_s > 0 && policy.tolerance_s > 0 ? " by " + diff_s + " s, more than the " + describeComparison(policy) : "");
+      }
+      const check = { passed, message, previous_id: previous.id, previous_timestamp: previous.timestamp, timestamp: article.timestamp, diff_s, tie };
+      previous = article;
+      return check;
+    },
+  };
+}
+
+/**
+ * Item IDs must decrease along with the timestamps, i.e. every article has a smaller ID than the one before it.
+ */
+function idsDescending() {
+  let previous = null;
+  return {
+    check(article) {
+      const before = previous;
+      previous = article;
+      if (!before) return null;
+      const passed = article.id < before.id;
+      return { passed, message: passed ? null : "has a larger ID than the article before it (ID " + before.id + ")", previous_id: before.id };
+    },
+  };
+}
+
+/**
+ * Ranks must run options.first_rank, first_rank + 1, ... with no gaps or repeats.
+ * Rows without a rank (job posts) are not counted.
+ */
+function ranksContiguous(options) {
+  let expected = options.first_rank || 1;
+  return {
+    check(article) {
+      if (article.rank === null && article.type === "job") return null;
+      const passed = article.rank === expected;
+      const check = { passed, message: passed ? null : "has rank " + article.rank + ", expected " + expected, expected_rank: expected, rank: article.rank };
+      // Continue from what the page shows, so a single gap is reported once rather than for every article after it
+      expected = (article.rank === null ? expected : article.rank) + 1;
+      return check;
+    },
+  };
+}
+
+/**
+ * Articles must be grouped by the day they were posted, newest day first.
+ * A later article may be from the same day or an earlier one, never from a newer day.
+ */
+function sortedByDay() {
+  let previous_day = null;
+  return {
+    check(article) {
+      if (!isValidTimestamp(article.timestamp)) return { passed: false, message: "has no valid timestamp", day: null, previous_day };
+      const day = utcDay(article.timestamp);
+      const before = previous_day;
+      previous_day = day;
+      if (before === null) return null;
+      const passed = day <= before;
+      return { passed, message: passed ? null : "was posted on " + day + ", after an article from " + before, day, previous_day: before };
+    },
+  };
+}
+
+/**
+ * Builds a rule that only accepts titles starting with one of the given prefixes, e.g. "Ask HN:".
+ * @param {...string} prefixes accepted title prefixes
+ * @returns {function} rule factory
+ */
+function titlePrefix(...prefixes) {
+  const kinds = prefixes.map((prefix) => "\"" + prefix + "\"").join(" or ");
+  return () => ({
+    check(article) {
+      const passed = typeof article.title === "string" && prefixes.some((prefix) => article.title.startsWith(prefix));
+      return { passed, message: passed ? null : "is not a " + kinds + " post: " + JSON.stringify(article.title) };
+    },
+  });
+}
+
+// Built-in rules, keyed by name
+const RULES = {
+  "newest-first": { description: "articles are sorted from newest to oldest", create: newestFirst },
+  "ids-descending": { description: "item IDs decrease along with the timestamps", create: idsDescending },
+  "ranks-contiguous": { description: "rank numbers run 1..N with no gaps", create: ranksContiguous },
+  "sorted-by-day": { description: "articles are grouped by posting day, newest day first", create: sortedByDay },
+  // /ask lists "Tell HN" posts too, they are self posts like "Ask HN"
+  "ask-only": { description: "only \"Ask HN\" and \"Tell HN\" posts are listed", create: titlePrefix("Ask HN:", "Tell HN:") },
+  "show-only": { description: "only \"Show HN\" posts are listed", create: titlePrefix("Show HN:") },
+};
+
+// Rules checked for each listing unless others are selected
+const LISTING_RULES = {
+  newest: ["newest-first"],
+  news: ["ranks-contiguous"],
+  best: ["ranks-contiguous"],
+  front: ["sorted-by-day", "ranks-contiguous"],
+  ask: ["ask-only", "ranks-contiguous"],
+  show: ["show-only", "ranks-contiguous"],
+  jobs: ["newest-first"],
+};
+
+/**
+ * Creates a rule from the registry.
+ * @param {string} name rule name, a key of RULES
+ * @param {object} [options] { now, first_rank, comparison } handed to the rule
+ * @returns {object} { name, description, check(article, index) }
+ */
+function createRule(name, options = {}) {
+  const rule = RULES[name];
+  if (!rule) throw new Error("Unknown rule: " + name + " (available: " + Object.keys(RULES).join(", ") + ")");
+  return { name, description: rule.description, ...rule.create(options) };
+}
+
+/**
+ * @param {string} listing listing name, e.g. "newest"
+ * @returns {string[]} names of the rules checked for it by default
+ */
+function defaultRulesFor(listing) {
+  return LISTING_RULES[listing] || ["ranks-contiguous"];
+}
+
+module.exports = { RULES, LISTING_RULES, createRule, defaultRulesFor };
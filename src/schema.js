@@ -0,0 +1,125 @@
+/**
+ * Row schema: what every article row has to look like, besides being in the right order.
+ * The order checks only need a timestamp per row, so a change to the Hacker News markup that breaks titles, links or the
+ * subtext line would go unnoticed as long as the ages are still there. Each row read by readArticleRows() is checked here,
+ * and the run reports how many rows broke each field (see src/validator.js).
+ *
+ *   checkRow(raw)   // [{ field, message }], empty for a row that matches
+ *
+ * @author Monty
+ */
+
+// The checked fields, and what a row must show for each. Job posts only have a title and a link
+const ROW_SCHEMA = {
+  title: "the title is not empty",
+  url: "the title links to a well-formed http(s) URL",
+  site: 'the site shown next to the title (".sitestr") is the host of the link',
+  author: 'the author links to "/user?id=<author>"',
+  points: 'the score is a non-negative whole number of points, e.g. "4 points"',
+  comments: 'the comment count is a non-negative whole number of comments, or "discuss"; dead articles may have none',
+  links: 'the subtext has "hide", "past" and comments (or "discuss") links, dead articles may lack the comments link',
+  vote: 'the upvote arrow links to "vote?id=<id>&how=up", with an "auth" token when logged in; dead articles and the user\'s own have none',
+};
+
+// Fields checked for a job post, which shows no score, author or subtext links
+const JOB_FIELDS = ["title", "url", "site"];
+
+/**
+ * @param {string} text link target
+ * @param {string|null} [base] URL a relative link is resolved against, null to only accept absolute URLs
+ * @returns {URL|null} the parsed URL, null when it is not a URL at all
+ */
+function parseUrl(text, base = "https://news.ycombinator.com/") {
+  try {
+    return base === null ? new URL(text) : new URL(text, base);
+  } catch (error) {
+    return null;
+  }
+}
+
+// One check per field: returns a message when the row breaks it, null otherwise
+const FIELD_CHECKS = {
+  title: (raw) => (raw.title && raw.title.trim() !== "" ? null : "has an empty title"),
+
+  // The browser hands over the link resolved against the page, so anything but an absolute URL is broken markup
+  url: (raw) => {
+    const url = raw.url ? parseUrl(raw.url, null) : null;
+    if (!url || !/^https?:$/.test(url.protocol) || url.hostname === "") return "links to " + JSON.stringify(raw.url) + ", which is not a well-formed URL";
+    return null;
+  },
+
+  site: (raw) => {
+    // Self posts (Ask HN and the like) link to their own item page and show no site
+    if (raw.site === null || raw.site === undefined) return null;
+    const url = raw.url ? parseUrl(raw.url, null) : null;
+    if (!url) return null;
+    // Hacker News drops "www." and, for some hosts, shows a path too: "github.com/user"
+    const host = url.hostname.replace(/^www\./, "");
+    const shown = raw.site.trim().split("/")[0].replace(/^www\./, "");
+    if (host === shown || host.endsWith("." + shown)) return null;
+    return "shows the site " + JSON.stringify(raw.site) + " but links to " + url.hostname;
+  },
+
+  author: (raw) => {
+    if (!raw.author) return "has no author";
+    const href = raw.author_href ? parseUrl(raw.author_href) : null;
+    if (!href || href.pathname !== "/user" || href.searchParams.get("id") !== raw.author) {
+      return "has the author " + JSON.stringify(raw.author) + " linking to " + JSON.stringify(raw.author_href === undefined ? null : raw.author_href);
+    }
+    return null;
+  },
+
+  points: (raw) => (/^\d+\s+points?$/.test(raw.points || "") ? null : "shows the score " + JSON.stringify(raw.points)),
+
+  comments: (raw) => {
+    // Dead articles can have no comments link, like OPTIONAL_FIELDS in src/listings.js says
+    if (raw.dead && (raw.comments === null || raw.comments === undefined)) return null;
+    return /^(discuss|\d+\s+comments?)$/.test(raw.comments || "") ? null : "shows the comment count " + JSON.stringify(raw.comments);
+  },
+
+  links: (raw) => {
+    const texts = (raw.links || []).map((text) => text.trim());
+    const missing = ["hide", "past"].filter((name) => !texts.includes(name));
+    if (!raw.dead && !texts.some((text) => /^(discuss|\d+\s+comments?)$/.test(text))) missing.push("comments");
+    return missing.length === 0 ? null : "has no " + missing.join(", ") + " link" + (missing.length === 1 ? "" : "s");
+  },
+
+  vote: (raw) => {
+    // Dead articles cannot be voted on
+    if (raw.dead) return raw.vote_href ? "is dead but has an upvote arrow" : null;
+    // Nor can the logged-in user's own submissions
+    if (raw.logged_in_user && raw.author === raw.logged_in_user) return raw.vote_href ? "is the logged-in user's own submission but has an upvote arrow" : null;
+    if (!raw.vote_href) return "has no upvote arrow";
+    const href = parseUrl(raw.vote_href);
+    if (!href || href.pathname !== "/vote" || href.searchParams.get("id") !== String(raw.id) || href.searchParams.get("how") !== "up") {
+      return "has an upvote arrow linking to " + JSON.stringify(raw.vote_href);
+    }
+    // Votes of a logged-in user are only counted with the token the page hands out
+    if (raw.logged_in && !href.searchParams.get("auth")) return "has an upvote arrow without an auth token on a logged-in page";
+    return null;
+  },
+};
+
+/**
+ * Checks a row against the schema.
+ * @param {object} raw raw fields of the row from readArticleRows()
+ * @returns {object[]} { field, message } for every field the row breaks, in ROW_SCHEMA order
+ */
+function checkRow(raw) {
+  const fields = raw.type === "job" ? JOB_FIELDS : Object.keys(ROW_SCHEMA);
+  return fields
+    .map((field) => ({ field, message: FIELD_CHECKS[field](raw) }))
+    .filter((issue) => issue.message !== null);
+}
+
+/**
+ * @param {object[]} issues schema issues of a run, { field, ... }
+ * @returns {object} how many issues each field has, every field of ROW_SCHEMA included
+ */
+function countByField(issues) {
+  const counts = Object.fromEntries(Object.keys(ROW_SCHEMA).map((field) => [field, 0]));
+  for (const issue of issues) counts[issue.field] += 1;
+  return counts;
+}
+
+module.exports = { ROW_SCHEMA, checkRow, countByField };
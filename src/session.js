@@ -0,0 +1,154 @@
+/**
+ * Logged-in runs: logs in to Hacker News once and hands the session to every browser context of the run.
+ * Logged-in users see other markup than visitors (vote links with an "auth" token, "flag", "unvote", "[dead]" articles with
+ * showdead), which the parser and the row schema handle as well (see src/article-list-page.js and src/schema.js).
+ *
+ *   const session = await openSession(browser, { base_url, credentials_file: "hn-credentials.json", storage_state: ".auth/session.json" });
+ *   const context = await browser.newContext({ storageState: session.state });
+ *
+ * The session is saved as a Playwright storageState file and reused by the next run for as long as the site still
+ * takes it, so a run only logs in when it has to. Logging in happens in a context of its own, so the password never
+ * ends up in the HAR or trace of a failed run (see src/artifacts.js).
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Project modules
+const { ArticleListPage } = require("./article-list-page");
+
+// Where the session is saved when a run logs in from a credentials file and no other place is given
+const DEFAULT_STORAGE_STATE = ".auth/session.json";
+
+/**
+ * Thrown when a run was asked to log in and could not: no usable credentials, a refused login or an expired session.
+ */
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+/**
+ * Reads a credentials file: JSON with "username" and "password".
+ * @param {string} file credentials file
+ * @returns {object} { username, password }
+ */
+function readCredentials(file) {
+  let credentials;
+  try {
+    credentials = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new SessionError("Could not read the credentials in " + file + ": " + error.message);
+  }
+  for (const field of ["username", "password"]) {
+    if (!credentials || typeof credentials[field] !== "string" || credentials[field] === "") {
+      throw new SessionError("The credentials in " + file + " have no " + field);
+    }
+  }
+  return { username: credentials.username, password: credentials.password };
+}
+
+/**
+ * Logs in through the login form, the first form of "/login".
+ * @param {Page} page Playwright page to log in with
+ * @param {string} base_url Hacker News to log in to
+ * @param {object} credentials { username, password }
+ * @returns {Promise<string>} the name the site shows for the logged-in user
+ */
+async function logIn(page, base_url, credentials) {
+  const login_url = base_url + "/login?goto=news";
+  await page.goto(login_url, { waitUntil: 'domcontentloaded' });
+  const form = page.locator('form[action="login"]').first();
+  await form.locator('input[name="acct"]').fill(credentials.username);
+  await form.locator('input[name="pw"]').fill(credentials.password);
+  // The form posts to "/login", which leads to the "goto" page or shows the form again with "Bad login."
+  await Promise.all([
+    page.waitForURL((url) => url.href !== login_url, { waitUntil: 'domcontentloaded' }),
+    form.locator('input[type="submit"]').click(),
+  ]);
+
+  const me = page.locator('#me');
+  if ((await me.count()) === 0) {
+    // Hacker News answers a wrong password with "Bad login." above the form again
+    const bad_login = (await page.content()).includes("Bad login.");
+    throw new SessionError("Could not log in as " + credentials.username + (bad_login ? ": bad login" : ", the page after the login form shows no user"));
+  }
+  return (await me.textContent()).trim();
+}
+
+/**
+ * Asks the site who a saved session is logged in as, by opening the listing with it.
+ * @param {Browser} browser Playwright browser
+ * @param {object} state Playwright storageState
+ * @param {string} base_url Hacker News the session is for
+ * @param {string} listing listing to open, e.g. "newest"
+ * @returns {Promise<string|null>} the user name, null when the site does not take the session any more
+ */
+async function sessionUser(browser, state, base_url, listing) {
+  const context = await browser.newContext({ storageState: state });
+  try {
+    const list_page = new ArticleListPage(await context.newPage(), { base_url, listing });
+    await list_page.open();
+    return await list_page.loggedInUser();
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Gets a logged-in session: the saved one while the site still takes it, otherwise a new one from the credentials,
+ * which is then saved for the next run.
+ * @param {Browser} browser Playwright browser
+ * @param {object} options
+ * @param {string} options.base_url Hacker News to log in to
+ * @param {string} [options.listing] listing a saved session is tried on, defaults to "newest"
+ * @param {string} [options.credentials_file] credentials to log in with (see readCredentials())
+ * @param {string} [options.storage_state] storageState file to reuse and to save a new session to
+ * @param {object} [steps] { logIn, sessionUser }, replaced in tests
+ * @returns {Promise<object>} { state, user, reused, storage_state } where state is the storageState for browser.newContext()
+ */
+async function openSession(browser, options, steps = { logIn, sessionUser }) {
+  const listing = options.listing || "newest";
+
+  // A saved session saves logging in, for as long as the site takes it
+  if (options.storage_state && fs.existsSync(options.storage_state)) {
+    let state = null;
+    try {
+      state = JSON.parse(fs.readFileSync(options.storage_state, "utf8"));
+    } catch (error) {
+      console.log("Ignoring the unreadable session in " + options.storage_state + ": " + error.message);
+    }
+    const user = state ? await steps.sessionUser(browser, state, options.base_url, listing) : null;
+    if (user) return { state, user, reused: true, storage_state: options.storage_state };
+    if (state) console.log("The session saved in " + options.storage_state + " is not logged in any more");
+  }
+
+  if (!options.credentials_file) {
+    throw new SessionError(options.storage_state
+      ? "No usable session in " + options.storage_state + " and no credentials to log in with"
+      : "Logging in needs a credentials file or a saved session");
+  }
+  const credentials = readCredentials(options.credentials_file);
+
+  const context = await browser.newContext();
+  let state;
+  let user;
+  try {
+    user = await steps.logIn(await context.newPage(), options.base_url, credentials);
+    state = await context.storageState();
+  } finally {
+    await context.close();
+  }
+
+  // The cookies are as good as the password, only the user may read them
+  if (options.storage_state) {
+    fs.mkdirSync(path.dirname(options.storage_state), { recursive: true });
+    fs.writeFileSync(options.storage_state, JSON.stringify(state, null, 2), { mode: 0o600 });
+  }
+  return { state, user, reused: false, storage_state: options.storage_state || null };
+}
+
+module.exports = { DEFAULT_STORAGE_STATE, SessionError, readCredentials, logIn, sessionUser, openSession };
@@ -0,0 +1,114 @@
+/**
+ * Loading listing pages concurrently.
+ * Walking the "More" links means one page at a time, which is slow for runs of 1,000+ articles.
+ * Page-numbered listings can be opened at any page ("?p=<page>"). "next" listings such as /newest continue at an item ID
+ * ("?next=<id>&n=<rank>", a bare "n" is ignored by Hacker News), which the API's story list knows ahead of time (see src/api.js).
+ * So the page URLs are worked out up front and spread over several page objects, one per browser context, while one shared RequestThrottle
+ * (see src/throttle.js) keeps the run under the site's rate limit.
+ * The validator merges the pages back in rank order (see validateListingSharded() in src/validator.js).
+ * @author Monty
+ */
+
+// Project modules
+const { PAGE_SIZE, PAGINATION, getListing } = require("./listings");
+const { readEvidence } = require("./artifacts");
+
+// Least time between two requests of a sharded run unless told otherwise, the contexts share it
+const DEFAULT_SHARD_INTERVAL_MS = 500;
+
+/**
+ * @param {string|object} listing listing name or descriptor
+ * @returns {boolean} whether every page of the listing can be opened directly: page-numbered listings, and "next" listings
+ *  with an API story list to take the item IDs of the pages from
+ */
+function canShard(listing) {
+  const descriptor = typeof listing === "string" ? getListing(listing) : listing;
+  return descriptor.pagination === PAGINATION.PAGE || !!descriptor.api_list;
+}
+
+/**
+ * Works out the URL of a page of the listing without visiting the pages before it.
+ * @param {ArticleListPage} list_page page object for the listing, its base_url, descriptor and query are used
+ * @param {int} page_number 1-based page number
+ * @param {int[]} [story_ids] the listing's API story list, needed for "next" listings: a page starts at the ID of its first article
+ * @returns {string|null} absolute URL, e.g. ".../newest?next=41889500&n=61" or ".../front?day=2024-10-18&p=3",
+ *  null when the story list ends before the page
+ */
+function shardUrl(list_page, page_number, story_ids = null) {
+  const query = new URLSearchParams(list_page.query || "");
+  if (page_number > 1) {
+    const first_rank = (page_number - 1) * PAGE_SIZE + 1;
+    if (list_page.descriptor.pagination === PAGINATION.PAGE) {
+      query.set("p", String(page_number));
+    } else {
+      if (!story_ids) throw new Error("Pages of the " + list_page.descriptor.name + " listing start at an item ID, which needs the API story list");
+      if (story_ids.length < first_rank) return null;
+      query.set("next", String(story_ids[first_rank - 1]));
+      if (list_page.descriptor.ranked) query.set("n", String(first_rank));
+    }
+  }
+  const search = query.toString();
+  return list_page.base_url + list_page.descriptor.path + (search ? "?" + search : "");
+}
+
+/**
+ * Loads a page and reads everything the validator needs from it.
+ * @param {ArticleListPage} list_page page object to load it with
+ * @param {string} url absolute URL of the page
+ * @param {object} [options]
+ * @param {boolean} [options.evidence] also read what the page looks like for the failure artifacts (see src/artifacts.js),
+ *  the page object has moved on by the time the page is checked
+ * @returns {Promise<object>} { url, more_href, has_more_link, refused, html, articles, load_ms, read_ms, evidence }
+ *  evidence() resolves to what readEvidence() read, without marked rows; null without options.evidence
+ */
+async function loadPage(list_page, url, options = {}) {
+  const load_started = Date.now();
+  await list_page.goto(url);
+  const load_ms = Date.now() - load_started;
+
+  const read_started = Date.now();
+  const articles = await list_page.articles();
+  const has_more_link = await list_page.hasMoreLink();
+  const read = options.evidence ? await readEvidence(list_page) : null;
+  const evidence = read ? async () => read : null;
+
+  // A page with neither articles nor a "More" link did not load properly, keep what it showed for the report.
+  // Articles without the link are the last page of the listing
+  if (!has_more_link && articles.length === 0) {
+    return { url, more_href: null, has_more_link: false, refused: await list_page.isRateLimited(), html: await list_page.page.content(), articles: [], load_ms, read_ms: 0, evidence };
+  }
+
+  const more_href = has_more_link ? await list_page.moreHref() : null;
+  return { url: list_page.page.url(), more_href, has_more_link, refused: false, html: null, articles, load_ms, read_ms: Date.now() - read_started, evidence };
+}
+
+/**
+ * Loads pages concurrently, each page object working through the queue of URLs one page at a time.
+ * @param {ArticleListPage[]} list_pages page objects, one per browser context
+ * @param {string[]} urls pages to load
+ * @param {object} [options] passed to loadPage(); with options.evidence, an error also carries what the failed page showed
+ * @returns {Promise<object[]>} what loadPage() read for each URL, in the order of urls
+ */
+async function loadPages(list_pages, urls, options = {}) {
+  const loaded = new Array(urls.length);
+  let next = 0;
+  // Once one page object fails (e.g. the retry budget is spent) the others stop taking pages
+  let failed = false;
+
+  await Promise.all(list_pages.map(async (list_page) => {
+    while (!failed && next < urls.length) {
+      const i = next++;
+      try {
+        loaded[i] = await loadPage(list_page, urls[i], options);
+      } catch (error) {
+        failed = true;
+        // E.g. the "Sorry." page the retry budget ran out on
+        if (options.evidence) error.evidence = await readEvidence(list_page).catch(() => null);
+        throw error;
+      }
+    }
+  }));
+  return loaded;
+}
+
+module.exports = { DEFAULT_SHARD_INTERVAL_MS, canShard, shardUrl, loadPage, loadPages };
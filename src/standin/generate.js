@@ -0,0 +1,179 @@
+/**
+ * Generates the listing data the stand-in serves (see src/standin/server.js), one "<listing name>.json" per listing.
+ * The data is made up, not taken from news.ycombinator.com: a few days of submissions are simulated with a seeded random
+ * number generator, so running this again gives the same files, and each listing is then picked from them the way
+ * Hacker News picks it. An item that shows up on several listings is the same item everywhere, as the API expects.
+ *  newest  the latest stories, newest first
+ *  news    stories of the last day, ordered by Hacker News' ranking formula
+ *  best    the highest-scored stories of the last days
+ *  ask     "Ask HN" and "Tell HN" posts (no link) by ranking formula, show "Show HN" posts likewise
+ *  jobs    job posts, newest first
+ *  front   the highest-scored stories submitted on FRONT_DAY
+ * Run with "node src/standin/generate.js [dir]" (or "npm run fixtures"), the directory defaults to "fixtures".
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { DEFAULT_FIXTURE_DIR } = require("./server");
+
+// Seed of the random number generator, change it to get a different (but again repeatable) set of listings
+const SEED = 20241019;
+
+// Moment the listings are rendered at, in epoch seconds (2024-10-19T12:35:56Z)
+const FETCHED_AT = 1729341356;
+
+// ID of the newest item
+const LAST_ID = 41889640;
+
+// Days of submissions to simulate, enough for "best" and FRONT_DAY
+const DAYS = 4;
+
+// Day shown by /front
+const FRONT_DAY = "2024-10-18";
+
+// Number of items in each listing
+const LISTING_SIZES = { newest: 150, news: 45, best: 45, ask: 40, show: 40, jobs: 35, front: 40 };
+
+// Words the made-up items are built from
+const AUTHORS = ["Brajeshwar", "LinuxBender", "PaulHoule", "Tomte", "belter", "bookofjoe", "cyrc", "dang", "geox", "gmays",
+  "ingve", "jacquesm", "jandeboevrie", "luu", "mooreds", "ohjeez", "patio11", "pg", "pseudolus", "rayiner", "rbanffy", "sama",
+  "signa11", "speckx", "thunderbong", "todsacerdoti", "tosh", "tptacek", "walterbright", "zdw"];
+const SUBJECTS = ["SQLite", "Postgres", "Zig", "Emacs", "LLMs", "WebAssembly", "Kubernetes", "Self-hosting", "Remote work",
+  "Typography", "Mechanical keyboards", "The Voyager probes", "Solar panels", "Nuclear fusion", "Chess engines",
+  "The Unix philosophy", "Open-source maintainers", "The Federal Reserve"];
+const HEADLINES = ["{} is not what you think", "{} after ten years", "{} and why it matters", "{} explained visually",
+  "{} the hard way", "{} in 2024", "{} considered harmful", "{} for the rest of us", "{} from first principles",
+  "{} on a Raspberry Pi", "{} in 500 lines of code", "{} without the hype", "{} is quietly getting better"];
+const QUESTIONS = ["Ask HN: Who is using {}?", "Ask HN: Best resources for learning {}?", "Ask HN: What replaced {}?",
+  "Ask HN: How do you keep up with {}?", "Ask HN: Is anyone still using {}?", "Tell HN: I gave up on {}",
+  "Tell HN: {} saved my weekend"];
+const SITES = ["arstechnica.com", "arxiv.org", "bbc.co.uk", "blog.cloudflare.com", "danluu.com", "economist.com", "github.com",
+  "jvns.ca", "lwn.net", "medium.com", "nature.com", "nytimes.com", "quantamagazine.org", "reuters.com", "simonwillison.net",
+  "substack.com", "theguardian.com", "theverge.com", "wired.com", "youtube.com"];
+const COMPANIES = ["Convex", "Ironclad", "Fly.io", "Langfuse", "Onfleet", "Trigger.dev", "Supabase", "Tailscale", "Replit", "PostHog"];
+const BATCHES = ["W12", "S19", "W20", "S21", "W22", "S23", "W24"];
+const ROLES = ["Full-Stack Engineers", "an Engineering Manager", "a Staff Engineer (Remote)", "a Developer Advocate", "a Founding Designer"];
+
+/**
+ * Seeded random number generator (mulberry32), the same seed always gives the same numbers.
+ * @param {int} seed 32-bit seed
+ * @returns {function} returns the next number in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Simulates the submissions of the last DAYS days, newest first.
+ * Most stories stay at a point or two, a few take off; scores grow with age over the first hours like on the live site.
+ * @param {function} random returns the next random number in [0, 1)
+ * @returns {object[]} items in the Firebase item format, IDs and times strictly descending
+ */
+function simulateSubmissions(random) {
+  const pick = (words) => words[Math.floor(random() * words.length)];
+  const items = [];
+  let id = LAST_ID;
+  let time = FETCHED_AT - 60;
+
+  while (time > FETCHED_AT - DAYS * 86400) {
+    const by = pick(AUTHORS);
+    const kind = random();
+    let item;
+    if (kind < 0.01) {
+      const company = pick(COMPANIES);
+      const host = company.includes(".") ? company.toLowerCase() : company.toLowerCase() + ".com";
+      item = { id, type: "job", by: company.toLowerCase().replace(/\W/g, ""), time,
+        title: company + " (YC " + pick(BATCHES) + ") Is Hiring " + pick(ROLES), url: "https://" + host + "/careers/" + id.toString(36) };
+    } else {
+      const age_h = (FETCHED_AT - time) / 3600;
+      const appeal = random() < 0.1 ? random() * 2000 : random() * 5;
+      const score = Math.max(1, Math.round(appeal * Math.min(1, age_h / 6)));
+      item = { id, type: "story", by, time, title: pick(HEADLINES).replace("{}", pick(SUBJECTS)),
+        url: "https://" + (random() < 0.3 ? "www." : "") + pick(SITES) + "/" + id.toString(36), score,
+        descendants: Math.round(score * random() * 0.8) };
+      if (kind < 0.06) {
+        item.title = pick(QUESTIONS).replace("{}", pick(SUBJECTS));
+        delete item.url;
+      } else if (kind < 0.11) {
+        item.title = "Show HN: " + item.title;
+      }
+    }
+    // Keep the fields in the order the API serves them
+    items.push(item.url || item.type === "job" ? item : { id: item.id, type: item.type, by: item.by, time: item.time,
+      title: item.title, score: item.score, descendants: item.descendants });
+
+    id -= 1 + Math.floor(random() * 6);
+    time -= 1 + Math.floor(random() * 90);
+  }
+  return items;
+}
+
+/**
+ * Hacker News' ranking formula: points decay with age, so a fresh story with a few votes beats an old one with many.
+ * @param {object} item story item
+ * @returns {number} the ranking weight, higher ranks first
+ */
+function rankWeight(item) {
+  const age_h = (FETCHED_AT - item.time) / 3600;
+  return (item.score - 1) / Math.pow(age_h + 2, 1.8);
+}
+
+/**
+ * Picks each listing from the simulated submissions.
+ * @param {object[]} items simulated submissions, newest first
+ * @returns {object} listing name -> { listing, fetched_at, items } (plus "day" for front)
+ */
+function buildListings(items) {
+  const stories = items.filter((item) => item.type === "story");
+  const since = (hours) => (item) => item.time > FETCHED_AT - hours * 3600;
+  const byRank = (a, b) => rankWeight(b) - rankWeight(a);
+  const byScore = (a, b) => b.score - a.score || b.id - a.id;
+  const day_start = Date.parse(FRONT_DAY + "T00:00:00Z") / 1000;
+
+  const picked = {
+    newest: stories,
+    news: stories.filter(since(24)).sort(byRank),
+    best: stories.filter(since(72)).sort(byScore),
+    ask: stories.filter((item) => !item.url).sort(byRank),
+    show: stories.filter((item) => item.title.startsWith("Show HN:")).sort(byRank),
+    jobs: items.filter((item) => item.type === "job"),
+    front: stories.filter((item) => item.time >= day_start && item.time < day_start + 86400).sort(byScore),
+  };
+
+  const listings = {};
+  for (const [name, size] of Object.entries(LISTING_SIZES)) {
+    if (picked[name].length < size) throw new Error("Only " + picked[name].length + " items for " + name + ", " + size + " needed");
+    listings[name] = { listing: name, ...(name === "front" ? { day: FRONT_DAY } : {}), fetched_at: FETCHED_AT, items: picked[name].slice(0, size) };
+  }
+  return listings;
+}
+
+/**
+ * Writes the listing files.
+ * @param {string} [fixture_dir] directory to write them to, defaults to the one the stand-in reads
+ * @returns {string[]} paths of the written files
+ */
+function generateFixtures(fixture_dir = DEFAULT_FIXTURE_DIR) {
+  const listings = buildListings(simulateSubmissions(seededRandom(SEED)));
+  fs.mkdirSync(fixture_dir, { recursive: true });
+  return Object.entries(listings).map(([name, listing]) => {
+    const file_path = path.join(fixture_dir, name + ".json");
+    fs.writeFileSync(file_path, JSON.stringify(listing, null, 2) + "\n");
+    return file_path;
+  });
+}
+
+module.exports = { SEED, FETCHED_AT, FRONT_DAY, seededRandom, generateFixtures };
+
+if (require.main === module) {
+  for (const file_path of generateFixtures(process.argv[2])) console.log("Wrote " + file_path);
+}
@@ -0,0 +1,250 @@
+/**
+ * Renders Hacker News listing pages from fixture data.
+ * The markup mirrors what news.ycombinator.com served in October 2024, so the same locators
+ * (".athing", ".score", ".age", ".morelink", "table table:nth(1)") work against both.
+ * Logged in, pages show what a user sees: their name in the header, vote, flag and hide links carrying an "auth" token,
+ * and "[dead]" articles when the account has "showdead" on.
+ * @author Monty
+ */
+
+const { PAGE_SIZE } = require("../listings");
+
+/**
+ * Escapes text so it can be placed inside HTML element content or attribute values.
+ * @param {string} text raw text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;");
+}
+
+/**
+ * Hacker News shows the host of a link without the leading "www.".
+ * @param {string} url article link
+ * @returns {string|null} the site shown next to the title, or null for self posts
+ */
+function siteOf(url) {
+  if (!url) return null;
+  return new URL(url).hostname.replace(/^www\./, "");
+}
+
+/**
+ * Formats the "title" attribute of an ".age" element, e.g. "2024-10-19T12:34:56 1729341296".
+ * @param {int} time epoch seconds
+ * @returns {string} the attribute value
+ */
+function ageTitle(time) {
+  return new Date(time * 1000).toISOString().slice(0, 19) + " " + time;
+}
+
+/**
+ * Formats the visible relative age of an article, e.g. "5 minutes ago".
+ * @param {int} time epoch seconds the article was posted
+ * @param {int} now epoch seconds the page was fetched
+ * @returns {string} relative age text
+ */
+function ageText(time, now) {
+  const seconds = Math.max(0, now - time);
+  const units = [["day", 86400], ["hour", 3600], ["minute", 60]];
+  for (const [unit, size] of units) {
+    if (seconds >= size) {
+      const amount = Math.floor(seconds / size);
+      return amount + " " + unit + (amount === 1 ? "" : "s") + " ago";
+    }
+  }
+  return "0 minutes ago";
+}
+
+/**
+ * Renders the two table rows (plus spacer) Hacker News uses for a job post: no rank, vote arrow, score, author or comments.
+ * @param {object} item fixture item of type "job"
+ * @param {object} page listing page info ({ name, now })
+ * @returns {string} HTML rows
+ */
+function renderJobRows(item, page) {
+  const site = siteOf(item.url);
+  const sitebit = site
+    ? ' <span class="sitebit comhead"> (<a href="from?site=' + escapeHtml(site) + '"><span class="sitestr">' + escapeHtml(site) + "</span></a>)</span>"
+    : "";
+
+  return (
+    "<tr class='athing submission' id='" + item.id + "'>" +
+      '<td align="right" valign="top" class="title"></td><td></td>' +
+      '<td class="title"><span class="titleline"><a href="' + escapeHtml(item.url) + '" rel="nofollow">' + escapeHtml(item.title) + "</a>" + sitebit + "</span></td>" +
+    "</tr>\n" +
+    "<tr>" +
+      '<td colspan="2"></td><td class="subtext">' +
+        '<span class="age" title="' + ageTitle(item.time) + '"><a href="item?id=' + item.id + '">' + ageText(item.time, page.now) + "</a></span>" +
+      "</td>" +
+    "</tr>\n" +
+    '<tr class="spacer" style="height:5px"></tr>\n'
+  );
+}
+
+/**
+ * Renders the vote cell of an article row. Logged in, the arrow of an article the user voted for is hidden ("nosee"),
+ * and the user's own submissions show an orange "*" instead of an arrow. Dead articles cannot be voted on at all.
+ * @param {object} item fixture item
+ * @param {object} page listing page info ({ name, user })
+ * @returns {string} HTML cell
+ */
+function renderVoteCell(item, page) {
+  if (item.dead) return '<td valign="top" class="votelinks"><center></center></td>';
+  const user = page.user;
+  if (user && item.by === user.name) return '<td valign="top" class="votelinks"><center><font color="#ff6600">*</font></center></td>';
+  const auth = user ? "&amp;auth=" + user.auth : "";
+  const voted = user && user.voted.has(item.id) ? " nosee" : "";
+  return '<td valign="top" class="votelinks"><center><a id=\'up_' + item.id + "' class='clicky" + voted + "' href='vote?id=" + item.id + "&amp;how=up" + auth + "&amp;goto=" + page.name + "'><div class='votearrow' title='upvote'></div></a></center></td>";
+}
+
+/**
+ * Renders the links a logged-in user gets in the subtext: "unvote" for an article they voted for, and "flag" (or "unflag")
+ * for articles of other users.
+ * @param {object} item fixture item
+ * @param {object} page listing page info ({ name, user })
+ * @returns {string} HTML, empty when logged out
+ */
+function renderUserLinks(item, page) {
+  const user = page.user;
+  if (!user) return "";
+  let links = "";
+  if (user.voted.has(item.id)) {
+    links += ' | <a id=\'un_' + item.id + "' class='clicky' href='vote?id=" + item.id + "&amp;how=un&amp;auth=" + user.auth + "&amp;goto=" + page.name + "'>unvote</a>";
+  }
+  if (item.by !== user.name) {
+    const flagged = user.flagged.has(item.id);
+    links += ' | <a href="flag?id=' + item.id + "&amp;auth=" + user.auth + (flagged ? "&amp;un=t" : "") + "&amp;goto=" + page.name + '">' + (flagged ? "unflag" : "flag") + "</a>";
+  }
+  return links;
+}
+
+/**
+ * Renders the two table rows (plus spacer) Hacker News uses for a single article.
+ * @param {object} item fixture item in the Firebase item format (id, by, time, title, url, score, descendants), "dead" when only shown with showdead
+ * @param {int} rank 1-based position of the article in the listing
+ * @param {object} page listing page info ({ name, now, user })
+ * @returns {string} HTML rows
+ */
+function renderArticleRows(item, rank, page) {
+  const link = item.url ? escapeHtml(item.url) : "item?id=" + item.id;
+  const site = siteOf(item.url);
+  const sitebit = site
+    ? ' <span class="sitebit comhead"> (<a href="from?site=' + escapeHtml(site) + '"><span class="sitestr">' + escapeHtml(site) + "</span></a>)</span>"
+    : "";
+  const comments = item.descendants > 0
+    ? item.descendants + "&nbsp;comment" + (item.descendants === 1 ? "" : "s")
+    : "discuss";
+
+  return (
+    "<tr class='athing submission' id='" + item.id + "'>" +
+      '<td align="right" valign="top" class="title"><span class="rank">' + rank + ".</span></td>" +
+      renderVoteCell(item, page) +
+      '<td class="title"><span class="titleline">' + (item.dead ? "[dead] " : "") + '<a href="' + link + '">' + escapeHtml(item.title) + "</a>" + sitebit + "</span></td>" +
+    "</tr>\n" +
+    "<tr>" +
+      '<td colspan="2"></td><td class="subtext"><span class="subline">' +
+        '<span class="score" id="score_' + item.id + '">' + item.score + " point" + (item.score === 1 ? "" : "s") + "</span>" +
+        ' by <a href="user?id=' + escapeHtml(item.by) + '" class="hnuser">' + escapeHtml(item.by) + "</a>" +
+        ' <span class="age" title="' + ageTitle(item.time) + '"><a href="item?id=' + item.id + '">' + ageText(item.time, page.now) + "</a></span>" +
+        ' <span id="unv_' + item.id + '"></span>' +
+        renderUserLinks(item, page) +
+        ' | <a href="hide?id=' + item.id + (page.user ? "&amp;auth=" + page.user.auth : "") + "&amp;goto=" + page.name + '"' + (page.user ? ' class="clicky hider"' : "") + ">hide</a>" +
+        ' | <a href="https://hn.algolia.com/?query=' + encodeURIComponent(item.title) + '&amp;type=story&amp;dateRange=all&amp;sort=byDate&amp;storyText=false&amp;prefix&amp;page=0" class="hnpast">past</a>' +
+        ' | <a href="item?id=' + item.id + '">' + comments + "</a>" +
+      "</span></td>" +
+    "</tr>\n" +
+    '<tr class="spacer" style="height:5px"></tr>\n'
+  );
+}
+
+/**
+ * Renders a full listing page.
+ * @param {object} page listing page info
+ * @param {string} page.name listing name as used in the URL, e.g. "newest"
+ * @param {string} page.title document title, e.g. "New Links"
+ * @param {int} page.now epoch seconds the page is rendered "at", used for relative ages
+ * @param {object[]} page.items the fixture items shown on this page
+ * @param {int|null} page.first_rank rank of the first item on this page, null for listings without ranks (/jobs)
+ * @param {string|null} page.more_href href of the "More" link, or null when this is the last page
+ * @param {object|null} [page.user] the logged-in user: { name, karma, auth, voted, flagged } with sets of item IDs, null when logged out
+ * @returns {string} HTML document
+ */
+function renderListingPage(page) {
+  const rows = page.items.map((item, i) => (item.type === "job"
+    ? renderJobRows(item, page)
+    : renderArticleRows(item, page.first_rank === null ? "" : page.first_rank + i, page))).join("");
+  // The jobs listing starts with a note about YC job posts
+  const intro = page.name === "jobs"
+    ? '<tr><td colspan="2"></td><td>These are jobs at YC startups. See more at <a href="https://www.ycombinator.com/jobs"><u>ycombinator.com/jobs</u></a>.</td></tr><tr style="height:14px"></tr>\n'
+    : "";
+  const more = page.more_href
+    ? '<tr class="morespace" style="height:10px"></tr><tr><td colspan="2"></td><td class=\'title\'><a href=\'' + escapeHtml(page.more_href) + "' class='morelink' rel='next'>More</a></td></tr>\n"
+    : "";
+
+  return (
+    '<html lang="en" op="' + page.name + '"><head><meta name="referrer" content="origin"><meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+    "<title>" + escapeHtml(page.title) + " | Hacker News</title></head><body><center>\n" +
+    '<table id="hnmain" border="0" cellpadding="0" cellspacing="0" width="85%" bgcolor="#f6f6ef">\n' +
+    '<tr><td bgcolor="#ff6600"><table border="0" cellpadding="0" cellspacing="0" width="100%" style="padding:2px"><tr>' +
+      '<td style="width:18px;padding-right:4px"><a href="news"><img src="y18.svg" width="18" height="18" style="border:1px white solid; display:block"></a></td>' +
+      '<td style="line-height:12pt; height:10px;"><span class="pagetop"><b class="hnname"><a href="news">Hacker News</a></b>' +
+        ' <a href="newest">new</a> | <a href="front">past</a> | <a href="newcomments">comments</a> | <a href="ask">ask</a> | <a href="show">show</a> | <a href="jobs">jobs</a> | <a href="submit">submit</a></span></td>' +
+      '<td style="text-align:right;padding-right:4px;"><span class="pagetop">' + renderAccountLinks(page) + "</span></td>" +
+    "</tr></table></td></tr>\n" +
+    '<tr id="pagespace" title="' + escapeHtml(page.title) + '" style="height:10px"></tr>' +
+    '<tr><td><table border="0" cellpadding="0" cellspacing="0">\n' +
+    intro +
+    rows +
+    more +
+    "</table></td></tr>\n" +
+    '<tr><td><img src="s.gif" height="10" width="0"><table width="100%" cellspacing="0" cellpadding="1"><tr><td bgcolor="#ff6600"></td></tr></table><br>' +
+    '<center><span class="yclinks"><a href="newsguidelines.html">Guidelines</a> | <a href="newsfaq.html">FAQ</a></span></center></td></tr>\n' +
+    "</table></center></body></html>\n"
+  );
+}
+
+/**
+ * @param {object} page listing page info ({ name, user })
+ * @returns {string} the right end of the header bar: "login", or the user's name, karma and "logout"
+ */
+function renderAccountLinks(page) {
+  if (!page.user) return '<a href="login?goto=' + page.name + '">login</a>';
+  const user = page.user;
+  return '<a id="me" href="user?id=' + escapeHtml(user.name) + '">' + escapeHtml(user.name) + "</a> (" + user.karma + ") | " +
+    '<a id="logout" rel="nofollow" href="logout?auth=' + user.auth + "&amp;goto=" + page.name + '">logout</a>';
+}
+
+/**
+ * Renders the login page the way Hacker News does: a login form, followed by the form to create an account.
+ * @param {object} [options]
+ * @param {string} [options.goto] where to go after logging in, e.g. "newest"
+ * @param {string} [options.message] shown above the forms, e.g. "Bad login."
+ * @returns {string} HTML document
+ */
+function renderLoginPage(options = {}) {
+  const goto = escapeHtml(options.goto || "news");
+  // Both forms post to "login", the second one with "creating" set
+  const form = (submit, hidden) => (
+    '<form action="login" method="post">' + hidden + '<input type="hidden" name="goto" value="' + goto + '">' +
+    '<table border="0"><tr><td>username:</td><td><input type="text" name="acct" size="20" autocorrect="off" spellcheck="false" autocapitalize="off" autofocus="true"></td></tr>' +
+    '<tr><td>password:</td><td><input type="password" name="pw" size="20"></td></tr></table><br>' +
+    '<input type="submit" value="' + submit + '"></form>\n'
+  );
+  return (
+    '<html lang="en"><head><meta name="referrer" content="origin"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Login | Hacker News</title></head><body>\n' +
+    (options.message ? escapeHtml(options.message) + "\n<br><br>\n" : "") +
+    "<b>Login</b><br><br>\n" +
+    form("login", "") +
+    '<a href="forgot">Forgot your password?</a><br><br>\n' +
+    "<b>Create Account</b><br><br>\n" +
+    form("create account", '<input type="hidden" name="creating" value="t">') +
+    "</body></html>\n"
+  );
+}
+
+module.exports = { PAGE_SIZE, escapeHtml, siteOf, ageTitle, ageText, renderListingPage, renderLoginPage };
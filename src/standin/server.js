@@ -0,0 +1,379 @@
+/**
+ * Local stand-in for Hacker News, so the validator and test suite can run without network access.
+ * Listing pages (/newest, /news, /best, /ask, /show, /jobs and /front, see src/listings.js) are rendered from
+ * the listing data in the "fixtures" directory. That data is generated by src/standin/generate.js, not taken from the live site:
+ * made-up items in the Firebase item format, with "fetched_at" as the moment the pages are rendered at.
+ * Listings paginate like on Hacker News: "?p=<page>" for ranked listings, "?next=<id>&n=<rank>" for /newest and "?next=<id>" for /jobs.
+ * The same data is served in the format of the Firebase API ("/v0/item/<id>.json", "/v0/newstories.json", ...),
+ * so the API cross-check (see src/api.js) can run against the stand-in as well.
+ * Run directly with "node src/standin/server.js" (or "npm run standin"); the port defaults to 3000 and can be set with STANDIN_PORT.
+ *
+ * To exercise rate-limit handling, the stand-in can be told to refuse the next N listing requests the way Hacker News does,
+ * either with startStandinServer(...).refuse(count, mode) or with a request to "/__standin/refuse?count=N&mode=sorry".
+ *
+ * "/login" is a fake login form for the accounts the stand-in is started with (DEFAULT_ACCOUNTS unless told otherwise).
+ * Logging in sets a "user" cookie like Hacker News does, and listings then show the logged-in markup (see src/standin/render.js).
+ * "/vote", "/hide" and "/flag" remember what the user did for as long as the server runs, and articles listed in the
+ * "dead" option are only shown to accounts with "showdead" on.
+ * @author Monty
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { PAGE_SIZE, renderListingPage, renderLoginPage } = require("./render");
+const { PAGINATION, LISTINGS, getListing } = require("../listings");
+
+// Directory holding the listing data, one "<listing name>.json" per listing
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "..", "..", "fixtures");
+
+// How a refused request is answered, keyed by refusal mode
+const REFUSALS = {
+  // What Hacker News usually serves when it is hit too often
+  sorry: { status: 200, body: "Sorry." },
+  // Occasionally the page comes back blank
+  empty: { status: 200, body: "" },
+  // Or the request is turned away outright
+  unavailable: { status: 503, body: "Service Unavailable" },
+};
+
+// Accounts the fake login form takes unless told otherwise: user name -> { password, karma, showdead }
+const DEFAULT_ACCOUNTS = { standin: { password: "standin", karma: 1, showdead: false } };
+
+/**
+ * Reads the session token from the "user" cookie, which Hacker News sets to "<user name>&<token>".
+ * @param {http.IncomingMessage} req the request
+ * @returns {string|null} the token, null without the cookie
+ */
+function sessionToken(req) {
+  const cookie = (req.headers.cookie || "").split(";").map((part) => part.trim()).find((part) => part.startsWith("user="));
+  if (!cookie) return null;
+  const value = decodeURIComponent(cookie.slice("user=".length));
+  return value.slice(value.indexOf("&") + 1);
+}
+
+/**
+ * Reads a form posted as "application/x-www-form-urlencoded".
+ * @param {http.IncomingMessage} req the request
+ * @returns {Promise<URLSearchParams>} the form fields
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Sends the browser on, the way Hacker News answers logins and votes.
+ * @param {http.ServerResponse} res the response
+ * @param {string} goto where to, relative like Hacker News' "goto" values, e.g. "newest"
+ * @param {object} [headers] more headers, e.g. a cookie
+ */
+function redirect(res, goto, headers = {}) {
+  // "goto" is relative to the root, "//evil.example" must not leave the site
+  res.writeHead(302, { Location: "/" + (goto || "news").replace(/^\/+/, ""), ...headers });
+  res.end();
+}
+
+/**
+ * @param {string} pathname request path, e.g. "/newest"
+ * @returns {object|undefined} descriptor of the listing served at that path
+ */
+function listingAt(pathname) {
+  const listing = Object.values(LISTINGS).find((descriptor) => descriptor.path === pathname);
+  return listing ? getListing(listing.name) : undefined;
+}
+
+/**
+ * Reads a listing from the fixture directory.
+ * @param {string} fixture_dir directory holding the fixture files
+ * @param {string} file_name fixture file name
+ * @returns {object} the parsed fixture ({ listing, fetched_at, items })
+ */
+function loadFixture(fixture_dir, file_name) {
+  return JSON.parse(fs.readFileSync(path.join(fixture_dir, file_name), "utf8"));
+}
+
+/**
+ * Works out which slice of the listing a request asks for.
+ * Mirrors Hacker News: for "next" pagination, "next" is the ID the next page starts at and "n" is the rank of that article,
+ * a bare "n" (without "next") is ignored and serves the first page, like Hacker News does. For "page" pagination, "p" is the 1-based page number.
+ * @param {object} listing listing descriptor
+ * @param {object[]} items all items of the listing, in listing order
+ * @param {URLSearchParams} query the request query string
+ * @returns {object} { start, first_rank } index into items and rank of the first article
+ */
+function resolvePageStart(listing, items, query) {
+  if (listing.pagination === PAGINATION.PAGE) {
+    const p = Math.max(1, parseInt(query.get("p"), 10) || 1);
+    return { start: (p - 1) * PAGE_SIZE, first_rank: (p - 1) * PAGE_SIZE + 1 };
+  }
+
+  const next = parseInt(query.get("next"), 10);
+  const n = parseInt(query.get("n"), 10);
+
+  if (!Number.isNaN(next)) {
+    let start = items.findIndex((item) => item.id <= next);
+    if (start === -1) start = items.length;
+    return { start, first_rank: Number.isNaN(n) ? start + 1 : n };
+  }
+  return { start: 0, first_rank: 1 };
+}
+
+/**
+ * Builds the href of the "More" link the way Hacker News does for the listing.
+ * @param {object} listing listing descriptor
+ * @param {object} fixture the listing data
+ * @param {int} start index of the first item on the current page
+ * @param {int} first_rank rank of the first item on the current page
+ * @returns {string|null} the href, or null when the current page is the last one
+ */
+function moreHref(listing, fixture, start, first_rank) {
+  const following = fixture.items[start + PAGE_SIZE];
+  if (!following) return null;
+
+  if (listing.pagination === PAGINATION.PAGE) {
+    const day = fixture.day ? "day=" + fixture.day + "&" : "";
+    return listing.name + "?" + day + "p=" + (Math.floor(start / PAGE_SIZE) + 2);
+  }
+  return listing.name + "?next=" + following.id + (listing.ranked ? "&n=" + (first_rank + PAGE_SIZE) : "");
+}
+
+/**
+ * Answers a Firebase API request from the fixtures: "/v0/item/<id>.json" or a story list such as "/v0/newstories.json".
+ * @param {string} pathname request path
+ * @param {function} fixtureOf returns the fixture of a listing descriptor
+ * @returns {*} the JSON to answer with, null for an unknown item (as Firebase does), undefined when the path is not an API path
+ */
+function apiResponse(pathname, fixtureOf) {
+  const item_match = pathname.match(/^\/v0\/item\/(\d+)\.json$/);
+  if (item_match) {
+    const id = Number(item_match[1]);
+    for (const listing of Object.values(LISTINGS)) {
+      const item = fixtureOf(listing).items.find((candidate) => candidate.id === id);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  const list_match = pathname.match(/^\/v0\/(\w+)\.json$/);
+  const listing = list_match && Object.values(LISTINGS).find((descriptor) => descriptor.api_list === list_match[1]);
+  if (listing) return fixtureOf(listing).items.map((item) => item.id);
+  return undefined;
+}
+
+/**
+ * Creates (but does not start) the stand-in HTTP server.
+ * @param {object} [options]
+ * @param {string} [options.fixture_dir] directory holding the listing fixtures
+ * @param {int} [options.refusals] number of listing requests to refuse from the start
+ * @param {string} [options.refusal_mode] how to refuse them, a key of REFUSALS (default "sorry")
+ * @param {object} [options.accounts] accounts the login form takes: user name -> { password, karma, showdead }, defaults to DEFAULT_ACCOUNTS
+ * @param {int[]} [options.dead] IDs of articles that are dead, only listed for accounts with showdead
+ * @returns {http.Server} the server, with a refuse(count, mode) method to refuse the next requests
+ */
+function createStandinServer(options = {}) {
+  const fixture_dir = options.fixture_dir || DEFAULT_FIXTURE_DIR;
+  const fixtures = {};
+  const refusals = { left: 0, mode: "sorry" };
+  const accounts = options.accounts || DEFAULT_ACCOUNTS;
+  const dead = new Set(options.dead || []);
+  // Logged-in users by session token: { name, karma, showdead, auth, voted, flagged, hidden }
+  const sessions = new Map();
+
+  // Fixtures are only read once per server
+  const fixtureOf = (listing) => {
+    if (!fixtures[listing.name]) fixtures[listing.name] = loadFixture(fixture_dir, listing.name + ".json");
+    return fixtures[listing.name];
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://" + (req.headers.host || "localhost"));
+
+    if (req.method === "GET" && url.pathname === "/__standin/refuse") {
+      server.refuse(parseInt(url.searchParams.get("count"), 10) || 1, url.searchParams.get("mode") || undefined);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(refusals));
+      return;
+    }
+
+    const user = sessions.get(sessionToken(req)) || null;
+
+    if (url.pathname === "/login") {
+      // Reading the form fails when the browser breaks off the request, answer with a 500 rather than leave it unhandled
+      handleLogin(req, res, url).catch(() => {
+        if (!res.headersSent) res.writeHead(500, { "Content-Type": "text/html; charset=utf-8" });
+        res.end("Internal Server Error");
+      });
+      return;
+    }
+    if (req.method === "GET" && ["/logout", "/vote", "/hide", "/flag"].includes(url.pathname)) {
+      handleUserAction(res, url, user);
+      return;
+    }
+
+    const api_json = req.method === "GET" ? apiResponse(url.pathname, fixtureOf) : undefined;
+    if (api_json !== undefined) {
+      res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify(api_json));
+      return;
+    }
+
+    const listing = listingAt(url.pathname);
+
+    if (req.method !== "GET" || !listing) {
+      res.writeHead(404, { "Content-Type": "text/html; charset=utf-8" });
+      res.end("Unknown.");
+      return;
+    }
+
+    if (refusals.left > 0) {
+      refusals.left -= 1;
+      const refusal = REFUSALS[refusals.mode];
+      res.writeHead(refusal.status, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(refusal.body);
+      return;
+    }
+
+    // Dead articles are only listed with showdead, and hidden ones not at all
+    const stored = fixtureOf(listing);
+    const fixture = {
+      ...stored,
+      items: stored.items
+        .filter((item) => (!dead.has(item.id) || (user && user.showdead)) && !(user && user.hidden.has(item.id)))
+        .map((item) => (dead.has(item.id) ? { ...item, dead: true } : item)),
+    };
+
+    const { start, first_rank } = resolvePageStart(listing, fixture.items, url.searchParams);
+
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(renderListingPage({
+      name: listing.name,
+      title: fixture.day ? fixture.day + " front" : listing.title,
+      now: fixture.fetched_at,
+      items: fixture.items.slice(start, start + PAGE_SIZE),
+      first_rank: listing.ranked ? first_rank : null,
+      more_href: moreHref(listing, fixture, start, first_rank),
+      user,
+    }));
+  });
+
+  /**
+   * "/login": shows the form, and logs in with a posted one.
+   * @param {http.IncomingMessage} req the request
+   * @param {http.ServerResponse} res the response
+   * @param {URL} url the request URL
+   */
+  const handleLogin = async (req, res, url) => {
+    const page = (status, html) => {
+      res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(html);
+    };
+    if (req.method === "GET") return page(200, renderLoginPage({ goto: url.searchParams.get("goto") }));
+    if (req.method !== "POST") return page(404, "Unknown.");
+
+    const form = await readForm(req);
+    if (form.get("creating")) return page(200, "The stand-in cannot create accounts.");
+    const name = form.get("acct");
+    const account = Object.prototype.hasOwnProperty.call(accounts, name) ? accounts[name] : null;
+    if (!account || account.password !== form.get("pw")) return page(200, renderLoginPage({ goto: form.get("goto"), message: "Bad login." }));
+
+    const token = crypto.randomBytes(12).toString("hex");
+    sessions.set(token, {
+      name,
+      karma: account.karma || 1,
+      showdead: !!account.showdead,
+      auth: crypto.randomBytes(20).toString("hex"),
+      voted: new Set(),
+      flagged: new Set(),
+      hidden: new Set(),
+    });
+    redirect(res, form.get("goto"), { "Set-Cookie": "user=" + encodeURIComponent(name + "&" + token) + "; Path=/; HttpOnly; SameSite=Lax" });
+  };
+
+  /**
+   * "/logout", "/vote", "/hide" and "/flag", which need a logged-in user and their "auth" token.
+   * @param {http.ServerResponse} res the response
+   * @param {URL} url the request URL
+   * @param {object|null} user the logged-in user
+   */
+  const handleUserAction = (res, url, user) => {
+    const query = url.searchParams;
+    const goto = query.get("goto");
+    // Logged out, Hacker News sends you to log in first
+    if (!user) return redirect(res, "login?goto=" + encodeURIComponent(goto || "news"));
+    if (query.get("auth") !== user.auth) {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end("Bad auth.");
+      return;
+    }
+
+    const id = parseInt(query.get("id"), 10);
+    const undo = query.get("how") === "un" || query.get("un") === "t";
+    const toggle = (set) => (undo ? set.delete(id) : set.add(id));
+    switch (url.pathname) {
+      case "/logout":
+        for (const [token, session] of sessions) {
+          if (session === user) sessions.delete(token);
+        }
+        return redirect(res, goto, { "Set-Cookie": "user=; Path=/; Max-Age=0" });
+      case "/vote": toggle(user.voted); break;
+      case "/hide": toggle(user.hidden); break;
+      case "/flag": toggle(user.flagged); break;
+    }
+    redirect(res, goto);
+  };
+
+  /**
+   * Refuses the next listing requests.
+   * @param {int} count how many requests to refuse
+   * @param {string} [mode] how to refuse them, a key of REFUSALS
+   */
+  server.refuse = (count, mode = "sorry") => {
+    if (!REFUSALS[mode]) throw new Error("Unknown refusal mode: " + mode + " (available: " + Object.keys(REFUSALS).join(", ") + ")");
+    refusals.left = count;
+    refusals.mode = mode;
+  };
+  if (options.refusals) server.refuse(options.refusals, options.refusal_mode);
+
+  return server;
+}
+
+/**
+ * Starts the stand-in server.
+ * @param {object} [options]
+ * @param {int} [options.port] port to listen on, 0 picks a free port
+ * @param {string} [options.host] interface to bind to
+ * @param {string} [options.fixture_dir] directory holding the listing fixtures
+ * @param {int} [options.refusals] number of listing requests to refuse from the start
+ * @param {string} [options.refusal_mode] how to refuse them ("sorry", "empty" or "unavailable")
+ * @param {object} [options.accounts] accounts the login form takes: user name -> { password, karma, showdead }
+ * @param {int[]} [options.dead] IDs of articles only listed for accounts with showdead
+ * @returns {Promise<object>} { server, base_url, close, refuse } where close() stops the server and refuse(count, mode) refuses the next requests
+ */
+async function startStandinServer(options = {}) {
+  const host = options.host || "127.0.0.1";
+  const server = createStandinServer(options);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port || 0, host, resolve);
+  });
+  const base_url = "http://" + host + ":" + server.address().port;
+  const close = () => new Promise((resolve) => server.close(() => resolve()));
+  return { server, base_url, close, refuse: server.refuse };
+}
+
+module.exports = { DEFAULT_FIXTURE_DIR, DEFAULT_ACCOUNTS, REFUSALS, loadFixture, createStandinServer, startStandinServer };
+
+// Allow running the stand-in on its own, e.g. for the Playwright "webServer" option
+if (require.main === module) {
+  (async () => {
+    const { base_url } = await startStandinServer({ port: parseInt(process.env.STANDIN_PORT || "3000", 10) });
+    console.log("Hacker News stand-in listening on " + base_url);
+  })();
+}
@@ -0,0 +1,141 @@
+/**
+ * Request throttling for every navigation the crawler makes.
+ * Hacker News answers too many requests with a bare "Sorry." page (sometimes an empty body or a 503 instead).
+ * The throttle spots those answers, waits with exponential backoff plus jitter and retries the exact same URL
+ * (including its "next=" and "n=" offset), until a retry budget shared by the whole run is spent.
+ * Every refusal is kept as an event so it can be reported with the run results.
+ * @author Monty
+ */
+
+// Defaults, all can be overridden per throttle
+const DEFAULT_RETRIES = 5;
+const DEFAULT_BACKOFF_MS = 2000;
+const DEFAULT_MAX_BACKOFF_MS = 60000;
+
+/**
+ * Thrown when the site keeps refusing after the retry budget is spent.
+ */
+class RateLimitError extends Error {
+  constructor(message, events, url = null) {
+    super(message);
+    this.name = "RateLimitError";
+    this.events = events;
+    // The page that kept being refused
+    this.url = url;
+  }
+}
+
+/**
+ * Generates a value representing a delay in milliseconds.
+ * @param {int} ms_min_time minimum delay time in milliseconds
+ * @param {int} ms_range difference between the minimum delay time and maximum delay time in milliseconds
+ * @returns a randomized number representing a delay in milliseconds
+ */
+function random_delay(ms_min_time,ms_range) { return ms_min_time + Math.floor(Math.random() * ms_range); }
+
+/**
+ * @param {int} ms how long to wait
+ * @param {AbortSignal} [signal] ends the wait early, clearing its timer so it does not keep the process alive
+ * @returns {Promise} resolves after the delay, or once the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+    const abort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Decides whether a response is Hacker News refusing to serve the page.
+ * @param {int|null} status HTTP status, null when unknown
+ * @param {string} body response body, HTML or plain text
+ * @returns {string|null} why the response counts as a refusal ("status 503", "sorry", "empty"), or null for a normal page
+ */
+function refusalReason(status, body) {
+  if (status === 429 || status === 503) return "status " + status;
+  const text = String(body || "").replace(/<[^>]*>/g, "").trim();
+  if (text === "") return "empty";
+  // A listing page can only start with "Sorry" if it has no articles, e.g. a story titled "Sorry ..." is further down
+  if (/^Sorry\b/.test(text) && !/\bathing\b/.test(body)) return "sorry";
+  return null;
+}
+
+/**
+ * Throttles navigations and retries refused ones. One throttle should be shared by everything in a run,
+ * so the retry budget and the spacing between requests apply to the run as a whole.
+ */
+class RequestThrottle {
+  /**
+   * @param {object} [options]
+   * @param {int} [options.retries] retry budget for the whole run
+   * @param {int} [options.backoff_ms] wait before the first retry, doubled for every further retry of the same URL
+   * @param {int} [options.max_backoff_ms] longest wait between retries
+   * @param {int} [options.min_interval_ms] least time between two requests, 0 for none
+   * @param {function} [options.sleep] waits for the given milliseconds, replaced in tests
+   * @param {function} [options.delay] picks the jittered delay for a backoff, defaults to between half and all of it
+   */
+  constructor(options = {}) {
+    this.retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+    this.backoff_ms = options.backoff_ms === undefined ? DEFAULT_BACKOFF_MS : options.backoff_ms;
+    this.max_backoff_ms = options.max_backoff_ms || DEFAULT_MAX_BACKOFF_MS;
+    this.min_interval_ms = options.min_interval_ms || 0;
+    this.sleep = options.sleep || sleep;
+    this.delay = options.delay || ((backoff) => random_delay(Math.floor(backoff / 2), Math.ceil(backoff / 2)));
+
+    // Retries left in the budget
+    this.retries_left = this.retries;
+    // Every refusal: { url, attempt, reason, delay_ms, at }
+    this.events = [];
+    // Requests are queued so the spacing holds even when several pages load at once
+    this.next_slot = 0;
+  }
+
+  /**
+   * Waits for this request's turn when requests need to be spaced out.
+   */
+  async waitForSlot() {
+    if (this.min_interval_ms <= 0) return;
+    const now = Date.now();
+    const slot = Math.max(now, this.next_slot);
+    this.next_slot = slot + this.min_interval_ms;
+    if (slot > now) await this.sleep(slot - now);
+  }
+
+  /**
+   * Loads a URL, retrying it while the site refuses.
+   * @param {string} url absolute URL to load, retried as-is so pagination resumes at the same offset
+   * @param {function} load async (url) => { status, body } that performs the request
+   * @returns {Promise<object>} what load() returned for the accepted response
+   */
+  async navigate(url, load) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForSlot();
+      const response = await load(url);
+      const reason = refusalReason(response.status, response.body);
+      if (!reason) return response;
+
+      const event = { url, attempt, reason, delay_ms: null, at: new Date().toISOString() };
+      this.events.push(event);
+
+      if (this.retries_left <= 0) {
+        throw new RateLimitError("The site refused to load " + url + " (" + reason + ") and the retry budget of " + this.retries + " is spent", this.events, url);
+      }
+      this.retries_left -= 1;
+
+      // Exponential backoff with jitter, so retries from several pages do not line up
+      event.delay_ms = this.delay(Math.min(this.max_backoff_ms, this.backoff_ms * 2 ** (attempt - 1)));
+      console.log("Site refused " + url + " (" + reason + "), retrying in " + event.delay_ms + " ms (" + this.retries_left + " retries left)");
+      await this.sleep(event.delay_ms);
+    }
+  }
+}
+
+module.exports = { DEFAULT_RETRIES, DEFAULT_BACKOFF_MS, RateLimitError, RequestThrottle, refusalReason, random_delay, sleep };
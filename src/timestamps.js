@@ -0,0 +1,102 @@
+/**
+ * Reads when an article was posted from what a listing row shows.
+ * The ".age" element carries a title attribute such as "2024-10-19T12:34:56 1729341296": the time in UTC without a zone
+ * designator, then the same time as epoch seconds. Handing that to new Date() as-is depends on the JavaScript engine and the
+ * local timezone, and an Invalid Date compares false against everything, so a broken timestamp would pass every order check.
+ * Here both parts are parsed explicitly (the ISO part as UTC) and must agree. Without a usable title the visible relative
+ * text ("5 minutes ago") is used instead, and anything that cannot be read is an error rather than a guess.
+ * @author Monty
+ */
+
+/**
+ * Thrown for a timestamp that cannot be read, or whose parts disagree.
+ */
+class TimestampError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TimestampError";
+  }
+}
+
+// Seconds per unit of the relative age text. Hacker News rounds down, so "2 hours ago" is anything from 2 to 3 hours
+const RELATIVE_UNITS = { second: 1, minute: 60, hour: 3600, day: 86400, month: 30 * 86400, year: 365 * 86400 };
+
+/**
+ * Parses the title attribute of an ".age" element.
+ * @param {string} title e.g. "2024-10-19T12:34:56 1729341296", either part may appear on its own
+ * @returns {Date} the time the article was posted
+ * @throws {TimestampError} when the title is not in the expected format, or its ISO and epoch parts name different times
+ */
+function parseAgeTitle(title) {
+  const match = String(title).trim().match(/^(?:(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d)(?:\.\d+)?Z?)?\s*(\d+)?$/);
+  if (!match || (!match[1] && !match[2])) throw new TimestampError("age title " + JSON.stringify(title) + " is not in the \"<ISO time> <epoch seconds>\" format");
+
+  // The ISO part has no zone designator but is UTC, so it is never left to the local timezone
+  const iso_ms = match[1] ? Date.parse(match[1] + "Z") : null;
+  if (Number.isNaN(iso_ms)) throw new TimestampError("age title " + JSON.stringify(title) + " has an invalid date");
+  const epoch_ms = match[2] ? parseInt(match[2], 10) * 1000 : null;
+
+  if (iso_ms !== null && epoch_ms !== null && Math.floor(iso_ms / 1000) * 1000 !== epoch_ms) {
+    throw new TimestampError("age title " + JSON.stringify(title) + " disagrees with itself: " + new Date(iso_ms).toISOString() + " vs epoch " + new Date(epoch_ms).toISOString());
+  }
+  return new Date(epoch_ms !== null ? epoch_ms : iso_ms);
+}
+
+/**
+ * Parses the visible relative age of an article.
+ * @param {string} text e.g. "5 minutes ago", "an hour ago" or "just now"
+ * @param {Date} now when the page was read
+ * @returns {Date} the latest time the article can have been posted
+ * @throws {TimestampError} when the text is not a relative age
+ */
+function parseRelativeAge(text, now) {
+  const trimmed = String(text).trim().toLowerCase();
+  if (trimmed === "just now") return new Date(now.getTime());
+
+  const match = trimmed.match(/^(\d+|an?|one)\s+(second|minute|hour|day|month|year)s?\s+ago$/);
+  if (!match) throw new TimestampError("age text " + JSON.stringify(text) + " is not a relative age like \"5 minutes ago\"");
+  const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+  return new Date(now.getTime() - amount * RELATIVE_UNITS[match[2]] * 1000);
+}
+
+/**
+ * Works out when an article was posted from its ".age" element.
+ * @param {object} age what the row shows
+ * @param {string|null} age.title the title attribute, null when missing
+ * @param {string|null} [age.text] the visible relative age, null when missing
+ * @param {Date} [now] when the page was read, for the relative age
+ * @returns {object} { timestamp, source, error }: source is "title" or "relative";
+ *  timestamp is null with an error message when the age cannot be read, and null without one when the row shows no age at all
+ */
+function readTimestamp(age, now = new Date()) {
+  const problems = [];
+  if (age.title !== null && age.title !== undefined) {
+    try {
+      return { timestamp: parseAgeTitle(age.title), source: "title", error: null };
+    } catch (error) {
+      if (!(error instanceof TimestampError)) throw error;
+      // A title whose parts disagree is bad data, not something to paper over with the coarser relative text
+      if (/disagrees/.test(error.message)) return { timestamp: null, source: null, error: error.message };
+      problems.push(error.message);
+    }
+  }
+  if (age.text !== null && age.text !== undefined) {
+    try {
+      return { timestamp: parseRelativeAge(age.text, now), source: "relative", error: null };
+    } catch (error) {
+      if (!(error instanceof TimestampError)) throw error;
+      problems.push(error.message);
+    }
+  }
+  return { timestamp: null, source: null, error: problems.length > 0 ? problems.join(", ") : null };
+}
+
+/**
+ * @param {*} value a parsed timestamp
+ * @returns {boolean} whether it is a Date that names an actual time
+ */
+function isValidTimestamp(value) {
+  return value instanceof Date && !Number.isNaN(value.getTime());
+}
+
+module.exports = { TimestampError, parseAgeTitle, parseRelativeAge, readTimestamp, isValidTimestamp };
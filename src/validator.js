@@ -0,0 +1,540 @@
+/**
+ * Validates the first articles of a Hacker News listing against sort-order rules (see src/rules.js),
+ * by default that /newest is sorted from newest to oldest.
+ * Shared by index.js and the Playwright test suite. Neither exits nor fails a test itself:
+ * it returns the outcome and leaves reporting it to the caller.
+ * @author Monty
+ */
+
+/*
+ * Note: I was concerned that there could be a race condition in the following scenario:
+ *  An article gets posted right as we move from the first page to the second page. Thus we end up verifying the same article twice.
+ *  (Thus we end up only validating 99 of the newest articles, instead of 100).
+ * However, I conducted a test:
+ *  I had two tabs open pointing to "https://news.ycombinator.com/newest".
+ *  I clicked "More" on one tab.
+ *  I waited 10 min (plenty of time for multiple articles to be posted).
+ *  I clicked "More" on the other tab.
+ *  If the article list was the same on both tabs,
+ *   then navigation with the "More" button will not cause a race condition because the list will be consistent across time.
+ * After conducting the procedure twice, I conclude that the list is time-invariant and will not cause a race condition.
+ * Since two manual runs are not a guarantee, every walk is now also checked for duplicate IDs, ranks that do not carry on
+ * between pages and a "More" link that disagrees with the number of articles seen (see src/consistency.js).
+ */
+
+// Project modules
+const { STATUS, createResults, recordCheck, finishResults } = require("./results");
+const { createRule, defaultRulesFor } = require("./rules");
+const { resolveComparison } = require("./comparison");
+const { PAGE_SIZE, PAGINATION, getListing, missingRequiredFields } = require("./listings");
+const { RateLimitError } = require("./throttle");
+const { SEVERITY, createConsistencyTracker } = require("./consistency");
+const { API_CHECKS, ApiError, createApiClient, createApiCrossCheck } = require("./api");
+const { countByField } = require("./schema");
+const { canShard, shardUrl, loadPages } = require("./shards");
+const { readEvidence } = require("./artifacts");
+
+// Validate this many articles unless told otherwise. Article list may be spread across several pages
+const DEFAULT_ARTICLE_COUNT = 100;
+
+/**
+ * Walks the listing with the "More" link until the desired number of articles has been checked.
+ * A violation does not stop the run, so every violation within the requested count is reported.
+ * @param {ArticleListPage} list_page page object for the listing to validate
+ * @param {object} [options]
+ * @param {int} [options.count] how many articles to validate
+ * @param {int} [options.start_offset] how many articles to skip before validating
+ * @param {string[]} [options.rules] names of the rules to check, defaults to the listing's rules
+ * @param {string} [options.consistency] whether pages that do not line up fail the run, only warn, or are not checked (see SEVERITY in src/consistency.js)
+ * @param {string} [options.schema] the same for rows that do not match the row schema (see src/schema.js)
+ * @param {object} [options.comparison] how equal and near-equal timestamps are compared: { mode, tolerance_s } (see src/comparison.js)
+ * @param {object} [options.api] API client (see createApiClient() in src/api.js) to cross-check every checked article with, none by default
+ * @param {object} [options.capture] saves offending pages while they are loaded (see createCapture() in src/artifacts.js), none by default
+ * @returns {Promise<object>} the run results (see src/results.js)
+ */
+async function validateListing(list_page, options = {}) {
+  const run = startRun(list_page, options);
+  // Read from whatever page the page object is on, which is the page being checked
+  const evidence = (ids) => readEvidence(list_page, ids);
+
+  // Open the article listing, starting at article index 1
+  let load_started = Date.now();
+  try {
+    await list_page.open();
+  } catch (error) {
+    return finishNavigationError(run, error, evidence);
+  }
+
+  // Continue to validate timestamps on pages until we have checked the desired number of articles
+  while (run.article_index <= run.count) {
+    const load_ms = Date.now() - load_started;
+
+    const read_started = Date.now();
+    const articles = await list_page.articles();
+    const has_more_link = await list_page.hasMoreLink();
+
+    // If neither articles nor the "More" button are present, chances are the page did not load and the site refused to load the article list
+    // Since I do not control how the site tests for abuse, the best I can do is let the tester know how this test failed
+    if (!has_more_link && articles.length === 0) {
+      await captureStopped(run, list_page.page.url(), evidence);
+      return finishMissingMoreLink(run.results, await list_page.isRateLimited(), await list_page.page.content(), list_page.page.url());
+    }
+
+    const more_href = list_page.moreHref ? (has_more_link ? await list_page.moreHref() : null) : undefined;
+    const finished = await checkPage(run, { url: list_page.page.url(), more_href, articles, load_ms, read_ms: Date.now() - read_started, evidence });
+    if (finished) return finished;
+
+    // Navigate to next page if there is more to check
+    if (run.article_index <= run.count) {
+      // Articles but no "More" button: the last page of the listing
+      if (!has_more_link) return finishListingEnd(run);
+      load_started = Date.now();
+      try {
+        await list_page.next();
+      } catch (error) {
+        return finishNavigationError(run, error, evidence);
+      }
+    }
+  }
+
+  return finishRun(run);
+}
+
+/**
+ * Like validateListing(), but loads the pages concurrently: the page URLs are worked out ahead of time
+ * (see src/shards.js), spread over the given page objects (one per browser context) and merged back
+ * in rank order before the rules see them, so the outcome is the same as walking the pages one by one.
+ * The page objects should share one RequestThrottle, so the rate limit holds for the run as a whole.
+ * @param {ArticleListPage[]} list_pages one page object per browser context, all for the same listing
+ * @param {object} [options] the same options as validateListing(), and:
+ * @param {string} [options.api_url] API to take the item IDs "next" pages start at from, when options.api is not given (see src/config.js)
+ * @returns {Promise<object>} the run results (see src/results.js)
+ */
+async function validateListingSharded(list_pages, options = {}) {
+  const list_page = list_pages[0];
+  if (!canShard(list_page.descriptor)) throw new Error("The " + list_page.listing + " listing cannot be loaded in parallel, its pages are only reachable through the \"More\" link");
+  const run = startRun(list_page, options);
+  run.results.mode = "sharded";
+  run.results.shards = list_pages.length;
+
+  // "next" pages start at an item ID, which only the API's story list knows before the pages are loaded
+  let story_ids = null;
+  if (list_page.descriptor.pagination === PAGINATION.NEXT) {
+    try {
+      story_ids = await (options.api || createApiClient({ api_url: options.api_url })).storyList(list_page.descriptor.api_list);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      return finishResults(run.results, STATUS.ERROR, error.message);
+    }
+  }
+
+  // Whole pages before the start offset are not loaded at all
+  let page_number = Math.floor((options.start_offset || 0) / PAGE_SIZE) + 1;
+  run.articles_to_skip -= (page_number - 1) * PAGE_SIZE;
+
+  while (run.article_index <= run.count) {
+    // Enough pages for the articles still to check, assuming full pages; short pages are made up by the next batch
+    const still_needed = run.count - run.article_index + 1 + run.articles_to_skip;
+    const page_numbers = Array.from({ length: Math.ceil(still_needed / PAGE_SIZE) }, (_, i) => page_number + i);
+    page_number += page_numbers.length;
+
+    // The page objects move on to other pages before the articles are checked, so the evidence is read as each page loads
+    // Pages past the end of the story list are not loaded, the listing ends before them
+    const urls = page_numbers.map((number) => shardUrl(list_page, number, story_ids)).filter((url) => url !== null);
+    if (urls.length === 0) return finishListingEnd(run);
+    let loaded;
+    try {
+      loaded = await loadPages(list_pages, urls, { evidence: !!run.capture });
+    } catch (error) {
+      return finishNavigationError(run, error, error.evidence ? async () => error.evidence : null);
+    }
+
+    // Merged back in rank order, the rules see the same stream of articles as in a sequential walk
+    for (const page of loaded) {
+      if (run.article_index > run.count) break;
+      if (!page.has_more_link && page.articles.length === 0) {
+        await captureStopped(run, page.url, page.evidence);
+        return finishMissingMoreLink(run.results, page.refused, page.html, page.url);
+      }
+      const finished = await checkPage(run, page);
+      if (finished) return finished;
+      // The last page of the listing, the pages loaded after it are empty
+      if (!page.has_more_link && run.article_index <= run.count) return finishListingEnd(run);
+    }
+  }
+
+  return finishRun(run);
+}
+
+/**
+ * Sets up the state a run keeps while its pages are checked.
+ * @param {ArticleListPage} list_page page object for the listing, only its listing, descriptor, base_url and throttle are used
+ * @param {object} options the options of validateListing()
+ * @returns {object} run state: { count, descriptor, results, rules, tracker, cross_check, capture, article_index, articles_to_skip, start_offset, consistency, schema }
+ */
+function startRun(list_page, options) {
+  const count = options.count || DEFAULT_ARTICLE_COUNT;
+  const rule_names = options.rules && options.rules.length > 0 ? options.rules : defaultRulesFor(list_page.listing);
+  const consistency = options.consistency || SEVERITY.FAIL;
+  const schema = options.schema || SEVERITY.FAIL;
+  const comparison = resolveComparison(options.comparison);
+  const results = createResults({ listing: list_page.listing, base_url: list_page.base_url, count, rules: rule_names, consistency, schema, comparison });
+
+  // The page's timestamps are cross-checked with the API when one is given
+  const cross_check = options.api ? createApiCrossCheck(options.api, list_page.descriptor) : null;
+  if (cross_check) {
+    results.api_url = options.api.api_url;
+    results.cross_checks = Object.keys(API_CHECKS).filter((name) => name !== "api-order" || list_page.descriptor.api_list);
+  }
+
+  // Refusals and retries are recorded by the page's throttle as they happen
+  if (list_page.throttle) results.throttle_events = list_page.throttle.events;
+
+  return {
+    count,
+    descriptor: list_page.descriptor || getListing(list_page.listing),
+    results,
+    rule_names,
+    consistency,
+    schema,
+    cross_check,
+    capture: options.capture || null,
+    // Each rule keeps its own state (e.g. the most recently compared timestamp) across pages
+    // The first article is anchored to the page rather than to the local clock, which may be behind Hacker News
+    rules: rule_names.map((name) => createRule(name, { first_rank: (options.start_offset || 0) + 1, comparison })),
+    // Tracks every row read so pages that do not line up are noticed
+    tracker: consistency === SEVERITY.OFF ? null : createConsistencyTracker(),
+    // The index of the first article on a page
+    article_index: 1,
+    // Articles still to be skipped before validation starts
+    articles_to_skip: options.start_offset || 0,
+    start_offset: options.start_offset || 0,
+  };
+}
+
+/**
+ * Checks the articles of one page, in listing order.
+ * @param {object} run run state from startRun()
+ * @param {object} page { url, more_href, articles, load_ms, read_ms, evidence } of the page, evidence(ids) reads what it looks
+ *  like for the failure artifacts (see readEvidence() in src/artifacts.js), null when it cannot
+ * @returns {Promise<object|null>} the finished results when the run cannot go on, null otherwise
+ */
+async function checkPage(run, page) {
+  const { results, count } = run;
+  const articles = page.articles;
+  results.pages.push({ url: page.url, first_index: run.article_index, articles: articles.length, load_ms: page.load_ms, read_ms: page.read_ms });
+  const stop = async (message) => {
+    await captureStopped(run, page.url, page.evidence);
+    return finishResults(results, STATUS.ERROR, message);
+  };
+  // Whatever this page adds to these is what its evidence has to show
+  const violations_before = results.violations.length;
+  const issues_before = results.consistency_issues.length;
+
+  if (articles.length === 0) {
+    return stop("Could not find any articles on this page!");
+  }
+
+  // Every article needs the fields its kind of row always shows (see src/listings.js), e.g. a timestamp to be compared
+  const descriptor = run.descriptor;
+
+  // A timestamp that is there but cannot be read must not slip through as an article that compares false to everything
+  const unreadable = articles.find((article) => article.timestamp_error);
+  if (unreadable) {
+    return stop("Could not parse the timestamp of " + unreadable.type + " ID:" + unreadable.id + " on this page! The " + unreadable.timestamp_error + ".");
+  }
+
+  const incomplete = articles.find((article) => missingRequiredFields(descriptor, article).length > 0);
+  if (incomplete) {
+    return stop("Could not read " + missingRequiredFields(descriptor, incomplete).join(", ") +
+      " of " + incomplete.type + " ID:" + incomplete.id + " on this page!");
+  }
+
+  // The page has to carry on exactly where the one before it stopped
+  if (run.tracker) {
+    for (const issue of run.tracker.checkPage({ url: page.url, more_href: page.more_href, articles })) {
+      results.consistency_issues.push(issue);
+      console.log("========================================================================================");
+      console.log("Pages are inconsistent (" + issue.check + ") at article #" + issue.position + ": " + issue.message);
+      console.log("========================================================================================");
+      console.log("");
+    }
+  }
+
+  // Skip ahead to the start offset, whole pages at a time where possible
+  const skipped = Math.min(run.articles_to_skip, articles.length);
+  run.articles_to_skip -= skipped;
+
+  // The last skipped article is what the first checked one is compared with
+  if (skipped > 0 && skipped < articles.length && run.article_index === 1) {
+    for (const rule of run.rules) if (rule.anchor) rule.anchor(articles[skipped - 1]);
+  }
+
+  // Call page-level function
+  if (skipped < articles.length) {
+    const first_index = run.article_index;
+    run.article_index = validateArticlesOnPage(articles.slice(skipped), results, run.rules, run.article_index, count);
+
+    // Every checked row has to look like an article row, whatever its order (see src/schema.js)
+    if (run.schema !== SEVERITY.OFF) recordRowIssues(results, first_index);
+
+    // Ask the API about the same articles while the page is still fresh
+    if (run.cross_check) {
+      const entries = results.checked.slice(first_index - 1).map((article, i) => ({ index: first_index + i, article }));
+      try {
+        recordApiChecks(results, await run.cross_check.checkPage(entries));
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        return stop(error.message);
+      }
+    }
+  }
+
+  // Saved while the page is still loaded, a live listing would show other rows by the end of the run
+  // Only what fails the run, a run that passes keeps no artifacts
+  const ids = [];
+  const issues = run.consistency === SEVERITY.FAIL ? results.consistency_issues.slice(issues_before) : [];
+  for (const { id } of [...results.violations.slice(violations_before), ...issues]) {
+    if (id !== null && id !== undefined && !ids.includes(String(id))) ids.push(String(id));
+  }
+  if (ids.length > 0) await capturePage(run, page, ids);
+  return null;
+}
+
+/**
+ * Saves a page with offending articles through run.capture, a failure to save is logged and does not end the run.
+ * @param {object} run run state from startRun()
+ * @param {object} page the page as passed to checkPage()
+ * @param {string[]} ids item IDs of the offending articles on it
+ */
+async function capturePage(run, page, ids) {
+  if (!run.capture || !page.evidence) return;
+  try {
+    const page_number = run.results.pages.length;
+    run.results.evidence.push(...run.capture.page({ page_number, url: page.url, ids, evidence: await page.evidence(ids) }));
+  } catch (error) {
+    console.log("Could not save a screenshot of page " + page.url + ": " + error.message);
+  }
+}
+
+/**
+ * Saves the page the run stopped on through run.capture, like capturePage().
+ * @param {object} run run state from startRun()
+ * @param {string} url the page
+ * @param {function|null} evidence reads what it looks like, null when it cannot
+ */
+async function captureStopped(run, url, evidence) {
+  if (!run.capture || !evidence) return;
+  try {
+    run.results.evidence.push(...run.capture.stopped({ url, evidence: await evidence([]) }));
+  } catch (error) {
+    console.log("Could not save a screenshot of the page the run stopped on: " + error.message);
+  }
+}
+
+/**
+ * Closes off a run that checked every article it was asked to, or every article the listing has.
+ * @param {object} run run state from startRun()
+ * @returns {object} the finished results
+ */
+function finishRun(run) {
+  const { results } = run;
+  // Said first, so a short listing is not mistaken for a run that checked the whole count
+  const ended = results.listing_length === null ? "" : "The listing has only " + results.listing_length + " articles. ";
+  if (results.violations.length > 0) {
+    return finishResults(results, STATUS.FAILED, ended + describeFailure(results));
+  }
+  if (run.consistency === SEVERITY.FAIL && results.consistency_issues.length > 0) {
+    return finishResults(results, STATUS.FAILED, ended + describeInconsistency(results) + describeSchemaIssues(results, " "));
+  }
+  if (run.schema === SEVERITY.FAIL && results.schema_issues.length > 0) {
+    return finishResults(results, STATUS.FAILED, ended + describeSchemaIssues(results, ""));
+  }
+  return finishResults(results, STATUS.PASSED, ended + "Verified " + results.checked.length + " articles " + describeRules(run.rule_names) + "!");
+}
+
+/**
+ * Ends a run on the last page of the listing before the requested number of articles was checked.
+ * That is the listing running out, not the site refusing it: /jobs and /front are often shorter than 100 articles.
+ * @param {object} run run state from startRun()
+ * @returns {object} the finished results
+ */
+function finishListingEnd(run) {
+  const { results } = run;
+  results.listing_length = run.start_offset - run.articles_to_skip + results.checked.length;
+  if (results.checked.length === 0) {
+    return finishResults(results, STATUS.ERROR, "The listing has only " + results.listing_length + " articles, none after the start offset of " + run.start_offset + "!");
+  }
+  return finishRun(run);
+}
+
+/**
+ * Ends a run on a page without a "More" link, which usually means the site did not serve the listing.
+ * @param {object} results run results
+ * @param {boolean} refused whether the page is Hacker News refusing to serve it
+ * @param {string} html page content, kept for the report
+ * @param {string} url the page, for the failure artifacts (see src/artifacts.js)
+ * @returns {object} the finished results
+ */
+function finishMissingMoreLink(results, refused, html, url) {
+  results.html = html;
+  results.stopped_url = url;
+  return finishResults(results, STATUS.ERROR, refused
+    ? "Next page did not load properly, the site refused to load the articles!"
+    : "Next page did not load properly, did the site refuse to load the articles?");
+}
+
+/**
+ * Page-level function called for each new url in this test
+ * @param {object[]} articles articles read from the page by ArticleListPage.articles()
+ * @param {object} results run results, checked articles, rule checks and violations are added to it
+ * @param {object[]} rules rules created by createRule(), each sees every article in order
+ * @param {int} article_index keeps track of how many articles have been validated
+ * @param {int} num_of_articles_to_validate how many articles need to be validated for the entire test
+ * @returns an updated article_index to be used for the next page
+ */
+function validateArticlesOnPage(articles, results, rules, article_index, num_of_articles_to_validate) {
+
+  // New page and progress
+  console.log("========================================================================================");
+  console.log("Rules:                       " + rules.map((rule) => rule.name).join(", "));
+  console.log("Article # start:             " + (article_index));
+  console.log("Num of articles:             " + (articles.length));
+  console.log("========================================================================================");
+  console.log("");
+
+  // The number of articles to check on this page is either the amount of articles loaded in or less
+  let num_of_articles_to_check_on_page = Math.min(articles.length, num_of_articles_to_validate - article_index + 1);
+
+  // Check each article on this page against every rule
+  for (let i = 0; i < num_of_articles_to_check_on_page; i++) {
+    const article = articles[i];
+
+    // Article list page breakdown
+    console.log(article_index + '. [' + article.timestamp + '] | ID:' + article.id + '\n"' + article.title + '"\n');
+
+    for (const rule of rules) {
+      const check = rule.check(article, article_index);
+      if (!check) continue;
+      recordCheck(results, rule.name, article_index, article, check);
+
+      if (!check.passed) {
+        console.log("========================================================================================");
+        console.log("Article #" + article_index + " breaks " + rule.name + ": it " + check.message);
+        console.log("========================================================================================");
+        console.log("");
+      }
+    }
+
+    results.checked.push(article);
+
+    // Increment validates article count
+    article_index += 1;
+  }
+
+  // Page has been checked
+  console.log("========================================================================================");
+  console.log("Checked page against the rules!");
+  console.log("========================================================================================");
+  console.log("");
+
+  return article_index;
+}
+
+/**
+ * Records what the API cross-check found for the articles of a page.
+ * @param {object} results run results
+ * @param {object[]} checks { index, article, rule, check } from the cross-check (see src/api.js)
+ */
+function recordApiChecks(results, checks) {
+  for (const { index, article, rule, check } of checks) {
+    recordCheck(results, rule, index, article, check);
+    if (!check.passed) {
+      console.log("========================================================================================");
+      console.log("Article #" + index + " breaks " + rule + ": it " + check.message);
+      console.log("========================================================================================");
+      console.log("");
+    }
+  }
+}
+
+/**
+ * Records the row schema issues of the articles checked on a page.
+ * @param {object} results run results
+ * @param {int} first_index index of the first article checked on the page
+ */
+function recordRowIssues(results, first_index) {
+  results.checked.slice(first_index - 1).forEach((article, i) => {
+    for (const issue of article.row_issues || []) {
+      results.schema_issues.push({ index: first_index + i, id: article.id, field: issue.field, message: issue.message });
+      console.log("========================================================================================");
+      console.log("Article #" + (first_index + i) + " does not match the row schema (" + issue.field + "): it " + issue.message);
+      console.log("========================================================================================");
+      console.log("");
+    }
+  });
+  results.schema_counts = countByField(results.schema_issues);
+}
+
+/**
+ * Ends a run whose page could not be loaded because the site kept refusing it.
+ * Other errors are not about throttling and are passed on.
+ * @param {object} run run state from startRun()
+ * @param {Error} error what the navigation threw
+ * @param {function|null} evidence reads what the refused page looks like, null when it cannot
+ * @returns {Promise<object>} the finished results
+ */
+async function finishNavigationError(run, error, evidence) {
+  if (!(error instanceof RateLimitError)) throw error;
+  await captureStopped(run, error.url, evidence);
+  run.results.stopped_url = error.url;
+  return finishResults(run.results, STATUS.ERROR, error.message);
+}
+
+/**
+ * @param {string[]} rule_names names of the checked rules
+ * @returns {string} what the rules promise, e.g. "are in newest order"
+ */
+function describeRules(rule_names) {
+  if (rule_names.length === 1 && rule_names[0] === "newest-first") return "are in newest order";
+  return "pass " + rule_names.join(", ");
+}
+
+/**
+ * @param {object} results results of a run with violations
+ * @returns {string} summary of the violations per rule
+ */
+function describeFailure(results) {
+  const per_rule = {};
+  for (const violation of results.violations) per_rule[violation.rule] = (per_rule[violation.rule] || 0) + 1;
+
+  const only_order = results.violations.every((violation) => violation.rule === "newest-first");
+  const message = only_order && results.rules.length === 1 && results.rules[0] === "newest-first"
+    ? "Articles are not in newest order! " + results.violations.length + " of " + results.count + " articles out of order."
+    : "Articles break the sort-order rules! " + Object.entries(per_rule).map(([rule, count]) => rule + ": " + count).join(", ") + ".";
+  const inconsistency = results.consistency === SEVERITY.FAIL && results.consistency_issues.length > 0 ? " " + describeInconsistency(results) : "";
+  return message + inconsistency + describeSchemaIssues(results, " ");
+}
+
+/**
+ * @param {object} results results of a run whose pages did not line up
+ * @returns {string} summary of the consistency issues per check
+ */
+function describeInconsistency(results) {
+  const per_check = {};
+  for (const issue of results.consistency_issues) per_check[issue.check] = (per_check[issue.check] || 0) + 1;
+  return "Pages do not line up! " + Object.entries(per_check).map(([check, count]) => check + ": " + count).join(", ") + ".";
+}
+
+/**
+ * @param {object} results run results
+ * @param {string} separator put in front of the summary, e.g. a space to append it to another one
+ * @returns {string} summary of the row schema issues per field when they fail the run, an empty string otherwise
+ */
+function describeSchemaIssues(results, separator) {
+  if (results.schema !== SEVERITY.FAIL || results.schema_issues.length === 0) return "";
+  const fields = Object.entries(results.schema_counts).filter(([, count]) => count > 0);
+  return separator + "Rows do not match the row schema! " + fields.map(([field, count]) => field + ": " + count).join(", ") + ".";
+}
+
+module.exports = { DEFAULT_ARTICLE_COUNT, validateListing, validateListingSharded, validateArticlesOnPage };
@@ -0,0 +1,219 @@
+/**
+ * Watch mode: checks a listing again and again, and tells someone when something happens ("node index.js watch").
+ * Every check is a normal validator run (see src/validator.js). Its articles are kept as a snapshot and compared with the
+ * snapshot before it, so besides order violations watch mode also notices articles that disappeared from the window
+ * (deleted or flagged) and articles that moved against the others. New arrivals are expected on /newest and only logged.
+ *
+ *   const watch = createWatch({ check: () => sortHackerNewsArticles(options), notifiers, interval_ms: 60000 });
+ *   await watch.run();   // until watch.stop() or the number of iterations
+ *
+ * Incidents go to the notifiers (see src/notifiers.js): { kind, severity, message, check, at, ...details } where kind is
+ *  violation   the check failed, e.g. articles out of order (severity "fail")
+ *  error       the check could not finish, e.g. the site refused pages (severity "fail")
+ *  recovered   a check passed after one that did not (severity "info")
+ *  disappeared articles left the window without being pushed out by newer ones (severity "warn")
+ *  reranked    articles moved against the articles around them (severity "warn")
+ * @author Monty
+ */
+
+// Project modules
+const { STATUS } = require("./results");
+const { NotifierError } = require("./notifiers");
+const { sleep } = require("./throttle");
+
+// Seconds between two checks unless told otherwise, four pages a minute keeps well clear of the rate limit
+const DEFAULT_WATCH_INTERVAL_S = 60;
+
+/**
+ * Keeps what a diff needs of a check.
+ * @param {object} results finished run results (see src/results.js)
+ * @returns {object} { taken_at, status, articles: [{ id, rank, title, timestamp }] }
+ */
+function takeSnapshot(results) {
+  return {
+    taken_at: results.finished_at || new Date().toISOString(),
+    status: results.status,
+    articles: results.checked.map((article) => ({ id: article.id, rank: article.rank, title: article.title, timestamp: article.timestamp })),
+  };
+}
+
+/**
+ * Finds the articles that moved against the others: everything outside the longest run of articles that kept their order.
+ * @param {int[]} previous_positions position in the previous snapshot of each article both snapshots have, in current order
+ * @returns {Set<int>} indexes (into previous_positions) of the articles that moved
+ */
+function movedIndexes(previous_positions) {
+  // Longest increasing subsequence, O(n^2) is plenty for a few hundred articles
+  const length = previous_positions.map(() => 1);
+  const before = previous_positions.map(() => -1);
+  for (let i = 0; i < previous_positions.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (previous_positions[j] < previous_positions[i] && length[j] + 1 > length[i]) {
+        length[i] = length[j] + 1;
+        before[i] = j;
+      }
+    }
+  }
+  const kept = new Set();
+  let i = length.indexOf(Math.max(0, ...length));
+  while (i !== -1) {
+    kept.add(i);
+    i = before[i];
+  }
+  return new Set(previous_positions.map((_, index) => index).filter((index) => !kept.has(index)));
+}
+
+/**
+ * Compares two snapshots of the same window (e.g. the first 100 articles).
+ * @param {object} previous snapshot from takeSnapshot()
+ * @param {object} current snapshot from takeSnapshot()
+ * @returns {object} { arrived, disappeared, pushed_out, reranked }:
+ *  arrived     articles that are new in the window, { id, rank, title }
+ *  disappeared articles that left it although the newer articles cannot have pushed them out, { id, rank, title }
+ *  pushed_out  how many left it because newer articles came in at the top
+ *  reranked    articles that moved against the others, { id, title, from, to } with the previous and current rank
+ */
+function diffSnapshots(previous, current) {
+  const previous_index = new Map(previous.articles.map((article, i) => [article.id, i]));
+  const current_ids = new Set(current.articles.map((article) => article.id));
+
+  // New articles below the last one both snapshots have only moved up into the window to fill a gap, they are not new
+  let last_common = -1;
+  current.articles.forEach((article, i) => {
+    if (previous_index.has(article.id)) last_common = i;
+  });
+  const arrived = current.articles
+    .filter((article, i) => !previous_index.has(article.id) && (last_common === -1 || i < last_common))
+    .map(({ id, rank, title }) => ({ id, rank, title }));
+
+  // Every arrival pushes the articles below it one place down, and the last ones out of the window
+  const disappeared = [];
+  let pushed_out = 0;
+  previous.articles.forEach((article, i) => {
+    if (current_ids.has(article.id)) return;
+    if (i >= previous.articles.length - arrived.length) pushed_out += 1;
+    else disappeared.push({ id: article.id, rank: article.rank, title: article.title });
+  });
+
+  const common = current.articles.filter((article) => previous_index.has(article.id));
+  const moved = movedIndexes(common.map((article) => previous_index.get(article.id)));
+  const reranked = common
+    .filter((_, i) => moved.has(i))
+    .map((article) => ({ id: article.id, title: article.title, from: previous.articles[previous_index.get(article.id)].rank, to: article.rank }));
+
+  return { arrived, disappeared, pushed_out, reranked };
+}
+
+/**
+ * Works out the incidents of a check.
+ * @param {object} results results of the check
+ * @param {object|null} previous_results results of the check before it, null for the first
+ * @param {object|null} diff diffSnapshots() of the two, null for the first check
+ * @param {int} check number of the check, from 1
+ * @returns {object[]} incidents, see the top of this file
+ */
+function findIncidents(results, previous_results, diff, check) {
+  const at = results.finished_at || new Date().toISOString();
+  const incidents = [];
+  const incident = (kind, severity, message, details = {}) => incidents.push({ kind, severity, message, check, at, listing: results.listing, base_url: results.base_url, ...details });
+
+  if (results.status === STATUS.FAILED) {
+    incident("violation", "fail", results.message, { violations: results.violations.map(({ index, id, rule, message }) => ({ index, id, rule, message })) });
+  } else if (results.status === STATUS.ERROR) {
+    incident("error", "fail", results.message);
+  } else if (previous_results && previous_results.status !== STATUS.PASSED) {
+    incident("recovered", "info", "Check passed again after " + previous_results.status + ": " + results.message);
+  }
+
+  if (diff && diff.disappeared.length > 0) {
+    incident("disappeared", "warn", diff.disappeared.length + " article(s) left the window: " + diff.disappeared.map((article) => "#" + article.rank + " ID:" + article.id).join(", "), { articles: diff.disappeared });
+  }
+  if (diff && diff.reranked.length > 0) {
+    incident("reranked", "warn", diff.reranked.length + " article(s) moved against the others: " + diff.reranked.map((article) => "ID:" + article.id + " #" + article.from + " -> #" + article.to).join(", "), { articles: diff.reranked });
+  }
+  return incidents;
+}
+
+/**
+ * Sets up watch mode.
+ * @param {object} options
+ * @param {function} options.check runs one check and resolves to its results; a thrown error is an "error" incident
+ * @param {object[]} [options.notifiers] where incidents go (see src/notifiers.js)
+ * @param {int} [options.interval_ms] wait between the end of one check and the start of the next
+ * @param {int} [options.iterations] stop after this many checks, forever without it
+ * @param {function} [options.sleep] waits (ms, signal), injectable for tests
+ * @param {function} [options.log] where progress lines go, defaults to console.log
+ * @returns {object} { run(), stop(), checks, incidents }
+ */
+function createWatch(options) {
+  const notifiers = options.notifiers || [];
+  const interval_ms = options.interval_ms === undefined ? DEFAULT_WATCH_INTERVAL_S * 1000 : options.interval_ms;
+  const wait = options.sleep || sleep;
+  const log = options.log || ((line) => console.log(line));
+  let stopped = false;
+  // Ends the wait between two checks early when the watch is stopped, and clears its timer
+  const stopper = new AbortController();
+  const stopping = new Promise((resolve) => stopper.signal.addEventListener("abort", resolve, { once: true }));
+
+  const watch = {
+    // Results of every check, oldest first
+    checks: [],
+    // Every incident sent to the notifiers
+    incidents: [],
+
+    /**
+     * Checks until stopped or the iterations are done.
+     * @returns {Promise<object>} the watch itself, with its checks and incidents
+     */
+    async run() {
+      let previous = null;
+      while (!stopped && (!options.iterations || watch.checks.length < options.iterations)) {
+        const number = watch.checks.length + 1;
+        let results;
+        try {
+          results = await options.check(number);
+        } catch (error) {
+          // An environment problem (browser, network) is an incident too, the watch goes on
+          const now = new Date().toISOString();
+          results = { status: STATUS.ERROR, message: error.message, checked: [], violations: [], finished_at: now, listing: null, base_url: null };
+        }
+        watch.checks.push(results);
+
+        // Diffing against a check that read no articles would report the whole window as gone
+        const snapshot = takeSnapshot(results);
+        const diff = previous && previous.snapshot.articles.length > 0 && snapshot.articles.length > 0 ? diffSnapshots(previous.snapshot, snapshot) : null;
+        log("Check " + number + ": " + results.status + " - " + results.message +
+          (diff ? " (" + diff.arrived.length + " new, " + diff.pushed_out + " pushed out, " + diff.disappeared.length + " disappeared, " + diff.reranked.length + " re-ranked)" : ""));
+
+        for (const incident of findIncidents(results, previous ? previous.results : null, diff, number)) {
+          watch.incidents.push(incident);
+          for (const notifier of notifiers) {
+            try {
+              await notifier.notify(incident);
+            } catch (error) {
+              if (!(error instanceof NotifierError)) throw error;
+              log("Could not notify " + notifier.name + ": " + error.message);
+            }
+          }
+        }
+
+        // Keep the last snapshot that had articles to compare the next one with
+        previous = { results, snapshot: snapshot.articles.length > 0 || !previous ? snapshot : previous.snapshot };
+        // A stop during the wait ends it at once, even with a sleep that does not listen to the signal
+        if (!stopped && (!options.iterations || watch.checks.length < options.iterations)) await Promise.race([wait(interval_ms, stopper.signal), stopping]);
+      }
+      return watch;
+    },
+
+    /**
+     * Stops after the current check, or right away while waiting for the next one, e.g. on Ctrl-C.
+     */
+    stop() {
+      stopped = true;
+      stopper.abort();
+    },
+  };
+  return watch;
+}
+
+module.exports = { DEFAULT_WATCH_INTERVAL_S, takeSnapshot, diffSnapshots, findIncidents, createWatch };
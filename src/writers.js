@@ -0,0 +1,152 @@
+/**
+ * Writers that turn run results (see src/results.js) into files CI and dashboards can consume.
+ * The console banners stay as the human-readable log; these sit alongside it.
+ * @author Monty
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Project modules
+const { STATUS } = require("./results");
+const { SEVERITY, CONSISTENCY_CHECKS } = require("./consistency");
+const { DEFAULT_COMPARISON, describeComparison } = require("./comparison");
+const { ROW_SCHEMA } = require("./schema");
+
+/**
+ * Escapes text for use in XML attributes and element content.
+ * @param {*} value value to escape
+ * @returns {string} XML-safe text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * @param {object} results run results
+ * @returns {string} results as pretty-printed JSON
+ */
+function toJson(results) {
+  return JSON.stringify(results, null, 2) + "\n";
+}
+
+/**
+ * Renders run results as JUnit XML. Every rule check (e.g. each pairwise comparison) is a test case, so CI shows
+ * exactly which article index broke which rule. Each cross-page consistency check and each field of the row schema is a test case as well.
+ * A run that could not finish gets an extra errored test case.
+ * @param {object} results run results
+ * @returns {string} JUnit XML document
+ */
+function toJUnitXml(results) {
+  const suite = "hackernews." + results.listing;
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const cases = results.comparisons.map((comparison) => {
+    const name = "#" + comparison.index + " ID:" + comparison.id + " " + comparison.rule;
+    const attributes = 'classname="' + escapeXml(suite) + '" name="' + escapeXml(name) + '" time="0"';
+    if (comparison.passed) return "    <testcase " + attributes + "/>";
+
+    const detail = "Article #" + comparison.index + " (ID " + comparison.id + ") " + comparison.message;
+    return "    <testcase " + attributes + '>\n      <failure type="' + escapeXml(comparison.rule) + '" message="' + escapeXml(detail) + '">' + escapeXml(detail) + "</failure>\n    </testcase>";
+  });
+
+  // One test case per cross-page consistency check, failing only when inconsistent pages fail the run
+  let consistency_failures = 0;
+  if (results.consistency && results.consistency !== SEVERITY.OFF) {
+    for (const check of Object.keys(CONSISTENCY_CHECKS)) {
+      const attributes = 'classname="' + escapeXml(suite) + '" name="' + escapeXml("pages: " + check) + '" time="0"';
+      const issues = (results.consistency_issues || []).filter((issue) => issue.check === check);
+      if (issues.length === 0) {
+        cases.push("    <testcase " + attributes + "/>");
+        continue;
+      }
+      const detail = issues.map((issue) => "Article #" + issue.position + " (ID " + issue.id + ") " + issue.message).join("\n");
+      if (results.consistency === SEVERITY.FAIL) {
+        consistency_failures += 1;
+        cases.push("    <testcase " + attributes + '>\n      <failure type="' + escapeXml(check) + '" message="' + escapeXml(issues[0].message) + '">' + escapeXml(detail) + "</failure>\n    </testcase>");
+      } else {
+        cases.push("    <testcase " + attributes + ">\n      <system-out>" + escapeXml(detail) + "</system-out>\n    </testcase>");
+      }
+    }
+  }
+
+  // One test case per field of the row schema, the same way
+  let schema_failures = 0;
+  if (results.schema && results.schema !== SEVERITY.OFF) {
+    for (const field of Object.keys(ROW_SCHEMA)) {
+      const attributes = 'classname="' + escapeXml(suite) + '" name="' + escapeXml("rows: " + field) + '" time="0"';
+      const issues = (results.schema_issues || []).filter((issue) => issue.field === field);
+      if (issues.length === 0) {
+        cases.push("    <testcase " + attributes + "/>");
+        continue;
+      }
+      const detail = issues.map((issue) => "Article #" + issue.index + " (ID " + issue.id + ") " + issue.message).join("\n");
+      const summary = issues.length + " rows break: " + ROW_SCHEMA[field];
+      if (results.schema === SEVERITY.FAIL) {
+        schema_failures += 1;
+        cases.push("    <testcase " + attributes + '>\n      <failure type="' + escapeXml(field) + '" message="' + escapeXml(summary) + '">' + escapeXml(detail) + "</failure>\n    </testcase>");
+      } else {
+        cases.push("    <testcase " + attributes + ">\n      <system-out>" + escapeXml(detail) + "</system-out>\n    </testcase>");
+      }
+    }
+  }
+
+  const errors = results.status === STATUS.ERROR ? 1 : 0;
+  if (errors) {
+    cases.push('    <testcase classname="' + escapeXml(suite) + '" name="listing loads" time="' + seconds(results.duration_ms) + '">\n' +
+      '      <error message="' + escapeXml(results.message) + '"/>\n    </testcase>');
+  }
+
+  const counts = 'tests="' + cases.length + '" failures="' + (results.violations.length + consistency_failures + schema_failures) + '" errors="' + errors + '" time="' + seconds(results.duration_ms) + '"';
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<testsuites name="hackernews" ' + counts + ">\n" +
+    '  <testsuite name="' + escapeXml(suite) + '" ' + counts + ' timestamp="' + escapeXml(results.started_at) + '">\n' +
+    "    <properties>\n" +
+    '      <property name="base_url" value="' + escapeXml(results.base_url) + '"/>\n' +
+    '      <property name="status" value="' + escapeXml(results.status) + '"/>\n' +
+    '      <property name="count" value="' + escapeXml(results.count) + '"/>\n' +
+    '      <property name="rules" value="' + escapeXml(results.rules.join(",")) + '"/>\n' +
+    '      <property name="refusals" value="' + escapeXml((results.throttle_events || []).length) + '"/>\n' +
+    '      <property name="mode" value="' + escapeXml(results.mode) + '"/>\n' +
+    '      <property name="shards" value="' + escapeXml(results.shards) + '"/>\n' +
+    '      <property name="comparison" value="' + escapeXml(describeComparison(results.comparison_policy || DEFAULT_COMPARISON)) + '"/>\n' +
+    (results.artifacts ? '      <property name="artifacts" value="' + escapeXml(results.artifacts.dir) + '"/>\n' : "") +
+    (results.session ? '      <property name="user" value="' + escapeXml(results.session.user) + '"/>\n' : "") +
+    "    </properties>\n" +
+    cases.map((line) => line + "\n").join("") +
+    "  </testsuite>\n" +
+    "</testsuites>\n"
+  );
+}
+
+// Available output formats, keyed by name
+const WRITERS = {
+  json: { extension: ".json", render: toJson },
+  junit: { extension: ".junit.xml", render: toJUnitXml },
+};
+
+/**
+ * Writes run results in one or more formats, e.g. "logs/run" becomes "logs/run.json" and "logs/run.junit.xml".
+ * A path that already ends in a format's extension (e.g. "results.json") is used as-is for that format.
+ * @param {object} results run results
+ * @param {string} path_prefix file path without extension, parent directories are created
+ * @param {string[]} [formats] names from WRITERS
+ * @returns {string[]} the files written
+ */
+function writeResults(results, path_prefix, formats = Object.keys(WRITERS)) {
+  fs.mkdirSync(path.dirname(path_prefix), { recursive: true });
+  return formats.map((format) => {
+    const writer = WRITERS[format];
+    if (!writer) throw new Error("Unknown results format: " + format);
+    const file = path_prefix.endsWith(writer.extension) ? path_prefix : path_prefix + writer.extension;
+    fs.writeFileSync(file, writer.render(results));
+    return file;
+  });
+}
+
+module.exports = { WRITERS, escapeXml, toJson, toJUnitXml, writeResults };
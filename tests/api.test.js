@@ -0,0 +1,157 @@
+/**
+ * Tests for the Firebase API cross-check (src/api.js), against the stand-in's API and made-up API answers.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { ApiError, createApiClient, createApiCrossCheck } = require("../src/api");
+const { startStandinServer, loadFixture, DEFAULT_FIXTURE_DIR } = require("../src/standin/server");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+let standin;
+
+// The generated /newest listing the stand-in serves
+const newest = loadFixture(DEFAULT_FIXTURE_DIR, "newest.json");
+
+// ======================
+// ===== TEST SETUP =====
+// ======================
+
+test.beforeAll('Starting Hacker News stand-in...', async () => {
+  standin = await startStandinServer();
+});
+
+test.afterAll('Stopping Hacker News stand-in...', async () => {
+  await standin.close();
+});
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('reads items and story lists from a Firebase-compatible endpoint', async () => {
+  const client = createApiClient({ api_url: standin.base_url + "/" });
+  expect(client.api_url).toBe(standin.base_url);
+
+  expect(await client.item(newest.items[0].id)).toEqual(newest.items[0]);
+  expect(await client.item(1)).toBeNull();
+  expect(await client.storyList("newstories")).toEqual(newest.items.map((item) => item.id));
+});
+
+test('the stand-in pages agree with its API', async () => {
+  const cross_check = createApiCrossCheck(createApiClient({ api_url: standin.base_url }), "newest");
+  const entries = newest.items.slice(0, 30).map((item, i) => ({ index: i + 1, article: articleOf(item) }));
+  const checks = await cross_check.checkPage(entries);
+
+  expect(checks).toHaveLength(60);
+  expect(checks.filter((check) => !check.check.passed)).toEqual([]);
+  expect(checks[1]).toMatchObject({ index: 1, rule: "api-order", check: { api_position: 1, previous_api_position: null } });
+});
+
+test('a time that differs from the API is reported for that article', async () => {
+  const cross_check = createApiCrossCheck(fakeClient(), "newest");
+  const articles = newest.items.slice(0, 3).map(articleOf);
+  articles[1].timestamp = new Date(articles[1].timestamp.getTime() + 60000);
+  const checks = await cross_check.checkPage(articles.map((article, i) => ({ index: i + 1, article })));
+
+  const failed = checks.filter((check) => !check.check.passed);
+  expect(failed).toHaveLength(1);
+  expect(failed[0]).toMatchObject({ index: 2, rule: "api-time", check: { api_time: newest.items[1].time, html_time: newest.items[1].time + 60 } });
+  expect(failed[0].check.message).toMatch(/^was posted at .* according to the API, the page shows /);
+});
+
+test('order is compared with the story list across pages', async () => {
+  const cross_check = createApiCrossCheck(fakeClient(), "newest");
+  const [first, second, third, fourth] = newest.items.map(articleOf);
+  await cross_check.checkPage([{ index: 1, article: first }, { index: 2, article: third }]);
+  const checks = await cross_check.checkPage([{ index: 3, article: second }, { index: 4, article: fourth }]);
+
+  const order = checks.filter((check) => check.rule === "api-order");
+  expect(order.map((check) => check.check.passed)).toEqual([false, true]);
+  expect(order[0].check.message).toBe("comes after ID " + third.id + " on the page but before it in /v0/newstories.json");
+});
+
+test('items the API does not know, or does not list, are reported', async () => {
+  const cross_check = createApiCrossCheck(fakeClient(), "newest");
+  const unknown = { ...articleOf(newest.items[0]), id: 1 };
+  const checks = await cross_check.checkPage([{ index: 1, article: unknown }]);
+
+  expect(checks.map((check) => check.check.message)).toEqual(["is not known to the API", "is not in /v0/newstories.json"]);
+});
+
+test('listings without an API story list only have their times checked', async () => {
+  const requested = [];
+  const cross_check = createApiCrossCheck(fakeClient(requested), "front");
+  const checks = await cross_check.checkPage([{ index: 1, article: articleOf(newest.items[0]) }]);
+
+  expect(checks.map((check) => check.rule)).toEqual(["api-time"]);
+  expect(requested).toEqual(["/v0/item/" + newest.items[0].id + ".json"]);
+});
+
+test('times read from the relative age are not compared with the API, the order still is', async () => {
+  const cross_check = createApiCrossCheck(fakeClient(), "newest");
+  // "3 hours ago" read a while after posting: the page's time is off by up to an hour
+  const article = { ...articleOf(newest.items[0]), timestamp: new Date((newest.items[0].time - 1800) * 1000), timestamp_source: "relative" };
+  const checks = await cross_check.checkPage([{ index: 1, article }]);
+
+  expect(checks.map((check) => check.rule)).toEqual(["api-order"]);
+  expect(checks[0].check.passed).toBe(true);
+});
+
+test('an unreachable or failing API is an ApiError', async () => {
+  const failing = createApiClient({ api_url: "http://api.test", fetch: async () => ({ ok: false, status: 500 }) });
+  await expect(failing.item(1)).rejects.toThrow(new ApiError("The API answered 500 for http://api.test/v0/item/1.json"));
+
+  const unreachable = createApiClient({ api_url: "http://api.test", fetch: async () => { throw new Error("ECONNREFUSED"); } });
+  await expect(unreachable.storyList("newstories")).rejects.toThrow(ApiError);
+});
+
+test('an API that does not answer in time, or not with JSON, is an ApiError', async () => {
+  const hanging = createApiClient({
+    api_url: "http://api.test",
+    timeout_ms: 50,
+    fetch: (url, init) => new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(init.signal.reason))),
+  });
+  await expect(hanging.item(1)).rejects.toThrow(new ApiError("The API did not answer within 50 ms for http://api.test/v0/item/1.json"));
+
+  const garbled = createApiClient({
+    api_url: "http://api.test",
+    fetch: async () => ({ ok: true, status: 200, json: async () => JSON.parse("<html>Sorry.</html>") }),
+  });
+  await expect(garbled.storyList("newstories")).rejects.toThrow(/^The API answered http:\/\/api.test\/v0\/newstories.json with something that is not JSON: /);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {object} item fixture item in the Firebase format
+ * @returns {object} the article record the page object would read for it
+ */
+function articleOf(item) {
+  return { type: "story", id: item.id, title: item.title, timestamp: new Date(item.time * 1000) };
+}
+
+/**
+ * @param {string[]} [requested] collects the requested paths
+ * @returns {object} API client answering from the newest fixture without a server
+ */
+function fakeClient(requested = []) {
+  return createApiClient({
+    api_url: "http://api.test",
+    fetch: async (url) => {
+      const path = url.slice("http://api.test".length);
+      requested.push(path);
+      const id = path.match(/item\/(\d+)/);
+      const body = id ? newest.items.find((item) => item.id === Number(id[1])) || null : newest.items.map((item) => item.id);
+      return { ok: true, status: 200, json: async () => body };
+    },
+  });
+}
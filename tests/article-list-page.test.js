@@ -0,0 +1,83 @@
+/**
+ * Tests for turning article rows into records (src/article-list-page.js).
+ * The in-browser part (readArticleRows) is covered by the browser tests in hackernews.test.js.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { toArticle } = require("../src/article-list-page");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('builds a structured record from a story row', async () => {
+  const article = toArticle({
+    rank: "31.",
+    id: "41889640",
+    title: "SQLite is not what you think",
+    url: "https://www.arstechnica.com/2024/10/19/oxu94",
+    site: "arstechnica.com",
+    author: "bookofjoe",
+    author_href: "user?id=bookofjoe",
+    points: "4 points",
+    comments: "12 comments",
+    age_title: "2024-10-19T12:34:56 1729341296",
+    links: ["bookofjoe", "2 hours ago", "hide", "past", "12 comments"],
+    vote_href: "vote?id=41889640&how=up&goto=newest",
+  });
+
+  expect(article).toEqual({
+    type: "story",
+    rank: 31,
+    id: 41889640,
+    title: "SQLite is not what you think",
+    url: "https://www.arstechnica.com/2024/10/19/oxu94",
+    site: "arstechnica.com",
+    author: "bookofjoe",
+    points: 4,
+    comments: 12,
+    dead: false,
+    voted: false,
+    flagged: false,
+    timestamp: new Date("2024-10-19T12:34:56Z"),
+    timestamp_source: "title",
+    timestamp_error: null,
+    row_issues: [],
+  });
+});
+
+test('rows without a score or author are job posts', async () => {
+  const article = toArticle({
+    type: "job", rank: "", id: "41888000", title: "Convex (YC W20) Is Hiring Full-Stack Engineers", url: "https://convex.com/careers/oxszk",
+    site: "convex.com", author: null, points: null, comments: null, age_title: "2024-10-19T09:26:40 1729330000",
+  });
+
+  expect(article).toMatchObject({ type: "job", rank: null, author: null, points: null, comments: null, row_issues: [] });
+});
+
+test('"discuss" means no comments, missing fields stay null', async () => {
+  const article = toArticle({
+    rank: "1.", id: "41889000", title: "Ask HN: Anyone?", url: "https://news.ycombinator.com/item?id=41889000",
+    site: null, author: null, points: null, comments: "discuss", age_title: null,
+  });
+
+  expect(article.comments).toBe(0);
+  expect(article.points).toBeNull();
+  expect(article.site).toBeNull();
+  expect(article.timestamp).toBeNull();
+  expect(article.timestamp_error).toBeNull();
+  // A story row without an author, score or vote arrow does not match the row schema
+  expect(article.row_issues.map((issue) => issue.field)).toEqual(["author", "points", "links", "vote"]);
+});
+
+test('without an age title the relative age is used, an unreadable one is an error', async () => {
+  const row = { rank: "1.", id: "41889000", title: "Ask HN: Anyone?", url: null, site: null, author: "pg", points: "1 point", comments: "discuss" };
+  const now = new Date("2024-10-19T12:00:00Z");
+
+  expect(toArticle({ ...row, age_title: null, age_text: "5 minutes ago" }, now)).toMatchObject({ timestamp: new Date("2024-10-19T11:55:00Z"), timestamp_source: "relative" });
+  expect(toArticle({ ...row, age_title: "yesterday", age_text: "soon" }, now)).toMatchObject({ timestamp: null, timestamp_error: expect.stringContaining("not in the") });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the failure artifacts (src/artifacts.js), with fake pages and contexts instead of a browser.
+ * @author Monty
+ */
+
+// Node dependencies
+const fs = require("fs");
+const path = require("path");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { newArtifactDir, createArtifacts, readEvidence, createCapture } = require("../src/artifacts");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+const BASE_URL = "http://127.0.0.1:3000";
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('every run gets its own timestamped folder', async () => {
+  expect(newArtifactDir(undefined, new Date("2024-10-19T12:34:56.789Z"))).toBe(path.join("artifacts", "run-2024-10-19T12-34-56Z"));
+  expect(newArtifactDir("ci", new Date("2024-10-19T12:34:56Z"))).toBe(path.join("ci", "run-2024-10-19T12-34-56Z"));
+});
+
+test('evidence is read from the page the page object is on, with the offending rows marked', async () => {
+  const list_page = fakeListPage(BASE_URL + "/newest?n=31");
+  const evidence = await readEvidence(list_page, ["130", "125"]);
+
+  expect(evidence).toEqual({ screenshot: Buffer.from("png of " + BASE_URL + "/newest?n=31"), table_html: "<table>" + BASE_URL + "/newest?n=31</table>", html: "<html>Sorry.</html>", marked: 2 });
+  expect(list_page.highlighted).toEqual([["130", "125"]]);
+  // Nothing is loaded again for it
+  expect(list_page.visited).toEqual([]);
+});
+
+test('a page with offending articles is saved as a screenshot and the HTML of its table', async () => {
+  const artifacts = createArtifacts(test.info().outputPath("run"));
+  const evidence = await readEvidence(fakeListPage(BASE_URL + "/newest?n=31"), ["130", "125"]);
+
+  const saved = createCapture(artifacts).page({ page_number: 2, url: BASE_URL + "/newest?n=31", ids: ["130", "125"], evidence });
+
+  expect(saved.map((file) => [file.kind, path.basename(file.path)])).toEqual([["screenshot", "page-2.png"], ["table", "page-2.table.html"]]);
+  expect(saved[0]).toMatchObject({ url: BASE_URL + "/newest?n=31", ids: ["130", "125"], marked: 2 });
+  expect(fs.readFileSync(saved[0].path, "utf8")).toBe("png of " + BASE_URL + "/newest?n=31");
+  expect(fs.readFileSync(saved[1].path, "utf8")).toBe("<table>" + BASE_URL + "/newest?n=31</table>");
+  expect(artifacts.files).toEqual(saved);
+});
+
+test('the page a run stopped on is saved with its whole HTML', async () => {
+  const artifacts = createArtifacts(test.info().outputPath("run"));
+  const evidence = await readEvidence(fakeListPage(BASE_URL + "/newest?n=61"));
+
+  const saved = createCapture(artifacts).stopped({ url: BASE_URL + "/newest?n=61", evidence });
+
+  expect(saved.map((file) => path.basename(file.path))).toEqual(["stopped.png", "stopped.html"]);
+  expect(saved[0]).toMatchObject({ kind: "screenshot", url: BASE_URL + "/newest?n=61", ids: [] });
+  expect(fs.readFileSync(saved[1].path, "utf8")).toBe("<html>Sorry.</html>");
+});
+
+test('closing keeps the HAR and trace of a failed run and removes the folder of a passed one', async () => {
+  const failed = createArtifacts(test.info().outputPath("failed"));
+  await failed.close([fakeContext(failed.contextOptions(0)), fakeContext(failed.contextOptions(1))], true);
+  expect(failed.files.map((file) => [file.kind, path.basename(file.path)])).toEqual([
+    ["trace", "trace.zip"], ["har", "session.har"], ["trace", "trace-2.zip"], ["har", "session-2.har"],
+  ]);
+  for (const file of failed.files) expect(fs.existsSync(file.path)).toBe(true);
+
+  const passed = createArtifacts(test.info().outputPath("passed"));
+  await passed.close([fakeContext(passed.contextOptions(0))], false);
+  expect(fs.existsSync(passed.dir)).toBe(false);
+  expect(passed.files).toEqual([]);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * A stand-in for ArticleListPage: every page shows the articles it is asked to mark, except on the "Sorry." page.
+ * @param {string} [url] page the page object is on
+ * @returns {object} page object that records what it was asked to do
+ */
+function fakeListPage(url = BASE_URL + "/newest?n=91") {
+  let current = url;
+  const list_page = {
+    visited: [],
+    highlighted: [],
+    page: {
+      url: () => current,
+      content: async () => "<html>Sorry.</html>",
+      screenshot: async () => Buffer.from("png of " + current),
+    },
+    goto: async (target) => {
+      list_page.visited.push(target);
+      current = target;
+    },
+    highlightRows: async (ids) => {
+      list_page.highlighted.push(ids);
+      return ids.length;
+    },
+    tableHtml: async () => "<table>" + current + "</table>",
+  };
+  return list_page;
+}
+
+/**
+ * A stand-in for a browser context that writes its HAR on close and its trace when tracing stops.
+ * @param {object} options what createArtifacts().contextOptions() returned
+ * @returns {object} context with tracing.stop() and close()
+ */
+function fakeContext(options) {
+  return {
+    tracing: { stop: async (stop_options) => { if (stop_options) fs.writeFileSync(stop_options.path, "trace"); } },
+    close: async () => fs.writeFileSync(options.recordHar.path, "{}"),
+  };
+}
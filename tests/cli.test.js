@@ -0,0 +1,128 @@
+/**
+ * Tests for the command line options and exit codes (src/cli.js).
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { EXIT_CODES, USAGE, UsageError, parseArguments, exitCodeFor } = require("../src/cli");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('defaults match the original script', async () => {
+  const options = parseArguments([]);
+  expect(options).toMatchObject({ count: 100, start_offset: 0, headless: false, browser: "chromium", formats: ["text"], out: null });
+});
+
+test('reads every option, with or without "="', async () => {
+  const options = parseArguments([
+    "--count", "30", "--start-offset=60", "--headless", "--browser", "webkit",
+    "--base-url=http://127.0.0.1:3000", "--format", "json,junit", "--out", "logs/run",
+  ]);
+  expect(options).toMatchObject({
+    count: 30,
+    start_offset: 60,
+    headless: true,
+    browser: "webkit",
+    base_url: "http://127.0.0.1:3000",
+    formats: ["json", "junit"],
+    out: "logs/run",
+  });
+});
+
+test('output path and output format imply each other', async () => {
+  expect(parseArguments(["--out", "results.json"]).formats).toEqual(["text", "json"]);
+  expect(parseArguments(["--format", "junit"], new Date("2024-10-19T12:34:56Z")).out).toBe("logs/hn_results_2024-10-19T12-34-56");
+});
+
+test('retry budget and backoff for refused pages', async () => {
+  expect(parseArguments([])).toMatchObject({ retries: 5, backoff_ms: 2000 });
+  expect(parseArguments(["--retries", "0", "--backoff-ms=500"])).toMatchObject({ retries: 0, backoff_ms: 500 });
+  expect(() => parseArguments(["--retries", "-1"])).toThrow(UsageError);
+});
+
+test('inconsistent pages and rows fail the run unless asked otherwise', async () => {
+  expect(parseArguments([]).consistency).toBe("fail");
+  expect(parseArguments(["--consistency", "warn"]).consistency).toBe("warn");
+  expect(() => parseArguments(["--consistency", "ignore"])).toThrow(/fail, warn, off/);
+  expect(parseArguments([]).schema).toBe("fail");
+  expect(parseArguments(["--schema=warn"]).schema).toBe("warn");
+  expect(() => parseArguments(["--schema", "strict"])).toThrow(/--schema must be one of fail, warn, off/);
+});
+
+test('the API cross-check is off unless asked for, an API URL asks for it', async () => {
+  expect(parseArguments([])).toMatchObject({ api_check: false, api_url: undefined });
+  expect(parseArguments(["--api-check"])).toMatchObject({ api_check: true, api_url: undefined });
+  expect(parseArguments(["--api-url", "http://127.0.0.1:3000"])).toMatchObject({ api_check: true, api_url: "http://127.0.0.1:3000" });
+});
+
+test('sharded runs get a shared request interval and cannot be recorded', async () => {
+  expect(parseArguments([])).toMatchObject({ shards: 1, min_interval_ms: 0 });
+  expect(parseArguments(["--shards", "4"])).toMatchObject({ shards: 4, min_interval_ms: 500 });
+  expect(parseArguments(["--shards", "4", "--min-interval-ms", "250"]).min_interval_ms).toBe(250);
+  expect(parseArguments(["--shards", "2", "--listing", "jobs"])).toMatchObject({ listing: "jobs", shards: 2 });
+  expect(() => parseArguments(["--shards", "2", "--record"])).toThrow(UsageError);
+});
+
+test('the comparison policy defaults to allowing equal timestamps', async () => {
+  expect(parseArguments([]).comparison).toEqual({ mode: "allow-equal", tolerance_s: 0 });
+  expect(parseArguments(["--comparison", "strict"]).comparison).toEqual({ mode: "strict", tolerance_s: 0 });
+  expect(parseArguments(["--tolerance-s", "3"]).comparison).toEqual({ mode: "tolerance", tolerance_s: 3 });
+  expect(() => parseArguments(["--comparison", "strict", "--tolerance-s", "3"])).toThrow(/only applies to --comparison tolerance/);
+});
+
+test('failure artifacts go to a new folder per run unless turned off', async () => {
+  expect(parseArguments([], new Date("2024-10-19T12:34:56.789Z")).artifacts_dir).toBe("artifacts/run-2024-10-19T12-34-56Z");
+  expect(parseArguments(["--artifacts", "ci/artifacts"]).artifacts_dir).toBe("ci/artifacts");
+  expect(parseArguments(["--no-artifacts"]).artifacts_dir).toBeNull();
+});
+
+test('runs go to the history unless turned off, "report" reads it', async () => {
+  expect(parseArguments([])).toMatchObject({ command: "validate", history_file: "logs/history.jsonl" });
+  expect(parseArguments(["--no-history"]).history_file).toBeNull();
+  expect(parseArguments(["report"])).toEqual({ command: "report", history_file: "logs/history.jsonl", out: "logs/report.html", help: false });
+  expect(parseArguments(["report", "--history=ci/history.jsonl", "--out", "ci/report.html"])).toMatchObject({ history_file: "ci/history.jsonl", out: "ci/report.html" });
+  expect(() => parseArguments(["report", "--count", "30"])).toThrow(/Unknown report option/);
+});
+
+test('"watch" takes the validation options plus its own', async () => {
+  const options = parseArguments(["watch", "--count", "30", "--interval-s=120", "--iterations", "5", "--notify", "stdout,http://127.0.0.1:9000/hook"]);
+  expect(options).toMatchObject({ command: "watch", count: 30, watch: { interval_s: 120, iterations: 5, notify: ["stdout", "http://127.0.0.1:9000/hook"] } });
+  expect(parseArguments(["watch"]).watch).toEqual({ interval_s: 60, iterations: null, notify: ["stdout"] });
+  expect(parseArguments([]).watch).toBeNull();
+  expect(() => parseArguments(["--interval-s", "30"])).toThrow(/only applies to "node index.js watch"/);
+  expect(() => parseArguments(["watch", "--notify", "email"])).toThrow(/stdout or webhook URLs/);
+  expect(() => parseArguments(["watch", "--interval-s", "0"])).toThrow(UsageError);
+});
+
+test('logging in takes a credentials file, the session is saved unless another file is given', async () => {
+  expect(parseArguments([])).toMatchObject({ credentials_file: null, storage_state: null });
+  expect(parseArguments(["--credentials", "hn.json"])).toMatchObject({ credentials_file: "hn.json", storage_state: ".auth/session.json" });
+  expect(parseArguments(["--credentials=hn.json", "--session", "ci/session.json"])).toMatchObject({ storage_state: "ci/session.json" });
+  expect(parseArguments(["--session", "ci/session.json"])).toMatchObject({ credentials_file: null, storage_state: "ci/session.json" });
+  expect(() => parseArguments(["--credentials", "hn.json", "--replay", "fixtures/recordings/run"])).toThrow(/cannot be combined with --replay/);
+});
+
+test('bad options are usage errors', async () => {
+  expect(() => parseArguments(["--count", "0"])).toThrow(UsageError);
+  expect(() => parseArguments(["--count"])).toThrow(/needs a value/);
+  expect(() => parseArguments(["--browser", "edge"])).toThrow(/chromium, firefox, webkit/);
+  expect(() => parseArguments(["--format", "yaml"])).toThrow(UsageError);
+  expect(() => parseArguments(["--verbose"])).toThrow(/Unknown option/);
+});
+
+test('exit codes tell violations apart from environment failures', async () => {
+  expect(exitCodeFor({ status: "passed" })).toBe(EXIT_CODES.PASSED);
+  expect(exitCodeFor({ status: "failed" })).toBe(EXIT_CODES.VIOLATION);
+  expect(exitCodeFor({ status: "error" })).toBe(EXIT_CODES.ENVIRONMENT);
+  expect([EXIT_CODES.PASSED, EXIT_CODES.VIOLATION, EXIT_CODES.ENVIRONMENT]).toEqual([0, 1, 2]);
+});
+
+test('the help text says which results end with which exit code', async () => {
+  expect(USAGE).toContain("1  a check failed: sort order, row schema, page consistency or API cross-check");
+  expect(USAGE).toMatch(/2 {2}the run could not finish checking: .*\n.*an unreadable timestamp/);
+});
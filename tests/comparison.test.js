@@ -0,0 +1,62 @@
+/**
+ * Tests for the timestamp comparison policy (src/comparison.js).
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { DEFAULT_COMPARISON, resolveComparison, describeComparison, compareTimestamps } = require("../src/comparison");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('policies are filled in, a tolerance on its own means the tolerance mode', async () => {
+  expect(resolveComparison()).toEqual(DEFAULT_COMPARISON);
+  expect(resolveComparison({ mode: "strict", tolerance_s: 5 })).toEqual({ mode: "strict", tolerance_s: 0 });
+  expect(resolveComparison({ tolerance_s: 5 })).toEqual({ mode: "tolerance", tolerance_s: 5 });
+  expect(() => resolveComparison({ mode: "lenient" })).toThrow(/Unknown comparison mode/);
+  expect(describeComparison(resolveComparison({ tolerance_s: 2 }))).toBe("tolerance of 2 s");
+});
+
+test('allow-equal accepts the same second whatever the IDs', async () => {
+  const policy = resolveComparison({ mode: "allow-equal" });
+  expect(compareTimestamps(at(5, "12:00:00"), at(6, "12:00:00"), policy).passed).toBe(true);
+  expect(compareTimestamps(at(7, "12:00:00"), at(6, "12:00:00"), policy).passed).toBe(true);
+  expect(compareTimestamps(at(5, "12:00:01"), at(6, "12:00:00"), policy)).toEqual({ passed: false, diff_s: 1, tie: false });
+});
+
+test('strict breaks same-second ties by item ID', async () => {
+  const policy = resolveComparison({ mode: "strict" });
+  expect(compareTimestamps(at(5, "11:59:59"), at(6, "12:00:00"), policy)).toEqual({ passed: true, diff_s: -1, tie: false });
+  expect(compareTimestamps(at(5, "12:00:00"), at(6, "12:00:00"), policy)).toEqual({ passed: true, diff_s: 0, tie: true });
+  expect(compareTimestamps(at(7, "12:00:00"), at(6, "12:00:00"), policy)).toEqual({ passed: false, diff_s: 0, tie: true });
+  expect(compareTimestamps(at(5, "12:00:01"), at(6, "12:00:00"), policy).passed).toBe(false);
+});
+
+test('a tolerance accepts clock skew when the IDs are in order', async () => {
+  const policy = resolveComparison({ tolerance_s: 3 });
+  expect(compareTimestamps(at(5, "12:00:03"), at(6, "12:00:00"), policy)).toEqual({ passed: true, diff_s: 3, tie: true });
+  expect(compareTimestamps(at(7, "12:00:02"), at(6, "12:00:00"), policy)).toEqual({ passed: false, diff_s: 2, tie: true });
+  expect(compareTimestamps(at(5, "12:00:04"), at(6, "12:00:00"), policy)).toEqual({ passed: false, diff_s: 4, tie: false });
+});
+
+test('a clock reading has no ID, so only the time counts against it', async () => {
+  const policy = resolveComparison({ mode: "strict" });
+  expect(compareTimestamps(at(5, "12:00:00"), { id: null, timestamp: new Date("2024-10-19T12:00:00Z") }, policy).passed).toBe(true);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {int} id item ID
+ * @param {string} time time of day on 2024-10-19, UTC
+ * @returns {object} { id, timestamp }
+ */
+function at(id, time) {
+  return { id, timestamp: new Date("2024-10-19T" + time + "Z") };
+}
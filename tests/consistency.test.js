@@ -0,0 +1,92 @@
+/**
+ * Tests for the cross-page consistency checks (src/consistency.js), with made-up pages and the stand-in's real pagination.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { createConsistencyTracker } = require("../src/consistency");
+const { startStandinServer } = require("../src/standin/server");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('pages that carry on from each other are consistent', async () => {
+  const tracker = createConsistencyTracker();
+  expect(tracker.checkPage({ url: "newest", more_href: "http://hn/newest?next=70&n=31", articles: rows(1, 30) })).toEqual([]);
+  expect(tracker.checkPage({ url: "newest?n=31", more_href: "http://hn/newest?next=40&n=61", articles: rows(31, 30) })).toEqual([]);
+  expect(tracker.rows_seen).toBe(60);
+});
+
+test('an ID seen on an earlier page is reported where it shows up again', async () => {
+  const tracker = createConsistencyTracker();
+  tracker.checkPage({ url: "page-1", articles: rows(1, 30) });
+  const issues = tracker.checkPage({ url: "page-2", articles: [{ id: 70, rank: 31 }, ...rows(32, 29)] });
+
+  expect(issues).toEqual([{ check: "unique-ids", page_url: "page-2", position: 31, id: 70, rank: 31, message: "ID 70 was already listed at position 30 (page-1)" }]);
+});
+
+test('a page that does not start at the next rank is reported', async () => {
+  const tracker = createConsistencyTracker();
+  tracker.checkPage({ url: "page-1", articles: rows(1, 30) });
+  const issues = tracker.checkPage({ url: "page-2", articles: rows(30, 30) });
+
+  expect(issues.map((issue) => issue.check)).toEqual(["unique-ids", "ranks-continue"]);
+  expect(issues[1].message).toBe("page starts at rank 30, expected 31 after the page before");
+});
+
+test('a "More" link that disagrees with the articles seen is reported', async () => {
+  const short_page = createConsistencyTracker();
+  expect(short_page.checkPage({ url: "newest", more_href: "http://hn/newest?next=72&n=31", articles: rows(1, 29) })[0].message)
+    .toBe("\"More\" link continues at n=31 but 29 articles were seen from rank 1");
+
+  const wrong_page = createConsistencyTracker();
+  expect(wrong_page.checkPage({ url: "news", more_href: "http://hn/news?p=2", articles: rows(1, 30) })).toEqual([]);
+  expect(wrong_page.checkPage({ url: "news?p=2", more_href: "http://hn/news?p=2", articles: rows(31, 30) })[0].message)
+    .toBe("\"More\" link goes to p=2 after 2 pages from p=1");
+});
+
+test('unranked job rows are only checked for duplicates', async () => {
+  const tracker = createConsistencyTracker();
+  const jobs = (first_id) => Array.from({ length: 30 }, (_, i) => ({ id: first_id - i, rank: null }));
+  expect(tracker.checkPage({ url: "jobs", more_href: "http://hn/jobs?next=70", articles: jobs(100) })).toEqual([]);
+  expect(tracker.checkPage({ url: "jobs?next=70", articles: jobs(70) })).toEqual([]);
+});
+
+test('the stand-in pages line up for every paginated listing', async ({ request }) => {
+  const standin = await startStandinServer();
+  try {
+    for (const listing of ["newest", "news", "front", "jobs"]) {
+      const tracker = createConsistencyTracker();
+      let url = standin.base_url + "/" + listing;
+      for (let page = 0; page < 4 && url; page++) {
+        const html = await (await request.get(url)).text();
+        const more = html.match(/href='([^']+)' class='morelink'/);
+        const more_href = more ? new URL(more[1].replace(/&amp;/g, "&"), url).href : null;
+        const articles = [...html.matchAll(/class='athing[^']*' id='(\d+)'>(?:<td[^>]*><span class="rank">(\d+)\.)?/g)]
+          .map((match) => ({ id: Number(match[1]), rank: match[2] ? Number(match[2]) : null }));
+
+        expect(tracker.checkPage({ url, more_href, articles }), listing + " page " + (page + 1)).toEqual([]);
+        url = more_href;
+      }
+    }
+  } finally {
+    await standin.close();
+  }
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {int} first_rank rank of the first row
+ * @param {int} count number of rows
+ * @returns {object[]} rows with descending IDs, rank 1 has ID 99
+ */
+function rows(first_rank, count) {
+  return Array.from({ length: count }, (_, i) => ({ id: 100 - first_rank - i, rank: first_rank + i }));
+}
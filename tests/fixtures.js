@@ -0,0 +1,74 @@
+/**
+ * Playwright fixtures for the browser tests. Every test gets its own page (from Playwright's "page" fixture), its own
+ * page object and its own request throttle, so tests share no state and can run in parallel and in any browser project.
+ *
+ *  listing    option: which listing hnListing opens, e.g. test.use({ listing: "news" })
+ *  hnBaseUrl  Hacker News to test against: HN_BASE_URL, the site a HN_REPLAY recording was taken from, or the live site
+ *  hnListing  ArticleListPage already on the first page of the listing (see src/article-list-page.js)
+ *  validator  { validate(options) } that walks the listing with validateListing() and attaches the results to the report;
+ *             validateListing() opens the first page itself, so its page object is not opened beforehand like hnListing
+ *
+ * The exported expect has the listing matchers of src/matchers.js, e.g. await expect(hnListing).toHaveUniqueIds().
+ *
+ * @author Monty
+ */
+
+// Playwright dependencies
+const base = require("playwright/test");
+
+// Project modules
+const { resolveBaseUrl } = require("../src/config");
+const { replayRecording } = require("../src/recorder");
+const { ArticleListPage } = require("../src/article-list-page");
+const { RequestThrottle } = require("../src/throttle");
+const { validateListing } = require("../src/validator");
+const { matchers } = require("../src/matchers");
+
+const test = base.test.extend({
+  listing: ["newest", { option: true }],
+
+  hnBaseUrl: async ({ context }, use) => {
+    // Set HN_REPLAY to a recording directory to replay a previous run instead of using the network (see src/recorder.js)
+    if (process.env.HN_REPLAY) {
+      const replayed = await replayRecording(context, process.env.HN_REPLAY);
+      await use(resolveBaseUrl(replayed.base_url));
+      return;
+    }
+    await use(resolveBaseUrl());
+  },
+
+  hnListing: async ({ page, hnBaseUrl, listing }, use) => {
+    const list_page = newListPage(page, hnBaseUrl, listing);
+    await list_page.open();
+    await use(list_page);
+  },
+
+  validator: async ({ page, hnBaseUrl, listing }, use, test_info) => {
+    const list_page = newListPage(page, hnBaseUrl, listing);
+    await use({
+      /**
+       * @param {object} [options] options of validateListing() (see src/validator.js)
+       * @returns {Promise<object>} the run results, also attached to the report as results.json
+       */
+      validate: async (options = {}) => {
+        const result = await validateListing(list_page, options);
+        await test_info.attach("results.json", { body: JSON.stringify(result, null, 2), contentType: "application/json" });
+        return result;
+      },
+    });
+  },
+});
+
+const expect = base.expect.extend(matchers);
+
+/**
+ * @param {Page} page Playwright page of the test
+ * @param {string} base_url Hacker News to test against
+ * @param {string} listing listing name
+ * @returns {ArticleListPage} page object with a request throttle of its own, not opened yet
+ */
+function newListPage(page, base_url, listing) {
+  return new ArticleListPage(page, { base_url, listing, throttle: new RequestThrottle() });
+}
+
+module.exports = { test, expect };
@@ -1,247 +1,141 @@
-/** 
+/**
  * This script validates whether the newest 100 articles listed on Hacker News are indeed sorted by newest.
+ * Every test opens the listing in its own page through the fixtures in tests/fixtures.js.
+ * Tests tagged @smoke check that the listing can be read at all and finish in seconds; @full walks the whole 100 articles.
+ * The logged-in tests log in to a stand-in of their own (see src/standin/server.js), wherever the other tests point.
  * Test written in October 2024.
  * @author Monty
 */
 
-/*
- * Note: I was concerned that there could be a race condition in the following scenario: 
- *  An article gets posted right as we move from the first page to the second page. Thus we end up verifying the same article twice.
- *  (Thus we end up only validating 99 of the newest articles, instead of 100).
- * However, I conducted a test:
- *  I had two tabs open pointing to "https://news.ycombinator.com/newest".
- *  I clicked "More" on one tab.
- *  I waited 10 min (plenty of time for multiple articles to be posted).
- *  I clicked "More" on the other tab.
- *  If the article list was the same on both tabs, 
- *   then navigation with the "More" button will not cause a race condition because the list will be consistent across time.
- * After conducting the procedure twice, I conclude that the list is time-invariant and will not cause a race condition.
- */
-
-// Playwright dependencies
-const { test, expect, chromium } = require("playwright/test");
+// Node dependencies
+const fs = require("fs");
+
+// Project modules
+const { test, expect } = require("./fixtures");
+const { DEFAULT_ARTICLE_COUNT, validateListing } = require("../src/validator");
+const { PAGE_SIZE } = require("../src/listings");
+const { collectArticles } = require("../src/matchers");
+const { ArticleListPage } = require("../src/article-list-page");
+const { logIn, openSession } = require("../src/session");
+const { startStandinServer } = require("../src/standin/server");
 
 // =====================
 // ===== VARIABLES =====
 // =====================
 
-let browser;
-let context;
-let page;
-
-let more_button;
-let article_table;
-
 // Validate this many articles as part of the main test. Article list may be spread across several pages
-let num_of_articles_to_validate = 100;
-
-// ======================
-// ===== TEST SETUP =====
-// ======================
-
-test.beforeAll('Setting up test environment...', async () => {
-  browser = await chromium.launch({ headless: false });
-  context = await browser.newContext();
-  page = await context.newPage();
-  more_button = await page.locator('.morelink');
-  article_table = await page.locator('table').locator('table').nth(1);
-});
-
-test.beforeEach('Navigating to Hacker News newest...', async () => {
-  await page.goto("https://news.ycombinator.com/newest", { waitUntil: 'domcontentloaded' });
-  //await page.waitForTimeout(random_delay(1000,1000));
-});
+const num_of_articles_to_validate = DEFAULT_ARTICLE_COUNT;
 
 // =================
 // ===== TESTS =====
 // =================
 
-test('has "More" button', async ({page}) => {
+test('has "More" button', { tag: '@smoke' }, async ({ hnListing }) => {
   // There should only be exactly one "More" button
-  await expect(more_button).toHaveCount(1);
+  await expect(hnListing.more_link).toHaveCount(1);
 });
 
-test('can click "More" button', async ({page}) => {
-  // "More" button must be navigable
-  await more_button.click({ waitUntil: 'domcontentloaded' });
+test('can click "More" button', { tag: '@smoke' }, async ({ hnListing }) => {
+  // "More" button must be navigable: clicking it leads to the page its link names, which carries on with the next ranks
+  const target = await hnListing.moreHref();
+  await Promise.all([hnListing.page.waitForURL(target, { waitUntil: 'domcontentloaded' }), hnListing.more_link.click()]);
+  await expect(hnListing.article_table).toHaveCount(1);
+  await expect(hnListing).toHaveContiguousRanks({ start: PAGE_SIZE + 1 });
 });
 
-test('article table is present', async ({page}) => {
+test('article table is present', { tag: '@smoke' }, async ({ hnListing }) => {
   // There should only be exactly one article table
-  await expect(article_table).toHaveCount(1);
+  await expect(hnListing.article_table).toHaveCount(1);
 });
 
-test('verify first 100 articles are sorted by newest', async ({page}) => {
-  // Run verify function on newest articles
-  await sortHackerNewsArticles();
+test('first page lists every article once, in rank order', { tag: '@smoke' }, async ({ hnListing }) => {
+  await expect(hnListing).toHaveUniqueIds();
+  await expect(hnListing).toHaveContiguousRanks({ start: 1 });
+});
+
+test('first page is sorted by newest', { tag: '@smoke' }, async ({ validator }) => {
+  const result = await validator.validate({ count: PAGE_SIZE });
+  expect(result.passed, result.message).toBe(true);
+  expect(result.checked).toHaveLength(PAGE_SIZE);
 });
 
-// ============================
-// ===== HELPER FUNCTIONS =====
-// ============================
+test('verify first 100 articles are sorted by newest', { tag: '@full' }, async ({ validator }) => {
+  // Walks several pages, and a refused page is retried with backoff (see src/throttle.js)
+  test.slow();
 
-/**
- * Test: The first 100 articles listed on Hacker News (https://news.ycombinator.com/newest) are sorted by newest.
- */
-async function sortHackerNewsArticles() {
-
-  
-  //let num_of_articles_to_validate = 100;
-
-  // The index of the first article on a page
-  let article_index = 1;
-
-  // This is the timestamp of the most recently compared article
-  let newest_timestamp = new Date();
-
-  // Continue to validate timestamps on pages until we have checked the desired number of articles
-  while (article_index <= num_of_articles_to_validate) {
-
-    // The site began to refuse my connection, so I added randomized delay so that I am less likely to trigger refusal by mimicking more natural browsing
-    // After additional testing, the refusal seems to happen regardless of the added delay
-    // I will still keep the function in case it is needed in the future
-    //await page.waitForTimeout(random_delay(3000,1200));
-
-    // Navigate to next page
-    await more_button.click({ waitUntil: 'domcontentloaded' });
-
-    // Additional delay
-    //await page.waitForTimeout(random_delay(3000,1200));
-
-    // If the "More" button is not present, chances are the page did not load and the site refused to load the article list
-    // Since I do not control how the site tests for abuse, the best I can do is let the tester know how this test failed
-    if (await more_button.count() !== 1) {
-      console.log("========================================================================================");
-      console.log("Next page did not load properly, did the site refuse to load the articles?");
-      console.log("========================================================================================");
-      console.log("");
-      console.log("[Page HTML]");
-      console.log(await page.content());
-      console.log("");
-      if (!bypass_sorry(page,'https://news.ycombinator.com/newest?n='+article_index,10)) {
-        test.fail();
-      }
-    }
-    
-    // Check that the needed elements for the test are loaded in and visible
-    await page.waitForSelector('.age');
-    await page.waitForSelector('.athing');
-    await page.waitForSelector('.score');
-
-    // Get a reference to the article table
-    article_table = await page.locator('table').locator('table').nth(1);
-
-    // Call page-level function 
-    [article_index, newest_timestamp] = await validateArticlesOnPage(article_table, article_index, num_of_articles_to_validate, newest_timestamp);
-    
-  }
-  
-  // Test has concluded successfully, we can terminate without error
-  page.close();
-  console.log("========================================================================================");
-  console.log("Test successful! Verified " + num_of_articles_to_validate + " articles are in newest order!");
-  console.log("========================================================================================");
-
-  //return true;
-  //process.exit(0);
-}
+  // Run verify function on newest articles
+  const result = await validator.validate({ count: num_of_articles_to_validate });
+  expect(result.passed, result.message).toBe(true);
+  expect(result.checked).toHaveLength(num_of_articles_to_validate);
+});
 
-/**
- * Page-level function called for each new url in this test
- * @param {Locator} article_table locator pointing to table containing the articles
- * @param {int} article_index keeps track of how many articles have been validated
- * @param {int} num_of_articles_to_validate how many articles need to be validated for the entire test
- * @param {Date} newest_timestamp should be newer than any of the articles on this page
- * @returns an updated article_index and newest_timsetamp to be used for the next page
- */
-async function validateArticlesOnPage(article_table, article_index, num_of_articles_to_validate, newest_timestamp) {
-
-  // Retrieve timestamps using "age" class 
-  let article_ages = await article_table.locator('.age');
-
-  // Retrieve article titles using class "athing"
-  let article_athings = await article_table.locator('.athing');
-  
-  // Retrieve article id using "score" class 
-  let article_scores = await article_table.locator('.score');
-
-  // There must be an equal number of links, scores, and timestamps
-  let count_ages = await article_ages.count();
-  let count_athings = await article_athings.count();
-  let count_scores = await article_scores.count();
-  if (count_ages !== count_athings || count_ages !== count_scores) {
-    console.log("========================================================================================");
-    console.log("Test failed! Could not get an equal number of articles and timestamps on this page!");
-    console.log("========================================================================================");
-    test.fail();
-  }
-
-  // New page and progress 
-  console.log("========================================================================================");
-  console.log("Most recent timestamp:       " + (newest_timestamp));
-  console.log("Article # start:             " + (article_index));
-  console.log("Num of articles:             " + (count_athings));
-  console.log("Num of timestamps:           " + (count_ages));
-  console.log("Num of article IDs (score):  " + (count_scores));
-  console.log("========================================================================================");
-  console.log("");
-
-  // The number of articles to check on this page is either the amount of articles loaded in or less
-  let num_of_articles_to_check_on_page = Math.min(count_athings, num_of_articles_to_validate - article_index + 1);
-
-  // Check that each article on this page is sorted by newest (using timestamp)
-  for (let i = 0; i < num_of_articles_to_check_on_page; i++) {
-    
-    // Extract article info
-    let title = await article_athings.locator('.titleline').nth(i).textContent();
-    let id = ( await article_scores.nth(i).getAttribute('id') ).substring(6);
-    let timestamp = new Date( await article_ages.nth(i).getAttribute('title') );
-    
-    // Article list page breakdown
-    console.log(article_index + '. [' + timestamp + '] | ID:' + id + '\n"' + title + '"\n');
-
-    // Compare timestamps
-    console.log('Most recent: ' + newest_timestamp.toTimeString());
-    console.log('Current:     ' + timestamp.toTimeString() + '\n');
-
-    // Test fails if the current timestamp is newer than (greater than) the most recently compared article
-    if (timestamp > newest_timestamp) {
-      console.log("========================================================================================");
-      console.log("Test failed! Articles are not in newest order!");
-      console.log("========================================================================================");
-      console.log("");
-      test.fail();
-    }
-
-    // Update timestamp
-    newest_timestamp = timestamp;
-
-    // Increment validates article count
-    article_index += 1;
-  }
-
-  // Test passes for the current page
-  console.log("========================================================================================");
-  console.log("Successfully checked page for newest order!");
-  console.log("========================================================================================");
-  console.log("");
-
-  return [article_index, newest_timestamp];
-}
-
-async function bypass_sorry(page,url,tries) {
-  let text = await page.content();
-  for (i = 0; i < tries && text.trim() === 'Sorry'; i+=1) {
-    random_delay(1000,500);
-    await page.goto(url);
-    text = await page.content();
-  }
-}
+test('first 100 articles are newest first, listed once and ranked without gaps', { tag: '@full' }, async ({ hnListing }) => {
+  test.slow();
 
-/**
- * Generates a value representing a delay in milliseconds.
- * @param {int} ms_min_time minimum delay time in milliseconds
- * @param {int} ms_range difference between the minimum delay time and maximum delay time in milliseconds
- * @returns a randomized number representing a delay in milliseconds 
- */
-function random_delay(ms_min_time,ms_range) { return ms_min_time + Math.floor(Math.random() * ms_range); }
\ No newline at end of file
+  // Read once, so every matcher sees the same articles
+  const articles = await collectArticles(hnListing, num_of_articles_to_validate);
+  await expect(articles).toBeSortedBy('timestamp', 'desc', { count: num_of_articles_to_validate });
+  await expect(articles).toHaveUniqueIds();
+  await expect(articles).toHaveContiguousRanks({ start: 1 });
+});
+
+test.describe('logged in', () => {
+  let standin;
+
+  test.beforeAll('Starting Hacker News stand-in...', async () => {
+    standin = await startStandinServer();
+  });
+
+  test.afterAll('Stopping Hacker News stand-in...', async () => {
+    await standin.close();
+  });
+
+  test('logs in through the login form and reads the logged-in listing', { tag: '@smoke' }, async ({ page }) => {
+    expect(await logIn(page, standin.base_url, { username: "standin", password: "standin" })).toBe("standin");
+
+    const list_page = new ArticleListPage(page, { base_url: standin.base_url });
+    await list_page.open();
+    expect(await list_page.loggedInUser()).toBe("standin");
+
+    // Vote links now carry an "auth" token and "flag" links are shown, the rows still match the row schema
+    const articles = await list_page.articles();
+    expect(articles.flatMap((article) => article.row_issues)).toEqual([]);
+    await expect(articles).toBeSortedBy('timestamp', 'desc');
+  });
+
+  test('logged-in pages pass the same checks, with the voted article read as voted', { tag: '@smoke' }, async ({ page }) => {
+    await logIn(page, standin.base_url, { username: "standin", password: "standin" });
+    const list_page = new ArticleListPage(page, { base_url: standin.base_url });
+    await list_page.open();
+
+    // Following the arrow's link votes and leads back to the listing, with the arrow of the voted article hidden
+    const arrow = page.locator(".votelinks a[id^='up_']").first();
+    const voted = Number((await arrow.getAttribute("id")).replace("up_", ""));
+    await page.goto(new URL(await arrow.getAttribute("href"), page.url()).href, { waitUntil: 'domcontentloaded' });
+
+    const result = await validateListing(list_page, { count: 60 });
+    expect(result.status, result.message).toBe("passed");
+    expect(result.schema_issues).toEqual([]);
+    expect(result.checked.filter((article) => article.voted).map((article) => article.id)).toEqual([voted]);
+  });
+
+  test('a wrong password is reported as a bad login', { tag: '@smoke' }, async ({ page }) => {
+    await expect(logIn(page, standin.base_url, { username: "standin", password: "wrong" })).rejects.toThrow(/bad login/);
+  });
+
+  test('a saved session is reused by the next run', { tag: '@smoke' }, async ({ browser }) => {
+    const credentials_file = test.info().outputPath("credentials.json");
+    fs.writeFileSync(credentials_file, JSON.stringify({ username: "standin", password: "standin" }));
+    const options = { base_url: standin.base_url, credentials_file, storage_state: test.info().outputPath("session.json") };
+
+    expect(await openSession(browser, options)).toMatchObject({ user: "standin", reused: false });
+    const session = await openSession(browser, options);
+    expect(session).toMatchObject({ user: "standin", reused: true });
+
+    const context = await browser.newContext({ storageState: session.state });
+    const list_page = new ArticleListPage(await context.newPage(), { base_url: standin.base_url });
+    await list_page.open();
+    expect(await list_page.loggedInUser()).toBe("standin");
+    await context.close();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for the run history (src/history.js) and the test suite reporter that appends to it (src/history-reporter.js).
+ * @author Monty
+ */
+
+// Node dependencies
+const fs = require("fs");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { STATUS, createResults, recordCheck, finishResults } = require("../src/results");
+const { toHistoryEntry, appendHistory, readHistory, summarizeHistory } = require("../src/history");
+const HistoryReporter = require("../src/history-reporter");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('a run is boiled down to its outcome, violations, refusals and page latency', async () => {
+  const results = createResults({ listing: "newest", base_url: "http://127.0.0.1:3000", count: 60 });
+  results.pages.push({ url: "http://127.0.0.1:3000/newest", first_index: 1, load_ms: 300, read_ms: 20 }, { url: "http://127.0.0.1:3000/newest?n=31", first_index: 31, load_ms: 500, read_ms: 40 });
+  results.throttle_events.push({ url: "http://127.0.0.1:3000/newest?n=31", attempt: 1, reason: "sorry", delay_ms: 2000 });
+  recordCheck(results, "newest-first", 40, { id: 125, rank: 40, title: "Article" }, { passed: false, message: "is newer than the article before it" });
+  finishResults(results, STATUS.FAILED, "1 article is out of order");
+
+  expect(toHistoryEntry(results, { results_file: "logs/run.json" })).toMatchObject({
+    kind: "validator",
+    status: "failed",
+    listing: "newest",
+    violations: 1,
+    violations_per_rule: { "newest-first": 1 },
+    refusals: 1,
+    pages: 2,
+    avg_load_ms: 400,
+    avg_read_ms: 30,
+    results_file: "logs/run.json",
+  });
+});
+
+test('entries are appended one per line and read back oldest first, unreadable lines are skipped', async () => {
+  const file = test.info().outputPath("logs", "history.jsonl");
+  expect(readHistory(file)).toEqual({ entries: [], skipped: 0 });
+
+  appendHistory(file, entry("2024-10-20T09:00:00Z", "passed"));
+  appendHistory(file, entry("2024-10-19T09:00:00Z", "failed"));
+  fs.appendFileSync(file, '{"format_version": 1, "kind": "vali');
+  fs.appendFileSync(file, "\n" + JSON.stringify({ ...entry("2024-10-21T09:00:00Z", "passed"), format_version: 0 }) + "\n");
+
+  const { entries, skipped } = readHistory(file);
+  expect(entries.map((run) => run.status)).toEqual(["failed", "passed"]);
+  expect(skipped).toBe(2);
+});
+
+test('trends are worked out per day and per listing', async () => {
+  const summary = summarizeHistory([
+    entry("2024-10-19T09:00:00Z", "passed", { avg_load_ms: 200 }),
+    entry("2024-10-19T10:00:00Z", "error", { refusals: 5, avg_load_ms: null }),
+    entry("2024-10-20T09:00:00Z", "failed", { listing: "news", violations: 3, avg_load_ms: 600 }),
+    { format_version: 1, kind: "suite", started_at: "2024-10-20T11:00:00Z", status: "passed", tests: { total: 10, passed: 9, failed: 0, flaky: 1, skipped: 0 } },
+  ]);
+
+  expect(summary.runs).toBe(4);
+  expect(summary.days).toEqual([
+    { day: "2024-10-19", runs: 2, passed: 1, failed: 0, errors: 1, rate_limited: 1, avg_load_ms: 200, pass_rate: 0.5 },
+    { day: "2024-10-20", runs: 1, passed: 0, failed: 1, errors: 0, rate_limited: 0, avg_load_ms: 600, pass_rate: 0 },
+  ]);
+  expect(summary.listings.map((listing) => [listing.listing, listing.runs, listing.violations])).toEqual([["newest", 2, 0], ["news", 1, 3]]);
+  expect(summary.suite).toEqual([{ day: "2024-10-20", runs: 1, passed: 1, pass_rate: 1, flaky: 1 }]);
+});
+
+test('the reporter appends a test suite run, counting each test once', async () => {
+  const file = test.info().outputPath("history.jsonl");
+  const reporter = new HistoryReporter({ history_file: file });
+  const outcomes = ["expected", "expected", "flaky", "unexpected", "skipped"];
+  reporter.onBegin({}, { allTests: () => outcomes.map((outcome) => ({ outcome: () => outcome })) });
+  reporter.onEnd({ status: "failed", startTime: new Date("2024-10-19T09:00:00Z"), duration: 1234 });
+
+  expect(readHistory(file).entries).toEqual([{
+    format_version: 1,
+    kind: "suite",
+    started_at: "2024-10-19T09:00:00.000Z",
+    duration_ms: 1234,
+    status: "failed",
+    base_url: process.env.HN_BASE_URL || null,
+    tests: { total: 5, passed: 2, failed: 1, flaky: 1, skipped: 1 },
+  }]);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {string} started_at when the run started
+ * @param {string} status run outcome
+ * @param {object} [fields] fields to override
+ * @returns {object} a validator history entry
+ */
+function entry(started_at, status, fields = {}) {
+  return { format_version: 1, kind: "validator", started_at, status, listing: "newest", violations: 0, refusals: 0, avg_load_ms: 300, ...fields };
+}
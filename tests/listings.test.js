@@ -0,0 +1,37 @@
+/**
+ * Tests for the listing descriptors (src/listings.js).
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { LISTINGS, getListing, missingRequiredFields } = require("../src/listings");
+const { defaultRulesFor } = require("../src/rules");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('every listing has a path, a pagination style and default rules', async () => {
+  for (const name of Object.keys(LISTINGS)) {
+    const listing = getListing(name);
+    expect(listing.path).toBe("/" + name);
+    expect(["next", "page"]).toContain(listing.pagination);
+    expect(defaultRulesFor(name).length).toBeGreaterThan(0);
+  }
+  expect(() => getListing("threads")).toThrow(/Unknown listing/);
+});
+
+test('job posts may miss rank, score, author and comments, stories may not', async () => {
+  const listing = getListing("jobs");
+  const job = { type: "job", rank: null, id: 1, title: "Acme (YC W24) Is Hiring", url: "https://acme.com", site: "acme.com", author: null, points: null, comments: null, timestamp: new Date() };
+  expect(missingRequiredFields(listing, job)).toEqual([]);
+  expect(missingRequiredFields(listing, { ...job, type: "story" })).toEqual(["rank", "author", "points"]);
+});
+
+test('self posts need no site', async () => {
+  const story = { type: "story", rank: 1, id: 1, title: "Ask HN: Anyone?", url: "https://news.ycombinator.com/item?id=1", site: null, author: "pg", points: 1, comments: 0, timestamp: new Date() };
+  expect(missingRequiredFields(getListing("ask"), story)).toEqual([]);
+});
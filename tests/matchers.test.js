@@ -0,0 +1,134 @@
+/**
+ * Tests for the listing matchers (src/matchers.js), on article records and a fake page object instead of a browser.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const base = require("playwright/test");
+
+// Project modules
+const { matchers } = require("../src/matchers");
+
+const { test } = base;
+const expect = base.expect.extend(matchers);
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('sorted articles pass, and .not turns that around', async () => {
+  const articles = listing([300, 200, 200, 100]);
+  await expect(articles).toBeSortedBy("timestamp", "desc");
+  await expect(articles).toBeSortedBy("rank", "asc");
+  await expect(articles).not.toBeSortedBy("timestamp", "asc");
+});
+
+test('an article out of order fails with the offending row next to the one before it', async () => {
+  const message = await failureOf(expect(listing([300, 200, 250, 100])).toBeSortedBy("timestamp", "desc"));
+
+  expect(message).toContain('toBeSortedBy("timestamp", "desc")');
+  expect(message).toContain("Expected 4 articles sorted by timestamp, descending");
+  expect(message).toContain("1 offending row");
+  expect(message).toContain('- #2 rank 2 ID:2 timestamp=1970-01-01T00:03:20.000Z "Article 2"');
+  expect(message).toContain('+ #3 rank 3 ID:3 timestamp=1970-01-01T00:04:10.000Z "Article 3"');
+});
+
+test('equal values are only out of order when strict, invalid ones always are', async () => {
+  await expect(listing([300, 200, 200])).toBeSortedBy("timestamp", "desc");
+  expect(await failureOf(expect(listing([300, 200, 200])).toBeSortedBy("timestamp", "desc", { strict: true }))).toContain("without ties");
+
+  const articles = listing([300, 200, 100]);
+  articles[1].timestamp = new Date("not a date");
+  expect(await failureOf(expect(articles).toBeSortedBy("timestamp", "desc"))).toContain("timestamp=Invalid Date");
+});
+
+test('a page object is walked with the "More" link until count articles are read', async () => {
+  const page = fakeListPage([listing([600, 500, 400]), listing([300, 200, 100], 4)]);
+  await expect(page).toBeSortedBy("timestamp", "desc", { count: 5 });
+  expect(page.pages_read).toBe(2);
+
+  const short = fakeListPage([listing([600, 500, 400])]);
+  expect(await failureOf(expect(short).toBeSortedBy("timestamp", "desc", { count: 5 }))).toContain("Expected 5 articles, the listing only had");
+});
+
+test('a listing that runs short fails with .not as well', async () => {
+  expect(await failureOf(expect(listing([600, 500, 400])).not.toBeSortedBy("timestamp", "asc", { count: 5 }))).toContain("Expected 5 articles, the listing only had");
+  expect(await failureOf(expect(listing([600, 500, 400])).not.toHaveUniqueIds({ count: 5 }))).toContain("Expected 5 articles");
+  expect(await failureOf(expect(listing([600, 500, 400])).not.toHaveContiguousRanks({ count: 5 }))).toContain("Expected 5 articles");
+});
+
+test('duplicate IDs point at where the article was first listed', async () => {
+  const articles = listing([500, 400, 300, 200]);
+  articles[3].id = 2;
+  const message = await failureOf(expect(articles).toHaveUniqueIds());
+
+  expect(message).toContain("Expected 4 articles with unique IDs");
+  expect(message).toContain('- #2 rank 2 ID:2 "Article 2"');
+  expect(message).toContain('+ #4 rank 4 ID:2 "Article 4"');
+  await expect(listing([500, 400])).toHaveUniqueIds();
+});
+
+test('ranks must go up by one, from the start rank when given', async () => {
+  await expect(listing([300, 200, 100], 31)).toHaveContiguousRanks({ start: 31 });
+  expect(await failureOf(expect(listing([300, 200], 31)).toHaveContiguousRanks({ start: 1 }))).toContain("+ #1 rank 31 ID:31 rank=31");
+
+  const articles = listing([300, 200, 100]);
+  articles[2].rank = 4;
+  const message = await failureOf(expect(articles).toHaveContiguousRanks());
+  expect(message).toContain("- #2 rank 2 ID:2 rank=2");
+  expect(message).toContain("+ #3 rank 4 ID:3 rank=4");
+});
+
+test('long failures list the first rows and count the rest', async () => {
+  const message = await failureOf(expect(listing(Array.from({ length: 30 }, (_, i) => i))).toBeSortedBy("timestamp", "desc"));
+  expect(message).toContain("29 offending rows");
+  expect(message).toContain("... and 19 more");
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {int[]} seconds timestamps in epoch seconds, in listing order
+ * @param {int} [first_rank] rank of the first article, also used as the first ID
+ * @returns {object[]} article records
+ */
+function listing(seconds, first_rank = 1) {
+  return seconds.map((time, i) => ({ rank: first_rank + i, id: first_rank + i, title: "Article " + (first_rank + i), timestamp: new Date(time * 1000) }));
+}
+
+/**
+ * A stand-in for ArticleListPage that serves pages of articles.
+ * @param {object[][]} pages articles per page
+ * @returns {object} { articles(), next(), pages_read }
+ */
+function fakeListPage(pages) {
+  let current = 0;
+  const list_page = {
+    pages_read: 0,
+    articles: async () => {
+      list_page.pages_read += 1;
+      return pages[current].slice();
+    },
+    next: async () => {
+      if (current + 1 >= pages.length) return false;
+      current += 1;
+      return true;
+    },
+  };
+  return list_page;
+}
+
+/**
+ * @param {Promise} assertion an awaited matcher that should fail
+ * @returns {Promise<string>} its message without colors
+ */
+async function failureOf(assertion) {
+  try {
+    await assertion;
+  } catch (error) {
+    return error.message.replace(/\u001b\[\d+m/g, "");
+  }
+  throw new Error("Expected the matcher to fail");
+}
@@ -0,0 +1,108 @@
+/**
+ * Tests for the watch mode notifiers (src/notifiers.js). The webhook posts to a receiver on a local port.
+ * @author Monty
+ */
+
+// Node dependencies
+const http = require("http");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { NotifierError, formatIncident, createStdoutNotifier, createWebhookNotifier, createNotifiers } = require("../src/notifiers");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+let receiver;
+
+const incident = {
+  kind: "violation",
+  severity: "fail",
+  message: "Article #31 is newer than #30",
+  check: 4,
+  at: "2024-10-19T12:00:00.000Z",
+  listing: "newest",
+};
+
+// ======================
+// ===== TEST SETUP =====
+// ======================
+
+test.beforeEach('Starting webhook receiver...', async () => {
+  receiver = await startReceiver();
+});
+
+test.afterEach('Stopping webhook receiver...', async () => {
+  // Requests left hanging would keep the server from closing
+  receiver.server.closeAllConnections();
+  await new Promise((resolve) => receiver.server.close(resolve));
+});
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('stdout prints one line per incident', async () => {
+  const lines = [];
+  await createStdoutNotifier({ write: (line) => lines.push(line) }).notify(incident);
+  expect(lines).toEqual(["[2024-10-19T12:00:00.000Z] FAIL violation (check 4): Article #31 is newer than #30"]);
+});
+
+test('the webhook posts the incident as JSON', async () => {
+  await createWebhookNotifier(receiver.url + "/hook").notify(incident);
+
+  expect(receiver.requests).toHaveLength(1);
+  expect(receiver.requests[0]).toMatchObject({ method: "POST", url: "/hook", content_type: "application/json" });
+  expect(receiver.requests[0].body).toEqual({ text: formatIncident(incident), ...incident });
+});
+
+test('a webhook that answers with an error or cannot be reached throws a NotifierError', async () => {
+  receiver.status = 500;
+  await expect(createWebhookNotifier(receiver.url + "/hook").notify(incident)).rejects.toThrow(NotifierError);
+  await expect(createWebhookNotifier(receiver.url + "/hook").notify(incident)).rejects.toThrow(/answered 500/);
+
+  const unreachable = createWebhookNotifier("http://127.0.0.1:9/hook", { fetch: async () => { throw new Error("ECONNREFUSED"); } });
+  await expect(unreachable.notify(incident)).rejects.toThrow(/Could not reach the webhook at http:\/\/127.0.0.1:9\/hook: ECONNREFUSED/);
+});
+
+test('a webhook that never answers times out with a NotifierError', async () => {
+  receiver.hang = true;
+  const notifier = createWebhookNotifier(receiver.url + "/hook", { timeout_ms: 200 });
+  await expect(notifier.notify(incident)).rejects.toThrow(NotifierError);
+  await expect(notifier.notify(incident)).rejects.toThrow(/did not answer within 200 ms/);
+});
+
+test('notifiers are created from their command line names', async () => {
+  const notifiers = createNotifiers(["stdout", receiver.url + "/hook"]);
+  expect(notifiers.map((notifier) => notifier.name)).toEqual(["stdout", "webhook " + receiver.url + "/hook"]);
+  expect(() => createNotifiers(["email"])).toThrow(/Unknown notifier: email/);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * Starts an HTTP server that remembers what is posted to it.
+ * @returns {Promise<object>} { server, url, requests, status, hang } where status is what the next requests are answered with,
+ *  and hang leaves them without an answer
+ */
+async function startReceiver() {
+  const state = { server: null, url: null, requests: [], status: 204, hang: false };
+  state.server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      state.requests.push({ method: request.method, url: request.url, content_type: request.headers["content-type"], body: JSON.parse(body) });
+      if (state.hang) return;
+      response.writeHead(state.status);
+      response.end();
+    });
+  });
+  await new Promise((resolve) => state.server.listen(0, "127.0.0.1", resolve));
+  state.url = "http://127.0.0.1:" + state.server.address().port;
+  return state;
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for recording and replaying listing pages (src/recorder.js).
+ * Responses are faked, so these do not need a browser.
+ * @author Monty
+ */
+
+// Node dependencies
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { RECORDING_FORMAT_VERSION, newRecordingDir, recordPages, loadRecording, findRecordedPage } = require("../src/recorder");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('recording directories are versioned and timestamped', async () => {
+  const dir = newRecordingDir("/tmp/recordings", new Date("2024-10-19T12:34:56.789Z"));
+  expect(dir).toBe(path.join("/tmp/recordings", "v" + RECORDING_FORMAT_VERSION + "-2024-10-19T12-34-56Z"));
+});
+
+test('records navigations and can load them back', async () => {
+  const dir = test.info().outputPath("recording");
+  const context = new EventEmitter();
+  const recorder = recordPages(context, dir, { base_url: "https://news.ycombinator.com" });
+
+  context.emit("response", fakeResponse("https://news.ycombinator.com/newest", "<html>first</html>"));
+  context.emit("response", fakeResponse("https://news.ycombinator.com/y18.svg", "<svg></svg>", { navigation: false, type: "image" }));
+  context.emit("response", fakeResponse("https://news.ycombinator.com/newest?next=41889000&n=31", "<html>second</html>"));
+  await recorder.flush();
+
+  const recording = loadRecording(dir);
+  expect(recording.base_url).toBe("https://news.ycombinator.com");
+  expect(recording.pages.map((page) => page.url)).toEqual([
+    "https://news.ycombinator.com/newest",
+    "https://news.ycombinator.com/newest?next=41889000&n=31",
+  ]);
+  expect(recording.pages[1].html).toBe("<html>second</html>");
+  expect(Date.parse(recording.pages[0].fetched_at)).not.toBeNaN();
+});
+
+test('recorded pages are found by path and query on any host', async () => {
+  const recording = {
+    pages: [
+      { url: "https://news.ycombinator.com/newest", html: "first" },
+      { url: "https://news.ycombinator.com/newest?next=41889000&n=31", html: "second" },
+    ],
+  };
+  expect(findRecordedPage(recording, "http://127.0.0.1:3000/newest?next=41889000&n=31").html).toBe("second");
+  expect(findRecordedPage(recording, "https://news.ycombinator.com/newest").html).toBe("first");
+  expect(findRecordedPage(recording, "https://news.ycombinator.com/news")).toBeUndefined();
+});
+
+test('recordings from another format version are refused', async () => {
+  const dir = test.info().outputPath("old-recording");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify({ format_version: 0, pages: [] }));
+  expect(() => loadRecording(dir)).toThrow(/format version 0/);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * Builds an object that looks enough like a Playwright Response for the recorder.
+ * @param {string} url response URL
+ * @param {string} body response body
+ * @param {object} [options] { navigation, type } of the request that produced it
+ * @returns {object} fake response
+ */
+function fakeResponse(url, body, options = {}) {
+  const request = {
+    isNavigationRequest: () => options.navigation !== false,
+    resourceType: () => options.type || "document",
+  };
+  return { url: () => url, status: () => 200, text: async () => body, request: () => request };
+}
@@ -0,0 +1,44 @@
+/**
+ * Tests for the HTML trend report (src/report.js).
+ * @author Monty
+ */
+
+// Node dependencies
+const fs = require("fs");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { appendHistory, summarizeHistory } = require("../src/history");
+const { renderTrendReport, writeTrendReport } = require("../src/report");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('the report shows pass rate, refusals and latency per day and violations per listing', async () => {
+  const html = renderTrendReport(summarizeHistory([
+    { format_version: 1, kind: "validator", started_at: "2024-10-19T09:00:00Z", status: "passed", listing: "newest", violations: 0, refusals: 0, avg_load_ms: 250 },
+    { format_version: 1, kind: "validator", started_at: "2024-10-19T10:00:00Z", status: "failed", listing: "<news>", violations: 4, refusals: 2, avg_load_ms: 750 },
+  ]), { history_file: "logs/history.jsonl", now: new Date("2024-10-20T00:00:00Z") });
+
+  expect(html).toContain("<p>2 runs from logs/history.jsonl, made 2024-10-20T00:00:00.000Z.</p>");
+  expect(html).toContain("<tr><td>2024-10-19</td><td>2</td><td>1</td><td>1</td><td>0</td><td>50%</td>");
+  expect(html).toContain("<td>1 of 2</td><td>500 ms</td>");
+  // Listing names are escaped
+  expect(html).toContain("<tr><td>&lt;news&gt;</td><td>1</td><td>1</td><td>0</td><td>4</td>");
+  expect(html).toContain("<h2>Test suite runs per day</h2>\n<p>No runs yet.</p>");
+});
+
+test('writes the report of a history file, a missing history is an empty report', async () => {
+  const history_file = test.info().outputPath("history.jsonl");
+  const out_file = test.info().outputPath("reports", "report.html");
+
+  expect(writeTrendReport(history_file, out_file)).toEqual({ file: out_file, runs: 0, skipped: 0 });
+  expect(fs.readFileSync(out_file, "utf8")).toContain("<p>0 runs from ");
+
+  appendHistory(history_file, { format_version: 1, kind: "suite", started_at: "2024-10-19T09:00:00Z", status: "passed", tests: { total: 3, passed: 3, failed: 0, flaky: 0, skipped: 0 } });
+  expect(writeTrendReport(history_file, out_file).runs).toBe(1);
+  expect(fs.readFileSync(out_file, "utf8")).toContain("<tr><td>2024-10-19</td><td>1</td><td>1</td><td>100%</td>");
+});
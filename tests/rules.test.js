@@ -0,0 +1,118 @@
+/**
+ * Tests for the built-in sort-order rules (src/rules.js).
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { RULES, LISTING_RULES, createRule, defaultRulesFor } = require("../src/rules");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('newest-first compares every article with the one before it', async () => {
+  const failed = run("newest-first", [
+    article(1, 100, "2024-10-19T12:00:00Z"),
+    article(2, 99, "2024-10-19T11:59:00Z"),
+    article(3, 98, "2024-10-19T12:01:00Z"),
+    article(4, 97, "2024-10-19T11:00:00Z"),
+  ], { now: new Date("2024-10-19T12:05:00Z") });
+
+  expect(failed).toEqual([3]);
+});
+
+test('newest-first anchors the first article to the page, not to the local clock', async () => {
+  // A runner whose clock is behind Hacker News would see the newest article "from the future"
+  const articles = [article(1, 100, "2024-10-19T12:00:00Z"), article(2, 99, "2024-10-19T11:59:00Z")];
+  expect(run("newest-first", articles)).toEqual([]);
+
+  const rule = createRule("newest-first");
+  rule.anchor(article(30, 101, "2024-10-19T11:00:00Z"));
+  expect(rule.check(articles[0])).toMatchObject({ passed: false, previous_id: 101 });
+});
+
+test('newest-first follows the comparison policy for ties', async () => {
+  const tied = [article(1, 100, "2024-10-19T12:00:00Z"), article(2, 101, "2024-10-19T12:00:00Z"), article(3, 99, "2024-10-19T12:00:02Z")];
+  expect(run("newest-first", tied)).toEqual([3]);
+  expect(run("newest-first", tied, { comparison: { mode: "strict" } })).toEqual([2, 3]);
+  expect(run("newest-first", tied, { comparison: { tolerance_s: 2 } })).toEqual([2]);
+
+  const rule = createRule("newest-first", { comparison: { mode: "strict" } });
+  rule.check(tied[0]);
+  expect(rule.check(tied[1]).message).toBe("was posted in the same second as the article before it (ID 100, 2024-10-19T12:00:00.000Z) but has a larger ID");
+});
+
+test('an invalid timestamp fails the time-based rules instead of passing silently', async () => {
+  const articles = [article(1, 100, "2024-10-19T12:00:00Z"), article(2, 99, "not a time"), article(3, 98, "2024-10-19T11:00:00Z")];
+  expect(run("newest-first", articles, { now: new Date("2024-10-19T12:05:00Z") })).toEqual([2]);
+  expect(run("sorted-by-day", articles)).toEqual([2]);
+});
+
+test('ids-descending catches IDs that go up', async () => {
+  const failed = run("ids-descending", [article(1, 100), article(2, 98), article(3, 99), article(4, 50)]);
+  expect(failed).toEqual([3]);
+});
+
+test('ranks-contiguous reports each gap once', async () => {
+  const failed = run("ranks-contiguous", [article(31, 1), article(32, 2), article(34, 3), article(35, 4)], { first_rank: 31 });
+  expect(failed).toEqual([34]);
+});
+
+test('sorted-by-day only allows the same or an earlier day', async () => {
+  const failed = run("sorted-by-day", [
+    article(1, 5, "2024-10-19T23:00:00Z"),
+    article(2, 4, "2024-10-19T01:00:00Z"),
+    article(3, 3, "2024-10-18T22:00:00Z"),
+    article(4, 2, "2024-10-19T05:00:00Z"),
+  ]);
+  expect(failed).toEqual([4]);
+});
+
+test('ask-only and show-only check the title prefix', async () => {
+  const ask = article(1, 2, undefined, "Ask HN: How do you keep up with Rust?");
+  const show = article(2, 1, undefined, "Show HN: A tiny Lisp");
+  expect(run("ask-only", [ask, show])).toEqual([2]);
+  expect(run("show-only", [ask, show])).toEqual([1]);
+
+  // "Tell HN" posts are listed on /ask as well
+  const tell = article(3, 0, undefined, "Tell HN: I gave up on Rust");
+  expect(run("ask-only", [ask, tell, show])).toEqual([2]);
+  expect(createRule("ask-only").check(show, 1).message).toBe('is not a "Ask HN:" or "Tell HN:" post: "Show HN: A tiny Lisp"');
+});
+
+test('every listing default refers to a registered rule', async () => {
+  for (const rules of Object.values(LISTING_RULES)) {
+    for (const rule of rules) expect(Object.keys(RULES)).toContain(rule);
+  }
+  expect(defaultRulesFor("newest")).toEqual(["newest-first"]);
+  expect(() => createRule("alphabetical")).toThrow(/Unknown rule/);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @returns {object} an article record with the fields the rules look at
+ */
+function article(rank, id, time = "2024-10-19T12:00:00Z", title = "Article " + rank) {
+  return { rank, id, title, timestamp: new Date(time) };
+}
+
+/**
+ * Streams articles through a rule.
+ * @param {string} name rule name
+ * @param {object[]} articles articles in listing order
+ * @param {object} [options] rule options
+ * @returns {int[]} ranks of the articles whose check did not pass
+ */
+function run(name, articles, options) {
+  const rule = createRule(name, options);
+  return articles.filter((item, i) => {
+    const check = rule.check(item, i + 1);
+    return check && !check.passed;
+  }).map((item) => item.rank);
+}
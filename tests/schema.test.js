@@ -0,0 +1,102 @@
+/**
+ * Tests for the row schema (src/schema.js).
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { ROW_SCHEMA, checkRow, countByField } = require("../src/schema");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+// A story row as readArticleRows() reads it from news.ycombinator.com
+const STORY_ROW = {
+  type: "story",
+  id: "41889640",
+  title: "SQLite is not what you think",
+  url: "https://www.arstechnica.com/2024/10/19/oxu94",
+  site: "arstechnica.com",
+  author: "bookofjoe",
+  author_href: "user?id=bookofjoe",
+  points: "4 points",
+  comments: "12 comments",
+  links: ["bookofjoe", "2 hours ago", "hide", "past", "12 comments"],
+  vote_href: "vote?id=41889640&how=up&goto=newest",
+  voted: false,
+  dead: false,
+  logged_in: false,
+};
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('a well-formed story row matches', async () => {
+  expect(checkRow(STORY_ROW)).toEqual([]);
+  expect(checkRow({ ...STORY_ROW, comments: "discuss", links: ["hide", "past", "discuss"], points: "1 point" })).toEqual([]);
+});
+
+test('each field is checked on its own', async () => {
+  const fieldsOf = (row) => checkRow({ ...STORY_ROW, ...row }).map((issue) => issue.field);
+
+  expect(fieldsOf({ title: "  " })).toEqual(["title"]);
+  expect(fieldsOf({ url: "item?id=1", site: null })).toEqual(["url"]);
+  expect(fieldsOf({ url: "javascript:void(0)", site: null })).toEqual(["url"]);
+  expect(fieldsOf({ site: "example.com" })).toEqual(["site"]);
+  expect(fieldsOf({ author_href: "from?site=bookofjoe" })).toEqual(["author"]);
+  expect(fieldsOf({ author_href: "user?id=someone" })).toEqual(["author"]);
+  expect(fieldsOf({ points: "-3 points" })).toEqual(["points"]);
+  expect(fieldsOf({ comments: "lots of comments" })).toEqual(["comments"]);
+  expect(fieldsOf({ links: ["12 comments"] })).toEqual(["links"]);
+  expect(fieldsOf({ vote_href: null })).toEqual(["vote"]);
+  expect(fieldsOf({ vote_href: "vote?id=1&how=up&goto=newest" })).toEqual(["vote"]);
+});
+
+test('the site may be a parent domain of the link or carry a path', async () => {
+  expect(checkRow({ ...STORY_ROW, url: "https://blog.example.com/post", site: "example.com" })).toEqual([]);
+  expect(checkRow({ ...STORY_ROW, url: "https://github.com/user/repo", site: "github.com/user" })).toEqual([]);
+  expect(checkRow({ ...STORY_ROW, url: "https://notexample.com/", site: "example.com" })[0]).toEqual({ field: "site", message: 'shows the site "example.com" but links to notexample.com' });
+});
+
+test('messages say what the row shows', async () => {
+  expect(checkRow({ ...STORY_ROW, points: null, links: ["hide"] })).toEqual([
+    { field: "points", message: "shows the score null" },
+    { field: "links", message: "has no past, comments links" },
+  ]);
+});
+
+test('logged in, vote arrows need an auth token and dead articles have none', async () => {
+  const logged_in = { ...STORY_ROW, logged_in: true, vote_href: "vote?id=41889640&how=up&auth=0f3a&goto=newest", links: [...STORY_ROW.links, "flag", "unvote"] };
+  expect(checkRow(logged_in)).toEqual([]);
+  expect(checkRow({ ...logged_in, vote_href: STORY_ROW.vote_href })).toEqual([{ field: "vote", message: "has an upvote arrow without an auth token on a logged-in page" }]);
+
+  expect(checkRow({ ...logged_in, dead: true, vote_href: null })).toEqual([]);
+  expect(checkRow({ ...logged_in, dead: true }).map((issue) => issue.field)).toEqual(["vote"]);
+});
+
+test('logged in, the user\'s own submissions have no upvote arrow', async () => {
+  const own = { ...STORY_ROW, logged_in: true, logged_in_user: "bookofjoe", vote_href: null };
+  expect(checkRow(own)).toEqual([]);
+  expect(checkRow({ ...own, logged_in_user: "pg" })).toEqual([{ field: "vote", message: "has no upvote arrow" }]);
+  expect(checkRow({ ...own, vote_href: "vote?id=41889640&how=up&auth=0f3a&goto=newest" })).toEqual([{ field: "vote", message: "is the logged-in user's own submission but has an upvote arrow" }]);
+});
+
+test('dead articles may have no comments link, live ones may not', async () => {
+  const dead = { ...STORY_ROW, dead: true, vote_href: null, comments: null, links: ["bookofjoe", "2 hours ago", "hide", "past"] };
+  expect(checkRow(dead)).toEqual([]);
+  expect(checkRow({ ...dead, dead: false, vote_href: STORY_ROW.vote_href }).map((issue) => issue.field)).toEqual(["comments", "links"]);
+  expect(checkRow({ ...dead, comments: "lots of comments" }).map((issue) => issue.field)).toEqual(["comments"]);
+});
+
+test('job posts only need a title and a link', async () => {
+  expect(checkRow({ type: "job", title: "Convex (YC W20) Is Hiring", url: "https://convex.com/careers", site: "convex.com", author: null, points: null, comments: null, links: ["1 hour ago"] })).toEqual([]);
+  expect(checkRow({ type: "job", title: "", url: "https://convex.com/careers", site: null }).map((issue) => issue.field)).toEqual(["title"]);
+});
+
+test('issues are counted per field, every field included', async () => {
+  expect(countByField([{ field: "site" }, { field: "site" }, { field: "links" }])).toEqual({ ...Object.fromEntries(Object.keys(ROW_SCHEMA).map((field) => [field, 0])), site: 2, links: 1 });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for logged-in runs (src/session.js). The browser below is a fake, logging in and asking the site who a saved
+ * session belongs to are replaced, so only the decisions between them are tested here. The login form itself is covered
+ * by the stand-in tests and the browser tests in hackernews.test.js.
+ * @author Monty
+ */
+
+// Node dependencies
+const fs = require("fs");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { SessionError, readCredentials, openSession } = require("../src/session");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+// What a context is left with after logging in to the stand-in
+const LOGGED_IN_STATE = { cookies: [{ name: "user", value: "standin%26c0ffee", domain: "127.0.0.1", path: "/" }], origins: [] };
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('credentials are read from a JSON file with a username and a password', async () => {
+  const file = writeJson("credentials.json", { username: "standin", password: "standin" });
+  expect(readCredentials(file)).toEqual({ username: "standin", password: "standin" });
+
+  expect(() => readCredentials(writeJson("no-password.json", { username: "standin" }))).toThrow(/have no password/);
+  expect(() => readCredentials(test.info().outputPath("missing.json"))).toThrow(SessionError);
+});
+
+test('logging in saves the session for the next run, readable only by the user', async () => {
+  const storage_state = test.info().outputPath(".auth", "session.json");
+  const steps = fakeSteps();
+  const browser = fakeBrowser();
+
+  const session = await openSession(browser, { base_url: "http://hn", credentials_file: credentialsFile(), storage_state }, steps);
+
+  expect(session).toEqual({ state: LOGGED_IN_STATE, user: "standin", reused: false, storage_state });
+  expect(steps.logins).toEqual(["standin@http://hn"]);
+  expect(JSON.parse(fs.readFileSync(storage_state, "utf8"))).toEqual(LOGGED_IN_STATE);
+  expect(fs.statSync(storage_state).mode & 0o077).toBe(0);
+  // The login context is closed again, so the password stays out of the run's HARs and traces
+  expect(browser.contexts.map((context) => context.closed)).toEqual([true]);
+});
+
+test('a saved session is reused while the site takes it, and replaced when it does not', async () => {
+  const storage_state = writeJson("session.json", LOGGED_IN_STATE);
+
+  const reused = await openSession(fakeBrowser(), { base_url: "http://hn", credentials_file: credentialsFile(), storage_state }, fakeSteps({ saved_user: "standin" }));
+  expect(reused).toMatchObject({ user: "standin", reused: true, state: LOGGED_IN_STATE });
+
+  const steps = fakeSteps({ saved_user: null });
+  const renewed = await openSession(fakeBrowser(), { base_url: "http://hn", credentials_file: credentialsFile(), storage_state }, steps);
+  expect(renewed).toMatchObject({ user: "standin", reused: false });
+  expect(steps.logins).toHaveLength(1);
+});
+
+test('without usable credentials or session the run cannot log in', async () => {
+  const storage_state = writeJson("expired.json", LOGGED_IN_STATE);
+  await expect(openSession(fakeBrowser(), { base_url: "http://hn", storage_state }, fakeSteps({ saved_user: null }))).rejects.toThrow(/No usable session in .*expired\.json and no credentials/);
+  await expect(openSession(fakeBrowser(), { base_url: "http://hn" }, fakeSteps())).rejects.toThrow(SessionError);
+
+  const steps = fakeSteps({ login_error: new SessionError("Could not log in as standin: bad login") });
+  await expect(openSession(fakeBrowser(), { base_url: "http://hn", credentials_file: credentialsFile() }, steps)).rejects.toThrow(/bad login/);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {string} name file name in the test's output directory
+ * @param {object} content what to write
+ * @returns {string} path of the written file
+ */
+function writeJson(name, content) {
+  const file = test.info().outputPath(name);
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+/**
+ * @returns {string} a credentials file for the stand-in's default account
+ */
+function credentialsFile() {
+  return writeJson("credentials.json", { username: "standin", password: "standin" });
+}
+
+/**
+ * A stand-in for a Playwright browser whose contexts end up logged in.
+ * @returns {object} { newContext(), contexts } with { closed } per created context
+ */
+function fakeBrowser() {
+  const browser = {
+    contexts: [],
+    newContext: async () => {
+      const context = {
+        closed: false,
+        newPage: async () => ({}),
+        storageState: async () => LOGGED_IN_STATE,
+        close: async () => {
+          context.closed = true;
+        },
+      };
+      browser.contexts.push(context);
+      return context;
+    },
+  };
+  return browser;
+}
+
+/**
+ * Replaces logging in and asking the site who a saved session belongs to.
+ * @param {object} [options]
+ * @param {string|null} [options.saved_user] who the site says a saved session belongs to, null when it does not take it
+ * @param {Error} [options.login_error] thrown by logging in
+ * @returns {object} { logIn, sessionUser, logins } where logins gets "<user>@<base_url>" per login
+ */
+function fakeSteps(options = {}) {
+  const steps = {
+    logins: [],
+    logIn: async (page, base_url, credentials) => {
+      if (options.login_error) throw options.login_error;
+      steps.logins.push(credentials.username + "@" + base_url);
+      return credentials.username;
+    },
+    sessionUser: async () => (options.saved_user === undefined ? null : options.saved_user),
+  };
+  return steps;
+}
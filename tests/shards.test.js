@@ -0,0 +1,198 @@
+/**
+ * Tests for loading listing pages concurrently (src/shards.js and validateListingSharded() in src/validator.js).
+ * The page objects below load the stand-in with Playwright's API request context instead of a browser,
+ * so a sharded run can be compared with a sequential one without launching anything.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { canShard, shardUrl, loadPages } = require("../src/shards");
+const { validateListing, validateListingSharded } = require("../src/validator");
+const { toArticle } = require("../src/article-list-page");
+const { getListing } = require("../src/listings");
+const { RequestThrottle, refusalReason } = require("../src/throttle");
+const { createApiClient } = require("../src/api");
+const { startStandinServer } = require("../src/standin/server");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+let standin;
+
+// ======================
+// ===== TEST SETUP =====
+// ======================
+
+test.beforeAll('Starting Hacker News stand-in...', async () => {
+  standin = await startStandinServer();
+});
+
+test.afterAll('Stopping Hacker News stand-in...', async () => {
+  await standin.close();
+});
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('page URLs are worked out from the offset of each page', async () => {
+  const at = (listing, query) => ({ base_url: "http://hn", descriptor: getListing(listing), query });
+  const story_ids = Array.from({ length: 75 }, (_, i) => 5000 - 2 * i);
+  expect(shardUrl(at("newest"), 1, story_ids)).toBe("http://hn/newest");
+  // Hacker News ignores a bare "n", "next" pages start at the ID of their first article
+  expect(shardUrl(at("newest"), 3, story_ids)).toBe("http://hn/newest?next=" + story_ids[60] + "&n=61");
+  expect(shardUrl(at("jobs"), 2, story_ids)).toBe("http://hn/jobs?next=" + story_ids[30]);
+  expect(shardUrl(at("newest"), 4, story_ids)).toBe(null);
+  expect(() => shardUrl(at("newest"), 2)).toThrow(/needs the API story list/);
+  expect(shardUrl(at("news"), 2)).toBe("http://hn/news?p=2");
+  expect(shardUrl(at("front", "?day=2024-10-18"), 4)).toBe("http://hn/front?day=2024-10-18&p=4");
+});
+
+test('only listings that can be opened at any offset are sharded', async () => {
+  expect(canShard("newest")).toBe(true);
+  expect(canShard("front")).toBe(true);
+  expect(canShard("jobs")).toBe(true);
+  expect(canShard({ ...getListing("jobs"), api_list: null })).toBe(false);
+  await expect(validateListingSharded([fakeUnlistedPage()], { count: 30 })).rejects.toThrow(/cannot be loaded in parallel/);
+});
+
+test('pages loaded out of order come back in page order', async ({ request }) => {
+  const throttle = new RequestThrottle();
+  const list_pages = [0, 1, 2].map(() => requestListPage(request, "newest", throttle));
+  const story_ids = await createApiClient({ api_url: standin.base_url }).storyList("newstories");
+  const urls = [1, 2, 3, 4].map((page_number) => shardUrl(list_pages[0], page_number, story_ids));
+  const loaded = await loadPages(list_pages, urls);
+
+  expect(loaded.map((page) => page.articles[0].rank)).toEqual([1, 31, 61, 91]);
+  expect(loaded.map((page) => new URL(page.more_href).searchParams.get("n"))).toEqual(["31", "61", "91", "121"]);
+  expect(list_pages.map((list_page) => list_page.pages_loaded)).toEqual([2, 1, 1]);
+});
+
+test('a sharded run checks the same articles as a sequential one', async ({ request }) => {
+  const sequential = await validateListing(requestListPage(request, "newest", new RequestThrottle()), { count: 100 });
+
+  const throttle = new RequestThrottle({ min_interval_ms: 5 });
+  const sharded = await validateListingSharded([0, 1, 2].map(() => requestListPage(request, "newest", throttle)), { count: 100, api_url: standin.base_url });
+
+  expect(sharded.status, sharded.message).toBe("passed");
+  expect(sharded).toMatchObject({ mode: "sharded", shards: 3 });
+  expect(sequential).toMatchObject({ mode: "sequential", shards: 1 });
+  expect(sharded.checked.map((article) => article.id)).toEqual(sequential.checked.map((article) => article.id));
+  expect(sharded.pages.map((page) => page.first_index)).toEqual([1, 31, 61, 91]);
+  expect(sharded.duration_ms).toBeGreaterThanOrEqual(0);
+});
+
+test('a sharded run skips whole pages before the start offset', async ({ request }) => {
+  const throttle = new RequestThrottle();
+  const result = await validateListingSharded([0, 1].map(() => requestListPage(request, "newest", throttle)), { count: 20, start_offset: 35, api_url: standin.base_url });
+
+  expect(result.status, result.message).toBe("passed");
+  expect(result.pages.map((page) => new URL(page.url).searchParams.get("n"))).toEqual(["31"]);
+  expect(result.checked.map((article) => article.rank)).toEqual(Array.from({ length: 20 }, (_, i) => i + 36));
+});
+
+test('a sharded run that reaches the end of the listing passes with the articles it has', async ({ request }) => {
+  const throttle = new RequestThrottle();
+  const result = await validateListingSharded([0, 1].map(() => requestListPage(request, "news", throttle)), { count: 100 });
+
+  expect(result.status, result.message).toBe("passed");
+  expect(result.listing_length).toBe(45);
+  expect(result.message).toMatch(/^The listing has only 45 articles\. /);
+  expect(result.pages.map((page) => page.articles)).toEqual([30, 15]);
+});
+
+test('a refused page in a sharded run is retried under the shared budget', async ({ request }) => {
+  const throttle = new RequestThrottle({ retries: 3, sleep: async () => {} });
+  standin.refuse(2);
+  const result = await validateListingSharded([0, 1].map(() => requestListPage(request, "newest", throttle)), { count: 60, api_url: standin.base_url });
+
+  expect(result.status, result.message).toBe("passed");
+  expect(result.throttle_events).toHaveLength(2);
+  expect(throttle.retries_left).toBe(1);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * Builds an object with the ArticleListPage methods the validator and loadPages() use, backed by the API request context.
+ * It reads IDs, ranks, ages and "More" links from the stand-in's markup and nothing else: reading whole rows is the
+ * browser's job (readArticleRows() in src/article-list-page.js), covered by the browser tests in hackernews.test.js.
+ * @param {APIRequestContext} request Playwright request fixture
+ * @param {string} listing listing name
+ * @param {RequestThrottle} throttle throttle shared by the page objects of a run
+ * @returns {object} page object, pages_loaded counts its page loads
+ */
+function requestListPage(request, listing, throttle) {
+  let html = "";
+  let url = null;
+  const more = () => {
+    const match = html.match(/href='([^']+)' class='morelink'/);
+    return match ? new URL(match[1].replace(/&amp;/g, "&"), url).href : null;
+  };
+
+  const list_page = {
+    listing,
+    descriptor: getListing(listing),
+    base_url: standin.base_url,
+    query: "",
+    throttle,
+    pages_loaded: 0,
+    page: { url: () => url, content: async () => html },
+    goto: (target) => throttle.navigate(target, async (next_url) => {
+      const response = await request.get(next_url);
+      url = next_url;
+      html = await response.text();
+      list_page.pages_loaded += 1;
+      return { status: response.status(), body: html };
+    }),
+    open: () => list_page.goto(standin.base_url + "/" + listing),
+    next: async () => (more() ? (await list_page.goto(more()), true) : false),
+    moreHref: async () => more(),
+    hasMoreLink: async () => more() !== null,
+    isRateLimited: async () => refusalReason(null, html) !== null,
+    // Only what the order and consistency checks look at is read from the markup, the rest of each row is made up
+    articles: async () => html.split("<tr class='athing").slice(1).map((row) => articleOf(
+      row.match(/id='(\d+)'/)[1],
+      row.match(/<span class="rank">(\d+)\./)[1],
+      row.match(/<span class="age" title="([^"]*)"/)[1],
+    )),
+  };
+  return list_page;
+}
+
+/**
+ * @param {string} id item ID read from the row
+ * @param {string} rank rank read from the row
+ * @param {string} age_title title attribute of the row's age
+ * @returns {object} article record with those, and made-up fields that a story row must have
+ */
+function articleOf(id, rank, age_title) {
+  return toArticle({
+    type: "story",
+    rank,
+    id,
+    title: "Article " + id,
+    url: "https://example.com/" + id,
+    site: "example.com",
+    author: "standin",
+    author_href: "user?id=standin",
+    points: "1 point",
+    comments: "discuss",
+    age_title,
+    links: ["hide", "past", "discuss"],
+    vote_href: "vote?id=" + id + "&how=up",
+  });
+}
+
+/**
+ * @returns {object} the little of a page object validateListingSharded() looks at before refusing it: a "next" listing without an API story list
+ */
+function fakeUnlistedPage() {
+  return { listing: "jobs", descriptor: { ...getListing("jobs"), api_list: null }, base_url: "http://hn" };
+}
@@ -0,0 +1,67 @@
+/**
+ * Tests for the generator of the stand-in's listing data (src/standin/generate.js).
+ * @author Monty
+ */
+
+// Node dependencies
+const fs = require("fs");
+const path = require("path");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { FRONT_DAY, seededRandom, generateFixtures } = require("../src/standin/generate");
+const { DEFAULT_FIXTURE_DIR } = require("../src/standin/server");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('the same seed gives the same numbers', async () => {
+  const first = seededRandom(42);
+  const second = seededRandom(42);
+  const numbers = [first(), first(), first()];
+
+  expect([second(), second(), second()]).toEqual(numbers);
+  for (const number of numbers) expect(number >= 0 && number < 1).toBe(true);
+});
+
+test('the committed fixtures are what the generator writes', async () => {
+  const dir = test.info().outputPath("fixtures");
+  const written = generateFixtures(dir);
+
+  expect(written).toHaveLength(7);
+  for (const file_path of written) {
+    expect(fs.readFileSync(file_path, "utf8"), path.basename(file_path) + " is out of date, run npm run fixtures")
+      .toBe(fs.readFileSync(path.join(DEFAULT_FIXTURE_DIR, path.basename(file_path)), "utf8"));
+  }
+});
+
+test('an item on several listings is the same item everywhere', async () => {
+  const listings = readListings(generateFixtures(test.info().outputPath("fixtures")));
+  const by_id = new Map();
+  for (const listing of listings) {
+    for (const item of listing.items) {
+      if (by_id.has(item.id)) expect(item).toEqual(by_id.get(item.id));
+      by_id.set(item.id, item);
+    }
+  }
+
+  const front = listings.find((listing) => listing.listing === "front");
+  expect(front.day).toBe(FRONT_DAY);
+  for (const item of front.items) expect(new Date(item.time * 1000).toISOString().slice(0, 10)).toBe(FRONT_DAY);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * Reads the written listing files.
+ * @param {string[]} file_paths paths returned by generateFixtures
+ * @returns {object[]} the parsed listings
+ */
+function readListings(file_paths) {
+  return file_paths.map((file_path) => JSON.parse(fs.readFileSync(file_path, "utf8")));
+}
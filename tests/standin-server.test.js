@@ -0,0 +1,242 @@
+/**
+ * Tests for the local Hacker News stand-in (src/standin/server.js).
+ * These only use Playwright's API request context, so they do not need a browser.
+ * @author Monty
+ */
+
+// Node dependencies
+const http = require("http");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { startStandinServer, loadFixture, DEFAULT_FIXTURE_DIR } = require("../src/standin/server");
+
+// =====================
+// ===== VARIABLES =====
+// =====================
+
+let standin;
+
+// ======================
+// ===== TEST SETUP =====
+// ======================
+
+test.beforeAll('Starting Hacker News stand-in...', async () => {
+  standin = await startStandinServer();
+});
+
+test.afterAll('Stopping Hacker News stand-in...', async () => {
+  await standin.close();
+});
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('serves the first page of /newest', async ({ request }) => {
+  const response = await request.get(standin.base_url + "/newest");
+  expect(response.status()).toBe(200);
+
+  const html = await response.text();
+  expect(articleIds(html)).toHaveLength(30);
+  expect(ranks(html)[0]).toBe(1);
+  expect(html).toMatch(/<span class="age" title="\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d \d+">/);
+});
+
+test('"More" link continues the listing where the page stopped', async ({ request }) => {
+  const first_page = await (await request.get(standin.base_url + "/newest")).text();
+  const more_href = moreHref(first_page);
+  expect(more_href).toMatch(/^newest\?next=\d+&n=31$/);
+
+  const second_page = await (await request.get(standin.base_url + "/" + more_href)).text();
+  expect(ranks(second_page)[0]).toBe(31);
+  expect(articleIds(second_page)[0]).toBe(more_href.match(/next=(\d+)/)[1]);
+});
+
+test('a bare "n" does not move a "next" listing past its first page', async ({ request }) => {
+  const first_page = await (await request.get(standin.base_url + "/newest")).text();
+  const bare_n = await (await request.get(standin.base_url + "/newest?n=31")).text();
+  expect(articleIds(bare_n)).toEqual(articleIds(first_page));
+  expect(ranks(bare_n)[0]).toBe(1);
+});
+
+test('can page through more than 100 articles in newest order', async ({ request }) => {
+  let href = "newest";
+  let ids = [];
+  while (href) {
+    const html = await (await request.get(standin.base_url + "/" + href)).text();
+    ids = ids.concat(articleIds(html).map(Number));
+    href = moreHref(html);
+  }
+  expect(ids.length).toBeGreaterThan(100);
+  expect(new Set(ids).size).toBe(ids.length);
+  expect([...ids].sort((a, b) => b - a)).toEqual(ids);
+});
+
+test('ranked listings paginate with "p" and keep counting ranks', async ({ request }) => {
+  const first_page = await (await request.get(standin.base_url + "/news")).text();
+  expect(moreHref(first_page)).toBe("news?p=2");
+
+  const second_page = await (await request.get(standin.base_url + "/news?p=2")).text();
+  expect(ranks(second_page)[0]).toBe(31);
+});
+
+test('/front keeps the day in its "More" link', async ({ request }) => {
+  const html = await (await request.get(standin.base_url + "/front")).text();
+  expect(moreHref(html)).toBe("front?day=2024-10-18&p=2");
+});
+
+test('/jobs rows have no rank, score or author', async ({ request }) => {
+  const html = await (await request.get(standin.base_url + "/jobs")).text();
+  expect(articleIds(html)).toHaveLength(30);
+  expect(ranks(html)).toEqual([]);
+  expect(html).not.toContain('class="score"');
+  expect(html).not.toContain('class="hnuser"');
+  expect(moreHref(html)).toMatch(/^jobs\?next=\d+$/);
+});
+
+test('serves the same data in the Firebase API format', async ({ request }) => {
+  const ids = await (await request.get(standin.base_url + "/v0/newstories.json")).json();
+  const first_page = await (await request.get(standin.base_url + "/newest")).text();
+  expect(ids.slice(0, 30).map(String)).toEqual(articleIds(first_page));
+
+  const item = await (await request.get(standin.base_url + "/v0/item/" + ids[0] + ".json")).json();
+  expect(item).toMatchObject({ id: ids[0], type: "story" });
+  expect(first_page).toContain('title="' + new Date(item.time * 1000).toISOString().slice(0, 19) + " " + item.time + '"');
+  expect(await (await request.get(standin.base_url + "/v0/item/1.json")).json()).toBeNull();
+});
+
+test('the fake login form logs in and listings then show the logged-in markup', async ({ request }) => {
+  const form = await (await request.get(standin.base_url + "/login?goto=newest")).text();
+  expect(form).toContain('<form action="login" method="post"><input type="hidden" name="goto" value="newest">');
+  expect(form).toContain('<input type="password" name="pw"');
+
+  const bad_login = await request.post(standin.base_url + "/login", { form: { acct: "standin", pw: "wrong", goto: "newest" } });
+  expect(await bad_login.text()).toContain("Bad login.");
+
+  const html = await logIn(request);
+  expect(html).toContain('<a id="me" href="user?id=standin">standin</a> (1)');
+  expect(html).not.toContain('href="login?goto=newest"');
+  const id = articleIds(html)[0];
+  expect(html).toContain("href='vote?id=" + id + "&amp;how=up&amp;auth=" + authOf(html) + "&amp;goto=newest'");
+  expect(html).toContain('href="flag?id=' + id + "&amp;auth=" + authOf(html));
+});
+
+test('votes, flags and hidden articles are remembered for the session', async ({ request }) => {
+  const html = await logIn(request);
+  const [voted, flagged, hidden] = articleIds(html);
+  const act = async (path) => (await request.get(standin.base_url + path + "&auth=" + authOf(html) + "&goto=newest")).text();
+
+  await act("/vote?id=" + voted + "&how=up");
+  await act("/flag?id=" + flagged);
+  const after = await act("/hide?id=" + hidden);
+
+  expect(after).toContain("<a id='up_" + voted + "' class='clicky nosee'");
+  expect(after).toContain("<a id='un_" + voted + "' class='clicky' href='vote?id=" + voted + "&amp;how=un");
+  expect(after).toContain('href="flag?id=' + flagged + "&amp;auth=" + authOf(html) + '&amp;un=t&amp;goto=newest">unflag</a>');
+  expect(articleIds(after)).not.toContain(hidden);
+  expect(articleIds(after)).toHaveLength(30);
+  expect(ranks(after)).toEqual(Array.from({ length: 30 }, (_, i) => i + 1));
+
+  expect(await act("/vote?id=" + voted + "&how=un")).not.toContain("nosee");
+  expect(await (await request.get(standin.base_url + "/vote?id=" + voted + "&how=up&auth=nope&goto=newest")).text()).toBe("Bad auth.");
+});
+
+test('logged out, user actions lead to the login form', async ({ request }) => {
+  const response = await request.get(standin.base_url + "/vote?id=1&how=up&goto=newest");
+  expect(response.url()).toBe(standin.base_url + "/login?goto=newest");
+  expect(await response.text()).toContain('<input type="text" name="acct"');
+});
+
+test('dead articles are only listed for accounts with showdead', async ({ request }) => {
+  const first_id = Number(articleIds(await (await request.get(standin.base_url + "/newest")).text())[0]);
+  const server = await startStandinServer({ dead: [first_id], accounts: { shown: { password: "pw", showdead: true }, hidden: { password: "pw" } } });
+  try {
+    expect(articleIds(await (await request.get(server.base_url + "/newest")).text())).not.toContain(String(first_id));
+    expect(articleIds(await logIn(request, server, "hidden", "pw"))).not.toContain(String(first_id));
+
+    const html = await logIn(request, server, "shown", "pw");
+    expect(articleIds(html)[0]).toBe(String(first_id));
+    expect(html).toContain('<td valign="top" class="votelinks"><center></center></td><td class="title"><span class="titleline">[dead] <a ');
+  } finally {
+    await server.close();
+  }
+});
+
+test('logged in, the user\'s own submissions have no upvote arrow', async ({ request }) => {
+  const [own, other] = loadFixture(DEFAULT_FIXTURE_DIR, "newest.json").items.filter((item, i, items) => i === 0 || item.by !== items[0].by);
+  const server = await startStandinServer({ accounts: { [own.by]: { password: "pw" } } });
+  try {
+    const html = await logIn(request, server, own.by, "pw");
+    expect(html).toContain('<td valign="top" class="votelinks"><center><font color="#ff6600">*</font></center></td>');
+    expect(html).not.toContain("id='up_" + own.id + "'");
+    expect(html).toContain("id='up_" + other.id + "'");
+  } finally {
+    await server.close();
+  }
+});
+
+test('a login form broken off while it is posted does not take the server down', async ({ request }) => {
+  const aborted = new Promise((resolve) => {
+    const form = http.request(standin.base_url + "/login", { method: "POST", headers: { "Content-Type": "application/x-www-form-urlencoded", "Content-Length": 100 } });
+    form.on("error", () => {});
+    form.on("close", resolve);
+    form.write("acct=standin&pw=", () => setTimeout(() => form.destroy(), 50));
+  });
+  await aborted;
+
+  const response = await request.get(standin.base_url + "/login?goto=newest");
+  expect(response.status()).toBe(200);
+});
+
+test('unknown paths return 404', async ({ request }) => {
+  const response = await request.get(standin.base_url + "/nope");
+  expect(response.status()).toBe(404);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {string} html listing page
+ * @returns {string[]} the IDs of the ".athing" rows
+ */
+function articleIds(html) { return [...html.matchAll(/class='athing[^']*' id='(\d+)'/g)].map((match) => match[1]); }
+
+/**
+ * @param {string} html listing page
+ * @returns {int[]} the rank numbers shown on the page
+ */
+function ranks(html) { return [...html.matchAll(/<span class="rank">(\d+)\.<\/span>/g)].map((match) => Number(match[1])); }
+
+/**
+ * Logs in through the fake login form.
+ * @param {APIRequestContext} request keeps the session cookie for the rest of the test
+ * @param {object} [server] stand-in to log in to, defaults to the shared one
+ * @param {string} [username] account name
+ * @param {string} [password] its password
+ * @returns {Promise<string>} the /newest page the form leads to
+ */
+async function logIn(request, server = standin, username = "standin", password = "standin") {
+  const response = await request.post(server.base_url + "/login", { form: { acct: username, pw: password, goto: "newest" } });
+  expect(response.url()).toBe(server.base_url + "/newest");
+  return response.text();
+}
+
+/**
+ * @param {string} html logged-in listing page
+ * @returns {string} the "auth" token its links carry
+ */
+function authOf(html) { return html.match(/logout\?auth=([0-9a-f]+)/)[1]; }
+
+/**
+ * @param {string} html listing page
+ * @returns {string|null} the unescaped href of the "More" link
+ */
+function moreHref(html) {
+  const match = html.match(/href='([^']+)' class='morelink'/);
+  return match ? match[1].replace(/&amp;/g, "&") : null;
+}
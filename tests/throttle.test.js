@@ -0,0 +1,100 @@
+/**
+ * Tests for rate-limit handling (src/throttle.js), against made-up responses and the stand-in refusing on demand.
+ * Waiting is replaced, so these run instantly and do not need a browser.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { RateLimitError, RequestThrottle, refusalReason } = require("../src/throttle");
+const { startStandinServer } = require("../src/standin/server");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('recognises the ways Hacker News refuses a page', async () => {
+  expect(refusalReason(200, "Sorry.")).toBe("sorry");
+  expect(refusalReason(200, "<html><body>Sorry, we're not able to serve your requests this quickly.</body></html>")).toBe("sorry");
+  expect(refusalReason(200, "")).toBe("empty");
+  expect(refusalReason(null, "<html><head></head><body></body></html>")).toBe("empty");
+  expect(refusalReason(503, "Service Unavailable")).toBe("status 503");
+  expect(refusalReason(429, "")).toBe("status 429");
+  expect(refusalReason(200, "<html><body><table><tr class='athing submission'><td><span class='titleline'>Sorry to bother you</span></td></tr></table></body></html>")).toBeNull();
+  expect(refusalReason(200, "<html><body>Hacker News</body></html>")).toBeNull();
+});
+
+test('retries the same URL with a doubling backoff until the page loads', async () => {
+  const waits = [];
+  const throttle = new RequestThrottle({ retries: 5, backoff_ms: 1000, sleep: async (ms) => { waits.push(ms); }, delay: (backoff) => backoff });
+  const requested = [];
+  const responses = [{ status: 200, body: "Sorry." }, { status: 200, body: "" }, { status: 503, body: "" }, { status: 200, body: "<p>ok</p>" }];
+
+  const response = await throttle.navigate("http://hn/newest?next=41&n=31", async (url) => { requested.push(url); return responses.shift(); });
+
+  expect(response.body).toBe("<p>ok</p>");
+  expect(new Set(requested)).toEqual(new Set(["http://hn/newest?next=41&n=31"]));
+  expect(waits).toEqual([1000, 2000, 4000]);
+  expect(throttle.events.map((event) => event.reason)).toEqual(["sorry", "empty", "status 503"]);
+  expect(throttle.retries_left).toBe(2);
+});
+
+test('the backoff is capped and jittered within half to all of it', async () => {
+  const waits = [];
+  const throttle = new RequestThrottle({ retries: 10, backoff_ms: 1000, max_backoff_ms: 3000, sleep: async (ms) => { waits.push(ms); } });
+  let refusals = 6;
+  await throttle.navigate("http://hn/newest", async () => (refusals-- > 0 ? { status: 200, body: "Sorry." } : { status: 200, body: "ok" }));
+
+  const caps = [1000, 2000, 3000, 3000, 3000, 3000];
+  waits.forEach((wait, i) => {
+    expect(wait).toBeGreaterThanOrEqual(caps[i] / 2);
+    expect(wait).toBeLessThanOrEqual(caps[i]);
+  });
+});
+
+test('the retry budget is shared by the whole run', async () => {
+  const throttle = new RequestThrottle({ retries: 2, sleep: async () => {} });
+  let refusals = 1;
+  await throttle.navigate("http://hn/newest", async () => (refusals-- > 0 ? { status: 200, body: "Sorry." } : { status: 200, body: "ok" }));
+
+  const error = await throttle.navigate("http://hn/newest?next=41&n=31", async () => ({ status: 200, body: "Sorry." })).catch((thrown) => thrown);
+  expect(error).toBeInstanceOf(RateLimitError);
+  expect(error.message).toContain("newest?next=41&n=31");
+  expect(error.events).toHaveLength(3);
+  expect(throttle.retries_left).toBe(0);
+});
+
+test('requests are spaced out by the minimum interval', async () => {
+  const waits = [];
+  const throttle = new RequestThrottle({ min_interval_ms: 500, sleep: async (ms) => { waits.push(ms); } });
+  const load = async () => ({ status: 200, body: "ok" });
+  await Promise.all([throttle.navigate("http://hn/a", load), throttle.navigate("http://hn/b", load), throttle.navigate("http://hn/c", load)]);
+
+  expect(waits).toHaveLength(2);
+  expect(waits[1]).toBeGreaterThan(waits[0]);
+  expect(waits[1]).toBeLessThanOrEqual(1000);
+});
+
+test('recovers when the stand-in refuses a few requests', async ({ request }) => {
+  const standin = await startStandinServer();
+  try {
+    await request.get(standin.base_url + "/__standin/refuse?count=2&mode=sorry");
+    const throttle = new RequestThrottle({ retries: 3, sleep: async () => {} });
+    const load = async (url) => {
+      const response = await request.get(url);
+      return { status: response.status(), body: await response.text() };
+    };
+
+    const response = await throttle.navigate(standin.base_url + "/newest?n=31", load);
+    expect(response.body).toContain("class='athing");
+    expect(throttle.events).toHaveLength(2);
+
+    standin.refuse(5, "unavailable");
+    await expect(throttle.navigate(standin.base_url + "/newest", load)).rejects.toThrow(RateLimitError);
+    expect(throttle.events.map((event) => event.reason).slice(2)).toEqual(["status 503", "status 503"]);
+  } finally {
+    await standin.close();
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for reading article timestamps (src/timestamps.js).
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { TimestampError, parseAgeTitle, parseRelativeAge, readTimestamp, isValidTimestamp } = require("../src/timestamps");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('the ISO part of an age title is read as UTC, whatever the local timezone', async () => {
+  expect(parseAgeTitle("2024-10-19T12:34:56 1729341296").toISOString()).toBe("2024-10-19T12:34:56.000Z");
+  expect(parseAgeTitle("2024-10-19T12:34:56").toISOString()).toBe("2024-10-19T12:34:56.000Z");
+  expect(parseAgeTitle("1729341296").toISOString()).toBe("2024-10-19T12:34:56.000Z");
+  expect(parseAgeTitle(" 2024-10-19T12:34:56Z 1729341296 ").toISOString()).toBe("2024-10-19T12:34:56.000Z");
+});
+
+test('an age title whose parts disagree is an error', async () => {
+  expect(() => parseAgeTitle("2024-10-19T12:34:56 1729341297")).toThrow(TimestampError);
+  expect(() => parseAgeTitle("2024-10-19T13:34:56 1729341296")).toThrow(/disagrees with itself: 2024-10-19T13:34:56.000Z vs epoch 2024-10-19T12:34:56.000Z/);
+});
+
+test('an age title that is not a time is an error', async () => {
+  expect(() => parseAgeTitle("")).toThrow(/is not in the/);
+  expect(() => parseAgeTitle("yesterday")).toThrow(/is not in the/);
+  expect(() => parseAgeTitle("2024-13-45T99:00:00 1729341296")).toThrow(/invalid date/);
+});
+
+test('relative ages count back from when the page was read', async () => {
+  const now = new Date("2024-10-19T12:00:00Z");
+  expect(parseRelativeAge("5 minutes ago", now).toISOString()).toBe("2024-10-19T11:55:00.000Z");
+  expect(parseRelativeAge("1 minute ago", now).toISOString()).toBe("2024-10-19T11:59:00.000Z");
+  expect(parseRelativeAge("an hour ago", now).toISOString()).toBe("2024-10-19T11:00:00.000Z");
+  expect(parseRelativeAge("3 days ago", now).toISOString()).toBe("2024-10-16T12:00:00.000Z");
+  expect(parseRelativeAge("just now", now).toISOString()).toBe("2024-10-19T12:00:00.000Z");
+  expect(() => parseRelativeAge("on 2024-10-19", now)).toThrow(TimestampError);
+});
+
+test('the relative age is only a fallback for a missing or unreadable title', async () => {
+  const now = new Date("2024-10-19T12:00:00Z");
+  expect(readTimestamp({ title: "2024-10-19T11:50:00 1729338600", text: "2 minutes ago" }, now)).toEqual({ timestamp: new Date("2024-10-19T11:50:00Z"), source: "title", error: null });
+  expect(readTimestamp({ title: null, text: "2 minutes ago" }, now)).toEqual({ timestamp: new Date("2024-10-19T11:58:00Z"), source: "relative", error: null });
+  expect(readTimestamp({ title: "soon", text: "2 minutes ago" }, now).source).toBe("relative");
+});
+
+test('an unreadable age is reported, a missing one is just missing', async () => {
+  expect(readTimestamp({ title: "2024-10-19T12:34:56 1", text: "2 minutes ago" })).toMatchObject({ timestamp: null, error: expect.stringContaining("disagrees") });
+  expect(readTimestamp({ title: "soon", text: "later" }).error).toMatch(/age title "soon" .*, age text "later"/);
+  expect(readTimestamp({ title: null, text: null })).toEqual({ timestamp: null, source: null, error: null });
+});
+
+test('only real dates are valid timestamps', async () => {
+  expect(isValidTimestamp(new Date("2024-10-19T12:00:00Z"))).toBe(true);
+  expect(isValidTimestamp(new Date("2024-10-19T12:00:00 1729339200"))).toBe(false);
+  expect(isValidTimestamp(null)).toBe(false);
+  expect(isValidTimestamp("2024-10-19")).toBe(false);
+});
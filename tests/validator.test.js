@@ -0,0 +1,309 @@
+/**
+ * Tests for walking a listing and checking the newest order (src/validator.js).
+ * The page object is faked, so these do not need a browser.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { validateListing } = require("../src/validator");
+const { getListing } = require("../src/listings");
+const { RequestThrottle } = require("../src/throttle");
+const { ApiError } = require("../src/api");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('checks exactly the requested number of articles, starting at the first page', async () => {
+  const list_page = fakeListPage([articlesFrom(1, 30), articlesFrom(31, 30)]);
+  const result = await validateListing(list_page, { count: 45 });
+
+  expect(result.passed, result.message).toBe(true);
+  expect(result.checked.map((article) => article.rank)).toEqual(Array.from({ length: 45 }, (_, i) => i + 1));
+  expect(list_page.pages_visited).toBe(2);
+});
+
+test('a start offset skips articles, across pages if needed', async () => {
+  const list_page = fakeListPage([articlesFrom(1, 30), articlesFrom(31, 30), articlesFrom(61, 30)]);
+  const result = await validateListing(list_page, { count: 10, start_offset: 35 });
+
+  expect(result.passed, result.message).toBe(true);
+  expect(result.checked.map((article) => article.rank)).toEqual(Array.from({ length: 10 }, (_, i) => i + 36));
+  expect(result.comparisons[0].index).toBe(1);
+});
+
+test('the first checked article is compared with the skipped one before it, and the policy is reported', async () => {
+  const articles = articlesFrom(1, 30);
+  articles[10].timestamp = new Date(articles[9].timestamp.getTime() + 1000);
+  const result = await validateListing(fakeListPage([articles]), { count: 5, start_offset: 10, comparison: { tolerance_s: 2 } });
+
+  expect(result.comparison_policy).toEqual({ mode: "tolerance", tolerance_s: 2 });
+  expect(result.comparisons[0]).toMatchObject({ index: 1, previous_id: 990, tie: true, passed: true });
+});
+
+test('reports every article that breaks the newest order', async () => {
+  const articles = articlesFrom(1, 30);
+  articles[7].timestamp = new Date(articles[2].timestamp.getTime() + 1000);
+  articles[20].timestamp = new Date(articles[19].timestamp.getTime() + 1000);
+  const result = await validateListing(fakeListPage([articles]), { count: 30 });
+
+  expect(result.passed).toBe(false);
+  expect(result.status).toBe("failed");
+  expect(result.violations.map((violation) => violation.index)).toEqual([8, 21]);
+  expect(result.violation.rank).toBe(8);
+  expect(result.checked).toHaveLength(30);
+});
+
+test('records every pairwise comparison and page timing', async () => {
+  const result = await validateListing(fakeListPage([articlesFrom(1, 30), articlesFrom(31, 30)]), { count: 40 });
+
+  expect(result.comparisons).toHaveLength(40);
+  expect(result.comparisons[0].previous_id).toBeNull();
+  expect(result.comparisons[1]).toMatchObject({ rule: "newest-first", index: 2, previous_id: 999, id: 998, passed: true });
+  expect(result.pages.map((page) => page.first_index)).toEqual([1, 31]);
+  expect(result.duration_ms).toBeGreaterThanOrEqual(0);
+});
+
+test('job posts without score, author or comments are read without failing', async () => {
+  const articles = articlesFrom(1, 30).map((article, i) => (i % 3 === 0
+    ? { ...article, type: "job", rank: null, author: null, points: null, comments: null }
+    : article));
+  const result = await validateListing(fakeListPage([articles]), { count: 30 });
+
+  expect(result.passed, result.message).toBe(true);
+});
+
+test('a story missing a required field is an error, not a pass', async () => {
+  const articles = articlesFrom(1, 30);
+  articles[4] = { ...articles[4], points: null };
+  const result = await validateListing(fakeListPage([articles]), { count: 30 });
+
+  expect(result.status).toBe("error");
+  expect(result.message).toBe("Could not read points of story ID:995 on this page!");
+});
+
+test('a timestamp that cannot be read is an error, not a pass', async () => {
+  const articles = articlesFrom(1, 30);
+  articles[6] = { ...articles[6], timestamp: null, timestamp_error: "age title \"2024-10-19T12:34:56 1\" disagrees with itself" };
+  const result = await validateListing(fakeListPage([articles]), { count: 30 });
+
+  expect(result.status).toBe("error");
+  expect(result.message).toBe("Could not parse the timestamp of story ID:993 on this page! The age title \"2024-10-19T12:34:56 1\" disagrees with itself.");
+});
+
+test('a page without articles or a "More" link fails instead of exiting', async () => {
+  const list_page = fakeListPage([articlesFrom(1, 30)]);
+  list_page.hasMoreLink = async () => false;
+  list_page.articles = async () => [];
+  const result = await validateListing(list_page, { count: 30 });
+
+  expect(result.passed).toBe(false);
+  expect(result.status).toBe("error");
+  expect(result.message).toMatch(/did not load properly/);
+  expect(result.html).toBe("<html></html>");
+  expect(result.stopped_url).toBe("http://127.0.0.1:3000/newest");
+});
+
+test('a listing that runs out before the count passes with the articles it has', async () => {
+  const list_page = fakeListPage([articlesFrom(1, 30), articlesFrom(31, 15)]);
+  list_page.hasMoreLink = async () => list_page.pages_visited < 2;
+  const result = await validateListing(list_page, { count: 100 });
+
+  expect(result.status, result.message).toBe("passed");
+  expect(result.message).toBe("The listing has only 45 articles. Verified 45 articles are in newest order!");
+  expect(result.listing_length).toBe(45);
+  expect(result.checked).toHaveLength(45);
+  expect(list_page.pages_visited).toBe(2);
+
+  // The last page is only a problem when it is not the last one needed
+  expect((await validateListing(fakeListPage([articlesFrom(1, 30)]), { count: 30 })).listing_length).toBe(null);
+  expect(await validateListing(list_page, { count: 100, start_offset: 50 })).toMatchObject({ status: "error", message: "The listing has only 45 articles, none after the start offset of 50!" });
+});
+
+test('offending pages are captured while the run has them loaded, the stopped page too', async () => {
+  const second = articlesFrom(31, 30);
+  second[4] = { ...second[4], timestamp: new Date(second[0].timestamp.getTime() + 60000) };
+  const capture = fakeCapture();
+  const result = await validateListing(fakeListPage([articlesFrom(1, 30), second, articlesFrom(61, 30)]), { count: 90, capture });
+
+  expect(result.status).toBe("failed");
+  expect(capture.pages).toEqual([{ page_number: 2, url: "http://127.0.0.1:3000/newest", ids: [String(second[4].id)], table_html: "<table>page 2</table>", marked: 1 }]);
+  expect(result.evidence).toEqual([{ kind: "screenshot", path: "page-2.png", url: "http://127.0.0.1:3000/newest", ids: [String(second[4].id)] }]);
+
+  const stopped = fakeListPage([articlesFrom(1, 30)]);
+  stopped.hasMoreLink = async () => false;
+  stopped.articles = async () => [];
+  const stopped_capture = fakeCapture();
+  await validateListing(stopped, { count: 30, capture: stopped_capture });
+  expect(stopped_capture.stops).toEqual([{ url: "http://127.0.0.1:3000/newest", html: "<html></html>" }]);
+});
+
+test('a page the site keeps refusing ends the run as an error with the refusals recorded', async () => {
+  const list_page = fakeListPage([articlesFrom(1, 30), articlesFrom(31, 30)]);
+  list_page.throttle = new RequestThrottle({ retries: 2, sleep: async () => {} });
+  list_page.next = () => list_page.throttle.navigate("http://127.0.0.1:3000/newest?next=969&n=31", async () => ({ status: 200, body: "Sorry." }));
+  const result = await validateListing(list_page, { count: 45 });
+
+  expect(result.status).toBe("error");
+  expect(result.message).toMatch(/retry budget of 2 is spent/);
+  expect(result.checked).toHaveLength(30);
+  expect(result.throttle_events.map((event) => event.attempt)).toEqual([1, 2, 3]);
+  expect(result.stopped_url).toBe("http://127.0.0.1:3000/newest?next=969&n=31");
+});
+
+test('an article listed on two pages fails the run', async () => {
+  // A new article pushed the last one of page 1 onto page 2
+  const second_page = [articlesFrom(30, 1)[0], ...articlesFrom(31, 29)].map((article, i) => ({ ...article, rank: 31 + i }));
+  const result = await validateListing(fakeListPage([articlesFrom(1, 30), second_page]), { count: 40, rules: ["ranks-contiguous"] });
+
+  expect(result.status).toBe("failed");
+  expect(result.consistency_issues).toEqual([expect.objectContaining({ check: "unique-ids", position: 31, id: 970 })]);
+  expect(result.message).toMatch(/Pages do not line up! unique-ids: 1\./);
+});
+
+test('ranks that do not carry on or a "More" link at the wrong offset fail the run', async () => {
+  const list_page = fakeListPage([articlesFrom(1, 30), articlesFrom(32, 30)]);
+  list_page.moreHref = async () => "http://127.0.0.1:3000/newest?next=969&n=30";
+  const result = await validateListing(list_page, { count: 40 });
+
+  expect(result.status).toBe("failed");
+  expect(result.consistency_issues.map((issue) => issue.check)).toEqual(["more-link-offset", "ranks-continue", "more-link-offset"]);
+  expect(result.consistency_issues[1].message).toBe("page starts at rank 32, expected 31 after the page before");
+});
+
+test('inconsistent pages only warn, or are not checked, when asked', async () => {
+  const pages = () => fakeListPage([articlesFrom(1, 30), articlesFrom(32, 30)]);
+
+  const warned = await validateListing(pages(), { count: 40, consistency: "warn" });
+  expect(warned.status).toBe("passed");
+  expect(warned.consistency_issues).toHaveLength(1);
+
+  const unchecked = await validateListing(pages(), { count: 40, consistency: "off" });
+  expect(unchecked.status).toBe("passed");
+  expect(unchecked.consistency_issues).toEqual([]);
+});
+
+test('rows that do not match the row schema fail the run with per-field counts, or only warn', async () => {
+  const pages = () => {
+    const articles = articlesFrom(1, 30);
+    articles[4].row_issues = [{ field: "site", message: "shows the site \"example.org\" but links to example.com" }];
+    articles[7].row_issues = [{ field: "site", message: "shows the site \"example.org\" but links to example.com" }, { field: "links", message: "has no hide link" }];
+    return fakeListPage([articles]);
+  };
+
+  const failed = await validateListing(pages(), { count: 30 });
+  expect(failed.status).toBe("failed");
+  expect(failed.violations).toEqual([]);
+  expect(failed.schema_issues[0]).toEqual({ index: 5, id: 995, field: "site", message: "shows the site \"example.org\" but links to example.com" });
+  expect(failed.schema_counts).toMatchObject({ title: 0, site: 2, links: 1 });
+  expect(failed.message).toBe("Rows do not match the row schema! site: 2, links: 1.");
+
+  const warned = await validateListing(pages(), { count: 30, schema: "warn" });
+  expect(warned.status).toBe("passed");
+  expect(warned.schema_issues).toHaveLength(3);
+
+  const unchecked = await validateListing(pages(), { count: 30, schema: "off" });
+  expect(unchecked.schema_issues).toEqual([]);
+});
+
+test('articles are cross-checked with the API when one is given', async () => {
+  const pages = [articlesFrom(1, 30), articlesFrom(31, 30)];
+  const items = pages.flat().map((article) => ({ id: article.id, time: article.timestamp.getTime() / 1000 }));
+  items[33].time += 120;
+  const api = { api_url: "http://api.test", item: async (id) => items.find((item) => item.id === id) || null, storyList: async () => items.map((item) => item.id) };
+  const result = await validateListing(fakeListPage(pages), { count: 40, api });
+
+  expect(result.status).toBe("failed");
+  expect(result.cross_checks).toEqual(["api-time", "api-order"]);
+  expect(result.comparisons.filter((comparison) => comparison.rule === "api-time")).toHaveLength(40);
+  expect(result.violations).toEqual([expect.objectContaining({ rule: "api-time", index: 34, rank: 34, api_time: items[33].time })]);
+  expect(result.message).toBe("Articles break the sort-order rules! api-time: 1.");
+});
+
+test('an API that cannot be reached ends the run as an error', async () => {
+  const api = { api_url: "http://api.test", item: async () => { throw new ApiError("Could not reach the API"); }, storyList: async () => [] };
+  const result = await validateListing(fakeListPage([articlesFrom(1, 30)]), { count: 30, api });
+
+  expect(result.status).toBe("error");
+  expect(result.message).toBe("Could not reach the API");
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {int} first_rank rank of the first article
+ * @param {int} count number of articles
+ * @returns {object[]} articles a minute apart, newest first
+ */
+function articlesFrom(first_rank, count) {
+  const newest = Date.parse("2024-10-19T12:00:00Z");
+  return Array.from({ length: count }, (_, i) => {
+    const rank = first_rank + i;
+    return {
+      type: "story",
+      rank,
+      id: 1000 - rank,
+      title: "Article " + rank,
+      url: "https://example.com/" + rank,
+      site: "example.com",
+      author: "pg",
+      points: 1,
+      comments: 0,
+      timestamp: new Date(newest - rank * 60000),
+    };
+  });
+}
+
+/**
+ * Builds an object with the ArticleListPage methods the validator uses.
+ * @param {object[][]} pages articles of each page
+ * @returns {object} fake page object, pages_visited counts the pages that were opened
+ */
+function fakeListPage(pages) {
+  let current = 0;
+  const list_page = {
+    pages_visited: 0,
+    listing: "newest",
+    descriptor: getListing("newest"),
+    base_url: "http://127.0.0.1:3000",
+    page: {
+      content: async () => "<html></html>",
+      url: () => "http://127.0.0.1:3000/newest",
+      screenshot: async () => Buffer.from("png of page " + (current + 1)),
+    },
+    open: async () => { current = 0; list_page.pages_visited = 1; },
+    next: async () => { current += 1; list_page.pages_visited += 1; return true; },
+    moreHref: async () => "http://127.0.0.1:3000/newest?next=" + (1000 - 30 * (current + 1) - 1) + "&n=" + (30 * (current + 1) + 1),
+    hasMoreLink: async () => true,
+    isRateLimited: async () => false,
+    articles: async () => pages[current] || [],
+    highlightRows: async (ids) => ids.length,
+    tableHtml: async () => "<table>page " + (current + 1) + "</table>",
+  };
+  return list_page;
+}
+
+/**
+ * A stand-in for createCapture() in src/artifacts.js that keeps what it was handed instead of writing files.
+ * @returns {object} { page(capture), stopped(capture), pages, stops }
+ */
+function fakeCapture() {
+  const capture = {
+    pages: [],
+    stops: [],
+    page: ({ page_number, url, ids, evidence }) => {
+      capture.pages.push({ page_number, url, ids, table_html: evidence.table_html, marked: evidence.marked });
+      return [{ kind: "screenshot", path: "page-" + page_number + ".png", url, ids }];
+    },
+    stopped: ({ url, evidence }) => {
+      capture.stops.push({ url, html: evidence.html });
+      return [{ kind: "page", path: "stopped.html", url }];
+    },
+  };
+  return capture;
+}
@@ -0,0 +1,167 @@
+/**
+ * Tests for watch mode (src/watch.js): snapshot diffs, incidents and the check loop, on made-up run results.
+ * @author Monty
+ */
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { takeSnapshot, diffSnapshots, findIncidents, createWatch } = require("../src/watch");
+const { NotifierError } = require("../src/notifiers");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('new articles at the top push the oldest ones out of the window', async () => {
+  const diff = diffSnapshots(snapshot([5, 4, 3, 2, 1]), snapshot([7, 6, 5, 4, 3]));
+  expect(diff.arrived).toEqual([{ id: 7, rank: 1, title: "Article 7" }, { id: 6, rank: 2, title: "Article 6" }]);
+  expect(diff.pushed_out).toBe(2);
+  expect(diff.disappeared).toEqual([]);
+  expect(diff.reranked).toEqual([]);
+});
+
+test('an article missing from the middle disappeared, the one moving up from below is not new', async () => {
+  const diff = diffSnapshots(snapshot([5, 4, 3, 2, 1]), snapshot([5, 4, 2, 1, 0]));
+  expect(diff.disappeared).toEqual([{ id: 3, rank: 3, title: "Article 3" }]);
+  expect(diff.arrived).toEqual([]);
+  expect(diff.pushed_out).toBe(0);
+});
+
+test('only the article that moved against the others is re-ranked', async () => {
+  const diff = diffSnapshots(snapshot([6, 5, 4, 3, 2, 1]), snapshot([6, 4, 3, 2, 5, 1]));
+  expect(diff.reranked).toEqual([{ id: 5, title: "Article 5", from: 2, to: 5 }]);
+  expect(diff.arrived).toEqual([]);
+  expect(diff.disappeared).toEqual([]);
+});
+
+test('failed and errored checks are incidents, and so is passing again', async () => {
+  const failed = results([3, 2, 1], "failed");
+  failed.violations = [{ index: 2, id: 2, rule: "timestamp-desc", message: "newer than the one before", page: 1 }];
+  const [violation] = findIncidents(failed, null, null, 1);
+  expect(violation).toMatchObject({ kind: "violation", severity: "fail", check: 1, listing: "newest" });
+  expect(violation.violations).toEqual([{ index: 2, id: 2, rule: "timestamp-desc", message: "newer than the one before" }]);
+
+  expect(findIncidents(results([], "error"), failed, null, 2).map((incident) => incident.kind)).toEqual(["error"]);
+  expect(findIncidents(results([3, 2, 1]), failed, null, 2).map((incident) => incident.kind)).toEqual(["recovered"]);
+  expect(findIncidents(results([3, 2, 1]), results([3, 2, 1]), null, 2)).toEqual([]);
+});
+
+test('the watch checks until its iterations are done and sends every incident to every notifier', async () => {
+  const runs = [results([3, 2, 1]), results([4, 3, 1, 0], "failed"), results([4, 3, 1, 0])];
+  const sent = [];
+  const waits = [];
+  const watch = createWatch({
+    check: async (number) => runs[number - 1],
+    notifiers: [fakeNotifier("a", sent), fakeNotifier("b", sent)],
+    interval_ms: 5000,
+    iterations: 3,
+    sleep: async (ms) => waits.push(ms),
+    log: () => {},
+  });
+  await watch.run();
+
+  expect(watch.checks).toHaveLength(3);
+  expect(waits).toEqual([5000, 5000]);
+  expect(watch.incidents.map((incident) => incident.kind + "@" + incident.check)).toEqual(["violation@2", "disappeared@2", "recovered@3"]);
+  expect(sent).toEqual(["a:violation", "b:violation", "a:disappeared", "b:disappeared", "a:recovered", "b:recovered"]);
+});
+
+test('a check that throws is an error incident, and the next check is diffed against the last good snapshot', async () => {
+  const runs = [() => results([3, 2, 1]), () => { throw new Error("browser crashed"); }, () => results([3, 1])];
+  const watch = createWatch({ check: async (number) => runs[number - 1](), iterations: 3, sleep: async () => {}, log: () => {} });
+  await watch.run();
+
+  expect(watch.incidents.map((incident) => incident.kind)).toEqual(["error", "recovered", "disappeared"]);
+  expect(watch.incidents[0].message).toBe("browser crashed");
+  expect(watch.incidents[2].articles).toEqual([{ id: 2, rank: 2, title: "Article 2" }]);
+});
+
+test('a notifier that cannot deliver is logged, stop() ends the watch after the current check', async () => {
+  const lines = [];
+  let watch;
+  watch = createWatch({
+    check: async () => {
+      watch.stop();
+      return results([], "error");
+    },
+    notifiers: [{ name: "broken", notify: async () => { throw new NotifierError("no route"); } }],
+    sleep: async () => {},
+    log: (line) => lines.push(line),
+  });
+  await watch.run();
+
+  expect(watch.checks).toHaveLength(1);
+  expect(lines).toContain("Could not notify broken: no route");
+});
+
+test('stop() during the wait between two checks ends the watch without waiting it out', async () => {
+  let watch;
+  let waiting = false;
+  watch = createWatch({
+    check: async () => results([3, 2, 1]),
+    // Never resolves on its own, like a long interval
+    sleep: () => {
+      waiting = true;
+      return new Promise(() => {});
+    },
+    log: () => {},
+  });
+  const running = watch.run();
+  await expect.poll(() => waiting).toBe(true);
+  watch.stop();
+
+  await expect(running).resolves.toBe(watch);
+  expect(watch.checks).toHaveLength(1);
+});
+
+test('stop() clears the timer of the wait, so it does not keep the process alive', async () => {
+  const timers = () => process.getActiveResourcesInfo().filter((resource) => resource === "Timeout").length;
+  const before = timers();
+  const watch = createWatch({ check: async () => results([3, 2, 1]), interval_ms: 60 * 60 * 1000, log: () => {} });
+  const running = watch.run();
+  await expect.poll(() => timers()).toBeGreaterThan(before);
+  watch.stop();
+
+  await expect(running).resolves.toBe(watch);
+  expect(timers()).toBe(before);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @param {int[]} ids article IDs in listing order
+ * @param {string} [status] status of the run
+ * @returns {object} finished run results with just what watch mode reads
+ */
+function results(ids, status = "passed") {
+  return {
+    status,
+    message: status === "passed" ? "All " + ids.length + " articles are in order" : "Something is wrong",
+    listing: "newest",
+    base_url: "http://hn",
+    finished_at: "2024-10-19T12:00:00.000Z",
+    violations: [],
+    checked: ids.map((id, i) => ({ id, rank: i + 1, title: "Article " + id, timestamp: new Date(id * 1000) })),
+  };
+}
+
+/**
+ * @param {int[]} ids article IDs in listing order
+ * @returns {object} snapshot of a passed run with these articles
+ */
+function snapshot(ids) {
+  return takeSnapshot(results(ids));
+}
+
+/**
+ * @param {string} name notifier name
+ * @param {string[]} sent gets "<name>:<kind>" for every incident
+ * @returns {object} notifier that remembers what it was sent
+ */
+function fakeNotifier(name, sent) {
+  return { name, notify: async (incident) => sent.push(name + ":" + incident.kind) };
+}
@@ -0,0 +1,97 @@
+/**
+ * Tests for the JSON and JUnit XML results writers (src/writers.js).
+ * @author Monty
+ */
+
+// Node dependencies
+const fs = require("fs");
+
+// Playwright dependencies
+const { test, expect } = require("playwright/test");
+
+// Project modules
+const { STATUS, createResults, recordCheck, finishResults } = require("../src/results");
+const { createRule } = require("../src/rules");
+const { toJUnitXml, writeResults } = require("../src/writers");
+
+// =================
+// ===== TESTS =====
+// =================
+
+test('JUnit XML has a test case per comparison and fails the out-of-order one', async () => {
+  const xml = toJUnitXml(sampleResults());
+
+  // Three comparisons, the three cross-page consistency checks and the eight fields of the row schema
+  expect(xml.match(/<testcase /g)).toHaveLength(14);
+  expect(xml).toContain('<testsuites name="hackernews" tests="14" failures="1" errors="0"');
+  expect(xml).toContain('name="rows: title" time="0"/>');
+  expect(xml).toContain('name="pages: unique-ids" time="0"/>');
+  expect(xml).toContain('name="#3 ID:97 newest-first"');
+  expect(xml).toContain('<failure type="newest-first" message="Article #3 (ID 97) is newer than the article before it (ID 98, 2024-10-19T11:59:00.000Z)"');
+});
+
+test('pages that do not line up fail their consistency test case, or only log it when warned about', async () => {
+  const results = sampleResults();
+  results.consistency_issues.push({ check: "unique-ids", page_url: "http://127.0.0.1:3000/newest?n=31", position: 31, id: 70, rank: 31, message: "ID 70 was already listed at position 30 (http://127.0.0.1:3000/newest)" });
+
+  const failed = toJUnitXml(results);
+  expect(failed).toContain('failures="2"');
+  expect(failed).toContain('<failure type="unique-ids" message="ID 70 was already listed at position 30 (http://127.0.0.1:3000/newest)">Article #31 (ID 70) ID 70');
+
+  results.consistency = "warn";
+  const warned = toJUnitXml(results);
+  expect(warned).toContain('failures="1"');
+  expect(warned).toContain("<system-out>Article #31 (ID 70)");
+});
+
+test('rows that do not match the row schema fail the test case of their field', async () => {
+  const results = sampleResults();
+  results.schema_issues.push({ index: 2, id: 98, field: "author", message: 'has the author "pg" linking to "from?site=pg"' });
+
+  const xml = toJUnitXml(results);
+  expect(xml).toContain('failures="2"');
+  expect(xml).toContain('<failure type="author" message="1 rows break: the author links to &quot;/user?id=&lt;author&gt;&quot;">Article #2 (ID 98) has the author');
+});
+
+test('a run that could not finish is reported as an error', async () => {
+  const results = createResults({ listing: "newest", base_url: "https://news.ycombinator.com", count: 100 });
+  finishResults(results, STATUS.ERROR, "Next page did not load properly, the site refused to load the articles!");
+  const xml = toJUnitXml(results);
+
+  expect(xml).toContain('errors="1"');
+  expect(xml).toContain('<error message="Next page did not load properly, the site refused to load the articles!"/>');
+});
+
+test('writes JSON and JUnit XML next to each other', async () => {
+  const prefix = test.info().outputPath("logs", "run");
+  const files = writeResults(sampleResults(), prefix);
+
+  expect(files).toEqual([prefix + ".json", prefix + ".junit.xml"]);
+  const json = JSON.parse(fs.readFileSync(prefix + ".json", "utf8"));
+  expect(json.status).toBe("failed");
+  expect(json.violations[0].index).toBe(3);
+  expect(fs.readFileSync(prefix + ".junit.xml", "utf8")).toContain("<testsuites");
+});
+
+test('unknown formats are refused', async () => {
+  expect(() => writeResults(sampleResults(), test.info().outputPath("run"), ["yaml"])).toThrow(/Unknown results format/);
+});
+
+// ============================
+// ===== HELPER FUNCTIONS =====
+// ============================
+
+/**
+ * @returns {object} finished results of three comparisons, the third out of order
+ */
+function sampleResults() {
+  const results = createResults({ listing: "newest", base_url: "http://127.0.0.1:3000", count: 3, rules: ["newest-first"] });
+  const rule = createRule("newest-first", { now: new Date("2024-10-19T12:05:00Z") });
+  const articles = [
+    { rank: 1, id: 99, title: "first", timestamp: new Date("2024-10-19T12:00:00Z") },
+    { rank: 2, id: 98, title: "second", timestamp: new Date("2024-10-19T11:59:00Z") },
+    { rank: 3, id: 97, title: "third", timestamp: new Date("2024-10-19T12:01:00Z") },
+  ];
+  articles.forEach((article, i) => recordCheck(results, rule.name, i + 1, article, rule.check(article)));
+  return finishResults(results, STATUS.FAILED, "Articles are not in newest order!");
+}